@@ -1,21 +1,61 @@
 module.exports = {
+  root: true,
   env: {
     es6: true,
     node: true,
   },
+  parser: "@typescript-eslint/parser",
   parserOptions: {
-    "ecmaVersion": 2018,
+    "ecmaVersion": 2020,
+    "sourceType": "module",
   },
+  plugins: [
+    "@typescript-eslint",
+  ],
   extends: [
     "eslint:recommended",
     "google",
+    "plugin:@typescript-eslint/recommended",
+  ],
+  ignorePatterns: [
+    "/lib/**/*",
   ],
   rules: {
     "no-restricted-globals": ["error", "name", "length"],
     "prefer-arrow-callback": "error",
-    "quotes": ["error", "double", {"allowTemplateLiterals": true}],
+    // The TypeScript sources use single quotes, 4-space indents and `/** name: ... */` comments
+    // rather than JSDoc tags.
+    "quotes": ["error", "single", {"avoidEscape": true, "allowTemplateLiterals": true}],
+    "indent": ["error", 4],
+    "max-len": ["error", {"code": 160, "ignoreUrls": true}],
+    "object-curly-spacing": ["error", "always"],
+    "comma-dangle": ["error", "only-multiline"],
+    "no-multi-spaces": ["error", {"ignoreEOLComments": true}],
+    "operator-linebreak": "off",
+    "@typescript-eslint/no-unused-vars": ["error", {"ignoreRestSiblings": true}],
+    "no-invalid-this": "off",
+    "@typescript-eslint/no-invalid-this": "error",
+    "require-jsdoc": "off",
+    "valid-jsdoc": "off",
+    "@typescript-eslint/no-explicit-any": "off",
   },
   overrides: [
+    {
+      // This file keeps the style it was generated with.
+      files: ["*.js"],
+      rules: {
+        "quotes": ["error", "double", {"allowTemplateLiterals": true}],
+        "indent": ["error", 2],
+        "object-curly-spacing": ["error", "never"],
+      },
+    },
+    {
+      // index.ts is indented one level throughout; it is left that way rather than reformatted wholesale.
+      files: ["src/index.ts"],
+      rules: {
+        "indent": "off",
+      },
+    },
     {
       files: ["**/*.spec.*"],
       env: {
@@ -0,0 +1,277 @@
+import * as crypto from 'crypto';
+import * as http from 'http';
+import { MOCK_CERT_PATH, MOCK_SIGNING_CERT, verifyMockSignature } from './mockSigning';
+
+/**
+ * A local stand-in for the PayPal REST endpoints the functions call, for running the whole payment
+ * flow against the emulators with no network.
+ *
+ *  - POST /v1/oauth2/token                          client-credentials token (any client id/secret)
+ *  - POST /v2/checkout/orders                       create an order (createPayPalOrder)
+ *  - GET  /v2/checkout/orders/{id}                  read it back (capturePayPalOrder, the simulator)
+ *  - POST /v2/checkout/orders/{id}/capture          capture an approved order (capturePayPalOrder)
+ *  - POST /v1/notifications/verify-webhook-signature   'api' webhook verification
+ *  - GET  MOCK_CERT_PATH                            signing cert for 'offline' webhook verification
+ *  - GET  /checkoutnow?token={id}                   the approve link: stands in for the buyer approving;
+ *                                                   `&outcome=decline` makes the capture come back DECLINED
+ *
+ * Orders live in memory and are lost on restart. Webhooks are not sent by the mock; fire them with
+ * the simulator (webhookSimulator.ts) once the order is in the state you want.
+ *
+ * Running the flow locally:
+ *
+ *     # .env.local (functions emulator)        # .secret.local
+ *     PAYPAL_API_BASE_URL=http://127.0.0.1:8089   PAYPAL_CLIENT_ID=mock
+ *     PAYPAL_WEBHOOK_ID=WH-MOCK-LOCAL             PAYPAL_CLIENT_SECRET=mock
+ *
+ *     npm run paypal:mock
+ *     firebase emulators:start --only functions,firestore,pubsub
+ *     npm run paypal:simulate -- completed --order <orderId from createPayPalOrder>
+ *
+ * With PAYPAL_WEBHOOK_VERIFICATION=offline also set PAYPAL_CERT_HOSTS=127.0.0.1:8089.
+ */
+
+export const DEFAULT_MOCK_PORT = 8089;
+
+interface MockOrder {
+    resource: any;
+    declineCapture: boolean;
+    captureRequestId?: string;
+}
+
+interface MockResponse {
+    status: number;
+    body?: unknown;
+    contentType?: string;
+    location?: string;
+}
+
+// PayPal ids are 17 upper-case alphanumerics.
+function paypalId(): string {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    return Array.from(crypto.randomBytes(17), (byte) => alphabet[byte % alphabet.length]).join('');
+}
+
+function paypalError(status: number, name: string, issue: string, message: string): MockResponse {
+    return {
+        status,
+        body: { name, message, debug_id: crypto.randomBytes(7).toString('hex'), details: [{ issue, description: message }] }
+    };
+}
+
+function notFound(orderId: string): MockResponse {
+    return paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', `Specified resource ID ${orderId} does not exist.`);
+}
+
+/**
+ * createPayPalMock: The mock as an unstarted HTTP server. Links it hands out point back at whichever
+ * host the request was addressed to.
+ */
+export function createPayPalMock(): http.Server {
+    const orders = new Map<string, MockOrder>();
+    const tokens = new Set<string>();
+
+    function orderLinks(origin: string, id: string, status: string): any[] {
+        const self = `${origin}/v2/checkout/orders/${id}`;
+        const links = [{ href: self, rel: 'self', method: 'GET' }];
+        if (status === 'CREATED') {
+            links.push({ href: `${origin}/checkoutnow?token=${id}`, rel: 'approve', method: 'GET' });
+        }
+        if (status === 'APPROVED') {
+            links.push({ href: `${self}/capture`, rel: 'capture', method: 'POST' });
+        }
+        return links;
+    }
+
+    function createOrder(origin: string, body: any): MockResponse {
+        const unit = body?.purchase_units?.[0];
+        if (body?.intent !== 'CAPTURE' || !unit?.amount?.currency_code || !unit?.amount?.value) {
+            return paypalError(400, 'INVALID_REQUEST', 'MISSING_REQUIRED_PARAMETER', 'intent CAPTURE and purchase_units[0].amount are required.');
+        }
+        const id = paypalId();
+        const now = new Date().toISOString();
+        const resource = {
+            id,
+            intent: 'CAPTURE',
+            status: 'CREATED',
+            purchase_units: [{ reference_id: 'default', ...unit }],
+            application_context: body.application_context,
+            create_time: now,
+            update_time: now,
+            links: orderLinks(origin, id, 'CREATED')
+        };
+        orders.set(id, { resource, declineCapture: false });
+        console.info(`Order ${id} created for ${unit.amount.value} ${unit.amount.currency_code}.`);
+        return { status: 201, body: resource };
+    }
+
+    function approveOrder(origin: string, id: string, outcome: string | null): MockResponse {
+        const order = orders.get(id);
+        if (!order) {
+            return notFound(id);
+        }
+        if (order.resource.status === 'CREATED') {
+            order.resource.status = 'APPROVED';
+            order.resource.payer = {
+                payer_id: paypalId().slice(0, 13),
+                email_address: 'buyer@example.com',
+                name: { given_name: 'Mock', surname: 'Buyer' }
+            };
+            order.resource.update_time = new Date().toISOString();
+            order.resource.links = orderLinks(origin, id, 'APPROVED');
+            order.declineCapture = outcome === 'decline';
+            console.info(`Order ${id} approved by the buyer${order.declineCapture ? ' (capture will be declined)' : ''}.`);
+        }
+        const returnUrl = order.resource.application_context?.return_url;
+        if (!returnUrl) {
+            return { status: 200, body: `Order ${id} is ${order.resource.status}.`, contentType: 'text/plain' };
+        }
+        const redirect = new URL(returnUrl);
+        redirect.searchParams.set('token', id);
+        redirect.searchParams.set('PayerID', order.resource.payer.payer_id);
+        return { status: 302, location: redirect.toString() };
+    }
+
+    function captureOrder(origin: string, id: string, requestId: string | undefined): MockResponse {
+        const order = orders.get(id);
+        if (!order) {
+            return notFound(id);
+        }
+        if (order.resource.status === 'COMPLETED') {
+            // A retry with the same PayPal-Request-Id gets the original result, as with PayPal.
+            if (requestId && requestId === order.captureRequestId) {
+                return { status: 201, body: order.resource };
+            }
+            return paypalError(422, 'UNPROCESSABLE_ENTITY', 'ORDER_ALREADY_CAPTURED', 'Order already captured.');
+        }
+        if (order.resource.status !== 'APPROVED') {
+            return paypalError(422, 'UNPROCESSABLE_ENTITY', 'ORDER_NOT_APPROVED', 'Payer has not yet approved the Order for payment.');
+        }
+
+        const unit = order.resource.purchase_units[0];
+        const now = new Date().toISOString();
+        const captureId = paypalId();
+        unit.payments = {
+            captures: [{
+                id: captureId,
+                status: order.declineCapture ? 'DECLINED' : 'COMPLETED',
+                ...(order.declineCapture ? { status_details: { reason: 'DECLINED_BY_RISK_FRAUD_FILTERS' } } : {}),
+                amount: unit.amount,
+                final_capture: true,
+                custom_id: unit.custom_id,
+                seller_protection: { status: 'ELIGIBLE', dispute_categories: ['ITEM_NOT_RECEIVED', 'UNAUTHORIZED_TRANSACTION'] },
+                links: [
+                    { href: `${origin}/v2/payments/captures/${captureId}`, rel: 'self', method: 'GET' },
+                    { href: `${origin}/v2/checkout/orders/${id}`, rel: 'up', method: 'GET' }
+                ],
+                create_time: now,
+                update_time: now
+            }]
+        };
+        order.resource.status = 'COMPLETED';
+        order.resource.update_time = now;
+        order.resource.links = orderLinks(origin, id, 'COMPLETED');
+        order.captureRequestId = requestId;
+        console.info(`Order ${id} captured as ${captureId} (${unit.payments.captures[0].status}).`);
+        return { status: 201, body: order.resource };
+    }
+
+    function verifySignature(body: any): MockResponse {
+        let verified = false;
+        try {
+            verified = verifyMockSignature(body.transmission_id, body.transmission_time, body.webhook_id, body.transmission_sig, body.webhook_event);
+        } catch {
+            verified = false;
+        }
+        return { status: 200, body: { verification_status: verified ? 'SUCCESS' : 'FAILURE' } };
+    }
+
+    function route(method: string, url: URL, headers: http.IncomingHttpHeaders, body: any): MockResponse {
+        const { origin, pathname: path } = url;
+        if (method === 'GET' && path === '/checkoutnow') {
+            return approveOrder(origin, url.searchParams.get('token') || '', url.searchParams.get('outcome'));
+        }
+        if (method === 'GET' && path === MOCK_CERT_PATH) {
+            return { status: 200, body: MOCK_SIGNING_CERT, contentType: 'application/x-pem-file' };
+        }
+        if (method === 'POST' && path === '/v1/oauth2/token') {
+            if (!headers.authorization?.startsWith('Basic ')) {
+                return { status: 401, body: { error: 'invalid_client', error_description: 'Client Authentication failed' } };
+            }
+            const token = `A21AA-mock-${crypto.randomBytes(16).toString('hex')}`;
+            tokens.add(token);
+            return {
+                status: 200,
+                body: { scope: 'https://uri.paypal.com/services/payments/payment', access_token: token, token_type: 'Bearer', app_id: 'APP-MOCK', expires_in: 32400 }
+            };
+        }
+
+        const bearer = headers.authorization?.replace(/^Bearer /, '');
+        if (!bearer || !tokens.has(bearer)) {
+            return paypalError(401, 'AUTHENTICATION_FAILURE', 'INVALID_TOKEN',
+                'Authentication failed due to invalid authentication credentials or a missing Authorization header.');
+        }
+
+        const orderPath = /^\/v2\/checkout\/orders\/([A-Z0-9]+)(\/capture)?$/.exec(path);
+        if (method === 'POST' && path === '/v2/checkout/orders') {
+            return createOrder(origin, body);
+        }
+        if (method === 'GET' && orderPath && !orderPath[2]) {
+            const order = orders.get(orderPath[1]);
+            return order ? { status: 200, body: order.resource } : notFound(orderPath[1]);
+        }
+        if (method === 'POST' && orderPath && orderPath[2]) {
+            const requestId = headers['paypal-request-id'];
+            return captureOrder(origin, orderPath[1], Array.isArray(requestId) ? requestId[0] : requestId);
+        }
+        if (method === 'POST' && path === '/v1/notifications/verify-webhook-signature') {
+            return verifySignature(body);
+        }
+        return paypalError(404, 'NOT_FOUND', 'NOT_FOUND', `The PayPal mock does not implement ${method} ${path}.`);
+    }
+
+    return http.createServer((req, res) => {
+        const chunks: Buffer[] = [];
+        req.on('data', (chunk: Buffer) => chunks.push(chunk));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            let body: any;
+            try {
+                body = text && req.headers['content-type']?.includes('application/json') ? JSON.parse(text) : text;
+            } catch {
+                body = undefined;
+            }
+            const response = route(req.method || 'GET', new URL(req.url || '/', `http://${req.headers.host || '127.0.0.1'}`), req.headers, body);
+            const payload = typeof response.body === 'string' ? response.body : JSON.stringify(response.body ?? {});
+            res.writeHead(response.status, {
+                'Content-Type': response.contentType || 'application/json',
+                ...(response.location ? { Location: response.location } : {})
+            });
+            res.end(payload);
+        });
+    });
+}
+
+/**
+ * startPayPalMock: Starts the mock on `port` (0 picks a free one) on the loopback interface.
+ */
+export function startPayPalMock(port: number = DEFAULT_MOCK_PORT): Promise<{ server: http.Server; origin: string }> {
+    return new Promise((resolve, reject) => {
+        const server = createPayPalMock();
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            const { port: bound } = server.address() as { port: number };
+            resolve({ server, origin: `http://127.0.0.1:${bound}` });
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PAYPAL_MOCK_PORT || '', 10) || DEFAULT_MOCK_PORT;
+    startPayPalMock(port).then(({ origin }) => {
+        console.info(`PayPal mock listening on ${origin}. Set PAYPAL_API_BASE_URL=${origin} for the functions emulator.`);
+    }).catch((error) => {
+        console.error('PayPal mock failed to start:', error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,281 @@
+import * as crypto from 'crypto';
+import { parseArgs } from 'util';
+import { decodeOrderMetadata, encodeOrderMetadata } from '../src/orderMetadata';
+import { MOCK_CERT_PATH, MOCK_WEBHOOK_ID, signWebhook } from './mockSigning';
+import { DEFAULT_MOCK_PORT } from './paypalMock';
+
+/**
+ * Fires signed PayPal webhook deliveries at the emulated paypalWebhookHandler.
+ *
+ *     npm run paypal:simulate -- <event> [options]
+ *
+ * <event> is one of the short names below or a full event type. Order events describe --order: when
+ * the PayPal mock knows it (it was created through createPayPalOrder) its user, tier, amount and
+ * capture are used; otherwise pass --user, --tier and --amount. Subscription events need
+ * --subscription (and --user, --tier, --amount for the sale). Payloads follow PayPal's sandbox
+ * deliveries and are signed with the mock's key (see mockSigning.ts).
+ *
+ *     --url            handler URL (default: the functions emulator for --project)
+ *     --project        project id in the default URL (GCLOUD_PROJECT or demo-explore-botswana)
+ *     --mock           PayPal mock origin (default http://127.0.0.1:8089), also the cert URL host
+ *     --webhook-id     id to sign for; must match the handler's PAYPAL_WEBHOOK_ID
+ *     --refund-amount  amount refunded by `refunded` (default: all of it)
+ *     --dry-run        print the delivery instead of sending it
+ */
+
+export interface SimulationContext {
+    orderId: string;
+    captureId: string;
+    userId: string;
+    tierId: string;
+    amount: { currency_code: string; value: string };
+    refundAmount?: string;
+    payerEmail: string;
+    subscriptionId?: string;
+}
+
+export const SIMULATED_EVENTS: { [name: string]: string } = {
+    'approved': 'CHECKOUT.ORDER.APPROVED',
+    'order-completed': 'CHECKOUT.ORDER.COMPLETED',
+    'completed': 'PAYMENT.CAPTURE.COMPLETED',
+    'denied': 'PAYMENT.CAPTURE.DENIED',
+    'refunded': 'PAYMENT.CAPTURE.REFUNDED',
+    'subscription-activated': 'BILLING.SUBSCRIPTION.ACTIVATED',
+    'subscription-cancelled': 'BILLING.SUBSCRIPTION.CANCELLED',
+    'subscription-suspended': 'BILLING.SUBSCRIPTION.SUSPENDED',
+    'subscription-expired': 'BILLING.SUBSCRIPTION.EXPIRED',
+    'sale-completed': 'PAYMENT.SALE.COMPLETED',
+};
+
+const SUMMARIES: { [eventType: string]: string } = {
+    'CHECKOUT.ORDER.APPROVED': 'An order has been approved by buyer',
+    'CHECKOUT.ORDER.COMPLETED': 'Checkout Order Completed',
+    'PAYMENT.CAPTURE.COMPLETED': 'Payment completed',
+    'PAYMENT.CAPTURE.DENIED': 'Payment denied',
+    'PAYMENT.CAPTURE.REFUNDED': 'A capture payment was refunded',
+    'BILLING.SUBSCRIPTION.ACTIVATED': 'Subscription activated',
+    'BILLING.SUBSCRIPTION.CANCELLED': 'Subscription cancelled',
+    'BILLING.SUBSCRIPTION.SUSPENDED': 'Subscription suspended',
+    'BILLING.SUBSCRIPTION.EXPIRED': 'Subscription expired',
+    'PAYMENT.SALE.COMPLETED': 'Payment completed',
+};
+
+function paypalId(): string {
+    return crypto.randomBytes(9).toString('hex').toUpperCase().slice(0, 17);
+}
+
+function orderResource(context: SimulationContext, status: 'APPROVED' | 'COMPLETED', apiBase: string): any {
+    const unit: any = {
+        reference_id: 'default',
+        custom_id: encodeOrderMetadata({ userId: context.userId, tierId: context.tierId }),
+        amount: context.amount,
+    };
+    if (status === 'COMPLETED') {
+        unit.payments = { captures: [{ id: context.captureId, status: 'COMPLETED', amount: context.amount, final_capture: true }] };
+    }
+    return {
+        id: context.orderId,
+        intent: 'CAPTURE',
+        status,
+        purchase_units: [unit],
+        payer: { payer_id: 'MOCKPAYER0001', email_address: context.payerEmail },
+        links: [{ href: `${apiBase}/v2/checkout/orders/${context.orderId}`, rel: 'self', method: 'GET' }],
+    };
+}
+
+function captureResource(context: SimulationContext, status: 'COMPLETED' | 'DECLINED', apiBase: string): any {
+    return {
+        id: context.captureId,
+        status,
+        ...(status === 'DECLINED' ? { status_details: { reason: 'DECLINED_BY_RISK_FRAUD_FILTERS' } } : {}),
+        amount: context.amount,
+        custom_id: encodeOrderMetadata({ userId: context.userId, tierId: context.tierId }),
+        final_capture: true,
+        supplementary_data: { related_ids: { order_id: context.orderId } },
+        links: [{ href: `${apiBase}/v2/checkout/orders/${context.orderId}`, rel: 'up', method: 'GET' }],
+    };
+}
+
+function refundResource(context: SimulationContext, apiBase: string): any {
+    return {
+        id: paypalId(),
+        status: 'COMPLETED',
+        amount: { currency_code: context.amount.currency_code, value: context.refundAmount || context.amount.value },
+        custom_id: encodeOrderMetadata({ userId: context.userId, tierId: context.tierId }),
+        supplementary_data: { related_ids: { order_id: context.orderId } },
+        links: [{ href: `${apiBase}/v2/payments/captures/${context.captureId}`, rel: 'up', method: 'GET' }],
+    };
+}
+
+function subscriptionResource(context: SimulationContext, status: string): any {
+    return {
+        id: context.subscriptionId,
+        status,
+        custom_id: encodeOrderMetadata({ userId: context.userId, tierId: context.tierId }),
+        subscriber: { email_address: context.payerEmail },
+    };
+}
+
+function saleResource(context: SimulationContext): any {
+    return {
+        id: paypalId(),
+        state: 'completed',
+        amount: { total: context.amount.value, currency: context.amount.currency_code },
+        billing_agreement_id: context.subscriptionId,
+        custom: encodeOrderMetadata({ userId: context.userId, tierId: context.tierId }),
+    };
+}
+
+/**
+ * simulatedEvent: A PayPal webhook event of `eventType` describing `context`.
+ */
+export function simulatedEvent(eventType: string, context: SimulationContext, apiBase: string): any {
+    let resourceType: string;
+    let resource: any;
+    switch (eventType) {
+    case 'CHECKOUT.ORDER.APPROVED':
+    case 'CHECKOUT.ORDER.COMPLETED':
+        resourceType = 'checkout-order';
+        resource = orderResource(context, eventType === 'CHECKOUT.ORDER.APPROVED' ? 'APPROVED' : 'COMPLETED', apiBase);
+        break;
+    case 'PAYMENT.CAPTURE.COMPLETED':
+    case 'PAYMENT.CAPTURE.DENIED':
+        resourceType = 'capture';
+        resource = captureResource(context, eventType === 'PAYMENT.CAPTURE.COMPLETED' ? 'COMPLETED' : 'DECLINED', apiBase);
+        break;
+    case 'PAYMENT.CAPTURE.REFUNDED':
+        resourceType = 'refund';
+        resource = refundResource(context, apiBase);
+        break;
+    case 'PAYMENT.SALE.COMPLETED':
+        resourceType = 'sale';
+        resource = saleResource(context);
+        break;
+    default:
+        if (!eventType.startsWith('BILLING.SUBSCRIPTION.')) {
+            throw new Error(`The simulator does not build ${eventType} events.`);
+        }
+        resourceType = 'subscription';
+        // The subscription's status after the event: ACTIVATED leaves it ACTIVE, the others are their own status.
+        resource = subscriptionResource(context, eventType === 'BILLING.SUBSCRIPTION.ACTIVATED' ? 'ACTIVE' : eventType.split('.').pop()!);
+    }
+    return {
+        id: `WH-${paypalId()}`,
+        create_time: new Date().toISOString(),
+        resource_type: resourceType,
+        event_type: eventType,
+        summary: SUMMARIES[eventType] || eventType,
+        resource,
+        event_version: '1.0',
+        resource_version: '2.0',
+    };
+}
+
+/**
+ * mockOrderContext: The order's details as the PayPal mock has them, or null when it does not know it.
+ */
+async function mockOrderContext(mockOrigin: string, orderId: string): Promise<Partial<SimulationContext> | null> {
+    let tokenResponse: Response;
+    try {
+        tokenResponse = await fetch(`${mockOrigin}/v1/oauth2/token`, {
+            method: 'POST',
+            headers: { 'Authorization': `Basic ${Buffer.from('simulator:simulator').toString('base64')}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'grant_type=client_credentials',
+        });
+    } catch {
+        throw new Error(`The PayPal mock is not reachable at ${mockOrigin}; start it with \`npm run paypal:mock\` or pass --mock.`);
+    }
+    const { access_token: token } = await tokenResponse.json() as any;
+    const response = await fetch(`${mockOrigin}/v2/checkout/orders/${orderId}`, { headers: { Authorization: `Bearer ${token}` } });
+    if (response.status === 404) {
+        return null;
+    }
+    const order = await response.json() as any;
+    const unit = order.purchase_units[0];
+    const metadata = decodeOrderMetadata(unit.custom_id);
+    return {
+        userId: metadata?.userId,
+        tierId: metadata?.tierId,
+        amount: unit.amount,
+        captureId: unit.payments?.captures?.[0]?.id,
+        payerEmail: order.payer?.email_address,
+    };
+}
+
+async function main(argv: string[]): Promise<void> {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            'url': { type: 'string' },
+            'project': { type: 'string' },
+            'mock': { type: 'string' },
+            'webhook-id': { type: 'string' },
+            'order': { type: 'string' },
+            'capture': { type: 'string' },
+            'user': { type: 'string' },
+            'tier': { type: 'string' },
+            'amount': { type: 'string' },
+            'currency': { type: 'string' },
+            'refund-amount': { type: 'string' },
+            'subscription': { type: 'string' },
+            'dry-run': { type: 'boolean' },
+        },
+    });
+    const name = positionals[0];
+    if (!name) {
+        throw new Error(`Name an event: ${Object.keys(SIMULATED_EVENTS).join(', ')} (or a full event type).`);
+    }
+    const eventType = SIMULATED_EVENTS[name] || name;
+    const mockOrigin = values.mock || `http://127.0.0.1:${DEFAULT_MOCK_PORT}`;
+    const project = values.project || process.env.GCLOUD_PROJECT || 'demo-explore-botswana';
+    const url = values.url || `http://127.0.0.1:5001/${project}/us-central1/paypalWebhookHandler`;
+    const webhookId = values['webhook-id'] || process.env.PAYPAL_WEBHOOK_ID || MOCK_WEBHOOK_ID;
+
+    const orderId = values.order || paypalId();
+    const known = values.order && !values['dry-run'] ? await mockOrderContext(mockOrigin, values.order) : null;
+    const userId = values.user || known?.userId;
+    const tierId = values.tier || known?.tierId;
+    const amount = values.amount ? { currency_code: values.currency || 'USD', value: values.amount } : known?.amount;
+    if (!userId || !tierId || !amount) {
+        throw new Error(values.order ?
+            `The PayPal mock does not know order ${values.order}; pass --user, --tier and --amount.` :
+            'Pass --order for an order created through the PayPal mock, or --user, --tier and --amount.');
+    }
+    if (eventType.startsWith('BILLING.SUBSCRIPTION.') || eventType === 'PAYMENT.SALE.COMPLETED') {
+        if (!values.subscription) {
+            throw new Error(`${eventType} needs --subscription.`);
+        }
+    }
+
+    const context: SimulationContext = {
+        orderId,
+        captureId: values.capture || known?.captureId || paypalId(),
+        userId,
+        tierId,
+        amount,
+        refundAmount: values['refund-amount'],
+        payerEmail: known?.payerEmail || 'buyer@example.com',
+        subscriptionId: values.subscription,
+    };
+    const event = simulatedEvent(eventType, context, mockOrigin);
+    const rawBody = Buffer.from(JSON.stringify(event));
+    const headers = signWebhook(rawBody, webhookId, `${mockOrigin}${MOCK_CERT_PATH}`);
+
+    if (values['dry-run']) {
+        console.info(JSON.stringify({ url, headers, event }, null, 2));
+        return;
+    }
+    const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: rawBody });
+    console.info(`${eventType} ${event.id} -> ${response.status} ${await response.text()}`);
+    if (!response.ok) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,38 @@
+import * as admin from 'firebase-admin';
+
+/**
+ * Append-only audit trail in the auditLog collection.
+ * Entries are written through the caller's batch or transaction so they commit with the change they describe.
+ */
+
+export interface AuditDetails {
+    subjectId?: string;         // Document the action was applied to, e.g. a user id.
+    actor?: string;             // uid of the caller, or 'system' for scheduled jobs.
+    [key: string]: unknown;
+}
+
+type Writer = admin.firestore.WriteBatch | admin.firestore.Transaction;
+
+/**
+ * addAuditEntry: Queues an auditLog entry on `writer`.
+ */
+export function addAuditEntry(writer: Writer, action: string, details: AuditDetails): void {
+    const ref = admin.firestore().collection('auditLog').doc();
+    const entry = {
+        action,
+        actor: 'system',
+        ...details,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    // WriteBatch.set and Transaction.set differ only in their return type.
+    (writer as admin.firestore.WriteBatch).set(ref, entry);
+}
+
+/**
+ * logAuditEvent: Writes a standalone auditLog entry, for events that are not part of a larger write.
+ */
+export async function logAuditEvent(action: string, details: AuditDetails): Promise<void> {
+    const batch = admin.firestore().batch();
+    addAuditEntry(batch, action, details);
+    await batch.commit();
+}
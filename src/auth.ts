@@ -0,0 +1,169 @@
+import * as admin from 'firebase-admin';
+import { CallableRequest, HttpsError, onCall } from 'firebase-functions/v2/https';
+import { logAuditEvent } from './audit';
+
+/**
+ * Role-based authorization for callables, backed by Firebase Auth custom claims:
+ *  - role:          'admin' | 'salesperson' | 'member' (no claim means 'member');
+ *  - salespersonId: for salespersons, the salespersons/{id} document they may see.
+ *
+ * Every denied call is written to auditLog as 'authorization.denied'. Claims are managed with the
+ * grantRole / revokeRole callables and reach the client on its next ID token refresh.
+ *
+ * Admins appointed before roles existed carry the legacy `admin: true` claim instead. It counts as
+ * the admin role until setRoleClaims next writes that user's claims, which drops it.
+ */
+
+export type Role = 'admin' | 'salesperson' | 'member';
+
+const ROLES: Role[] = ['admin', 'salesperson', 'member'];
+
+export interface Caller {
+    uid: string;
+    role: Role;
+    salespersonId?: string;
+}
+
+async function deny(request: CallableRequest<unknown>, action: string, reason: string): Promise<never> {
+    await logAuditEvent('authorization.denied', {
+        actor: request.auth?.uid || 'anonymous',
+        attemptedAction: action,
+        reason
+    }).catch((error) => console.error('Failed to write authorization audit entry:', error));
+    console.warn(`Denied call to ${action}: ${reason}.`, { uid: request.auth?.uid });
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Authentication required.');
+    }
+    throw new HttpsError('permission-denied', `Not allowed to ${action}.`);
+}
+
+function claimedRole(claims: { [claim: string]: any }): Role {
+    if (ROLES.includes(claims.role)) {
+        return claims.role;
+    }
+    return claims.admin === true ? 'admin' : 'member';
+}
+
+/**
+ * getCaller: The authenticated caller and their role, or null for anonymous requests.
+ */
+export function getCaller(request: CallableRequest<unknown>): Caller | null {
+    if (!request.auth) {
+        return null;
+    }
+    return {
+        uid: request.auth.uid,
+        role: claimedRole(request.auth.token),
+        salespersonId: request.auth.token.salespersonId || undefined,
+    };
+}
+
+/**
+ * requireRole: Resolves with the caller when they hold one of `roles`, otherwise audits and throws.
+ */
+export async function requireRole(request: CallableRequest<unknown>, roles: Role[], action: string): Promise<Caller> {
+    const caller = getCaller(request);
+    if (!caller) {
+        return deny(request, action, 'unauthenticated');
+    }
+    if (!roles.includes(caller.role)) {
+        return deny(request, action, `role ${caller.role} not in ${roles.join('/')}`);
+    }
+    return caller;
+}
+
+/**
+ * requireAdmin: Shorthand for requireRole(request, ['admin'], action). Resolves with the admin's uid.
+ */
+export async function requireAdmin(request: CallableRequest<unknown>, action: string): Promise<string> {
+    return (await requireRole(request, ['admin'], action)).uid;
+}
+
+/**
+ * requireSalespersonAccess: Admins may read any salesperson; a salesperson only their own record.
+ */
+export async function requireSalespersonAccess(
+    request: CallableRequest<unknown>,
+    salespersonId: string,
+    action: string
+): Promise<Caller> {
+    const caller = await requireRole(request, ['admin', 'salesperson'], action);
+    if (caller.role === 'salesperson' && caller.salespersonId !== salespersonId) {
+        return deny(request, action, `salesperson ${caller.salespersonId} requested ${salespersonId}`);
+    }
+    return caller;
+}
+
+// Interface for the data expected by grantRole callable function
+interface GrantRoleData {
+    uid: string;
+    role: Role;
+    salespersonId?: string;
+}
+
+/**
+ * setRoleClaims: Sets a user's role claims (keeping any other claims) and audits the change.
+ */
+export async function setRoleClaims(uid: string, claims: { role: Role; salespersonId?: string }, actor: string): Promise<void> {
+    const user = await admin.auth().getUser(uid).catch(() => null);
+    if (!user) {
+        throw new HttpsError('not-found', `No user with uid ${uid}.`);
+    }
+    // Keep unrelated claims; only role and salespersonId are managed here, and the legacy admin flag is dropped.
+    const previousRole = claimedRole(user.customClaims || {});
+    const { role: roleClaim, admin: legacyAdminClaim, salespersonId: previousSalespersonId, ...otherClaims } = user.customClaims || {};
+    await admin.auth().setCustomUserClaims(uid, {
+        ...otherClaims,
+        role: claims.role,
+        ...(claims.salespersonId ? { salespersonId: claims.salespersonId } : {})
+    });
+    await logAuditEvent('role.changed', {
+        actor,
+        subjectId: uid,
+        previousRole,
+        previousSalespersonId: previousSalespersonId || null,
+        role: claims.role,
+        salespersonId: claims.salespersonId || null
+    });
+}
+
+/**
+ * grantRole: HTTPS Callable function for admins to give a user a role (v2).
+ * Salespersons must be linked to the salespersons document they are allowed to see.
+ */
+export const grantRole = onCall<GrantRoleData>(async (request) => {
+    const adminUid = await requireAdmin(request, 'grant roles');
+    const { uid, role, salespersonId } = request.data;
+
+    if (!uid || !ROLES.includes(role)) {
+        throw new HttpsError('invalid-argument', `uid and a role of ${ROLES.join(', ')} are required.`);
+    }
+    if (role === 'salesperson') {
+        const salesperson = salespersonId ? await admin.firestore().collection('salespersons').doc(salespersonId).get() : null;
+        if (!salesperson?.exists) {
+            throw new HttpsError('invalid-argument', 'salespersonId must name an existing salesperson.');
+        }
+    }
+
+    await setRoleClaims(uid, { role, salespersonId: role === 'salesperson' ? salespersonId : undefined }, adminUid);
+    console.info(`Role ${role} granted to ${uid}.`, { by: adminUid, salespersonId });
+    return { uid, role };
+});
+
+/**
+ * revokeRole: HTTPS Callable function for admins to return a user to the member role (v2).
+ */
+export const revokeRole = onCall<{ uid: string }>(async (request) => {
+    const adminUid = await requireAdmin(request, 'revoke roles');
+    const { uid } = request.data;
+    if (!uid) {
+        throw new HttpsError('invalid-argument', 'uid is required.');
+    }
+    if (uid === adminUid) {
+        throw new HttpsError('failed-precondition', 'Admins cannot revoke their own role.');
+    }
+
+    await setRoleClaims(uid, { role: 'member' }, adminUid);
+    console.info(`Role revoked from ${uid}.`, { by: adminUid });
+    return { uid, role: 'member' };
+});
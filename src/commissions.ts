@@ -0,0 +1,208 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireAdmin, requireRole } from './auth';
+import { PaymentTier } from './tiers';
+import { isBasisPointRate } from './money';
+
+/**
+ * Commission rules engine.
+ *
+ * Rules live in the commissionRules collection. A rule may be scoped to a tier, a salesperson or
+ * both, may require a minimum number of sales already made by the salesperson this month (volume
+ * bonus), and is effective over [effectiveFrom, effectiveTo). For each sale the most specific rule
+ * wins: salesperson scope beats tier scope beats global, a higher volume threshold beats a lower one,
+ * and a later effectiveFrom breaks remaining ties. Without a matching rule the tier's
+ * commissionRate applies.
+ *
+ * Rules are never edited in place: admins end a rule and create its replacement, so the rule id
+ * stored on each sale always describes the rate that sale was paid at.
+ */
+
+export interface CommissionRule {
+    id: string;
+    rate: number;
+    tierId: string | null;
+    salespersonId: string | null;
+    minMonthlySales: number;
+    effectiveFrom: number;          // Epoch millis.
+    effectiveTo: number | null;     // Epoch millis, exclusive; null = open-ended.
+}
+
+export interface CommissionContext {
+    tierId?: string | null;
+    salespersonId: string;
+    priorMonthlySales: number;      // Sales already in the salesperson's ledger this month, less full reversals.
+    at: number;                     // Epoch millis of the sale.
+}
+
+export interface AppliedCommission {
+    ruleId: string;                 // commissionRules doc id, 'tier:{tierId}' or 'default'.
+    rate: number;
+}
+
+export const DEFAULT_COMMISSION_RATE = 0.20;
+
+const RULE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+let ruleCache: { rules: CommissionRule[]; loadedAt: number } | null = null;
+
+function ruleFromDoc(doc: admin.firestore.QueryDocumentSnapshot): CommissionRule {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        rate: data.rate,
+        tierId: data.tierId || null,
+        salespersonId: data.salespersonId || null,
+        minMonthlySales: data.minMonthlySales || 0,
+        effectiveFrom: data.effectiveFrom.toMillis(),
+        effectiveTo: data.effectiveTo ? data.effectiveTo.toMillis() : null,
+    };
+}
+
+/**
+ * loadCommissionRules: All rules, cached per instance for RULE_CACHE_TTL_MS.
+ */
+export async function loadCommissionRules(): Promise<CommissionRule[]> {
+    if (ruleCache && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) {
+        return ruleCache.rules;
+    }
+    const snapshot = await admin.firestore().collection('commissionRules').get();
+    ruleCache = { rules: snapshot.docs.map(ruleFromDoc), loadedAt: Date.now() };
+    return ruleCache.rules;
+}
+
+function specificity(rule: CommissionRule): number {
+    return (rule.salespersonId ? 2 : 0) + (rule.tierId ? 1 : 0);
+}
+
+/**
+ * selectCommission: Picks the rate for one sale from `rules`, falling back to the tier's rate.
+ */
+export function selectCommission(rules: CommissionRule[], context: CommissionContext, tier?: PaymentTier): AppliedCommission {
+    const matching = rules.filter((rule) =>
+        (!rule.tierId || rule.tierId === context.tierId) &&
+        (!rule.salespersonId || rule.salespersonId === context.salespersonId) &&
+        context.priorMonthlySales >= rule.minMonthlySales &&
+        rule.effectiveFrom <= context.at &&
+        (rule.effectiveTo === null || context.at < rule.effectiveTo)
+    );
+
+    matching.sort((a, b) =>
+        specificity(b) - specificity(a) ||
+        b.minMonthlySales - a.minMonthlySales ||
+        b.effectiveFrom - a.effectiveFrom
+    );
+
+    if (matching.length) {
+        return { ruleId: matching[0].id, rate: matching[0].rate };
+    }
+    if (tier && typeof tier.commissionRate === 'number') {
+        return { ruleId: `tier:${tier.id}`, rate: tier.commissionRate };
+    }
+    return { ruleId: 'default', rate: DEFAULT_COMMISSION_RATE };
+}
+
+// Interface for the data expected by createCommissionRule callable function
+interface CreateCommissionRuleData {
+    rate: number;
+    tierId?: string;
+    salespersonId?: string;
+    minMonthlySales?: number;
+    effectiveFrom?: string;         // ISO 8601; defaults to now.
+    effectiveTo?: string;           // ISO 8601; open-ended when omitted.
+    description?: string;
+}
+
+function parseDate(value: string | undefined, field: string): number | null {
+    if (value === undefined) {
+        return null;
+    }
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) {
+        throw new HttpsError('invalid-argument', `${field} must be an ISO 8601 date.`);
+    }
+    return millis;
+}
+
+/**
+ * createCommissionRule: HTTPS Callable function for admins to add a commission rule (v2).
+ */
+export const createCommissionRule = onCall<CreateCommissionRuleData>(async (request) => {
+    const adminUid = await requireAdmin(request, 'create commission rules');
+    const { rate, tierId, salespersonId, minMonthlySales = 0, description } = request.data;
+
+    if (!isBasisPointRate(rate)) {
+        throw new HttpsError('invalid-argument', 'rate must be a fraction between 0 and 1 with at most four decimal places.');
+    }
+    if (!Number.isInteger(minMonthlySales) || minMonthlySales < 0) {
+        throw new HttpsError('invalid-argument', 'minMonthlySales must be a non-negative integer.');
+    }
+    const effectiveFrom = parseDate(request.data.effectiveFrom, 'effectiveFrom') ?? Date.now();
+    const effectiveTo = parseDate(request.data.effectiveTo, 'effectiveTo');
+    if (effectiveTo !== null && effectiveTo <= effectiveFrom) {
+        throw new HttpsError('invalid-argument', 'effectiveTo must be after effectiveFrom.');
+    }
+
+    const ruleRef = await admin.firestore().collection('commissionRules').add({
+        rate,
+        tierId: tierId || null,
+        salespersonId: salespersonId || null,
+        minMonthlySales,
+        effectiveFrom: admin.firestore.Timestamp.fromMillis(effectiveFrom),
+        effectiveTo: effectiveTo === null ? null : admin.firestore.Timestamp.fromMillis(effectiveTo),
+        description: description || null,
+        createdBy: adminUid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    ruleCache = null;
+    console.info(`Commission rule ${ruleRef.id} created.`, { by: adminUid, rate, tierId, salespersonId, minMonthlySales });
+    return { ruleId: ruleRef.id };
+});
+
+/**
+ * endCommissionRule: HTTPS Callable function for admins to stop a rule applying from a given time (v2).
+ * Sales already made keep the rule id and rate they were credited with.
+ */
+export const endCommissionRule = onCall<{ ruleId: string; effectiveTo?: string }>(async (request) => {
+    const adminUid = await requireAdmin(request, 'end commission rules');
+    const { ruleId } = request.data;
+    if (!ruleId) {
+        throw new HttpsError('invalid-argument', 'ruleId is required.');
+    }
+    const effectiveTo = parseDate(request.data.effectiveTo, 'effectiveTo') ?? Date.now();
+
+    const ruleRef = admin.firestore().collection('commissionRules').doc(ruleId);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) {
+        throw new HttpsError('not-found', `Commission rule ${ruleId} does not exist.`);
+    }
+    if (effectiveTo <= ruleDoc.get('effectiveFrom').toMillis()) {
+        throw new HttpsError('invalid-argument', 'effectiveTo must be after the rule\'s effectiveFrom.');
+    }
+
+    await ruleRef.update({
+        effectiveTo: admin.firestore.Timestamp.fromMillis(effectiveTo),
+        endedBy: adminUid,
+        endedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    ruleCache = null;
+    console.info(`Commission rule ${ruleId} ends ${new Date(effectiveTo).toISOString()}.`, { by: adminUid });
+    return { ruleId, effectiveTo: new Date(effectiveTo).toISOString() };
+});
+
+/**
+ * listCommissionRules: HTTPS Callable function listing rules (v2). Salespersons only see the global,
+ * tier-wide and their own rules.
+ */
+export const listCommissionRules = onCall(async (request) => {
+    const caller = await requireRole(request, ['admin', 'salesperson'], 'list commission rules');
+    const rules = (await loadCommissionRules())
+        .filter((rule) => caller.role === 'admin' || !rule.salespersonId || rule.salespersonId === caller.salespersonId)
+        .map((rule) => ({
+            ...rule,
+            effectiveFrom: new Date(rule.effectiveFrom).toISOString(),
+            effectiveTo: rule.effectiveTo === null ? null : new Date(rule.effectiveTo).toISOString(),
+        }));
+    return { rules };
+});
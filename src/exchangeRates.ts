@@ -0,0 +1,147 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineString } from 'firebase-functions/params';
+import { requireAdmin, requireRole } from './auth';
+import { addAuditEntry } from './audit';
+import { CurrencyAmounts, currencyExponent, isCurrencyCode, roundHalfUp } from './money';
+
+/**
+ * Exchange rates for reporting.
+ *
+ * Earnings are kept per currency (see money.ts) and paid out in the currency they were earned in.
+ * Reports can additionally show a total converted to one reporting currency using the rates admins
+ * keep in exchangeRates/{currency}: `rate` is how many units of RATES_BASE_CURRENCY one unit of that
+ * currency is worth. Any two currencies with a rate convert through the base currency, which itself
+ * needs no entry.
+ *
+ * Converted figures use the current rates and are indicative only: payouts and stored totals never
+ * depend on them. A currency with no rate is left out of the converted total and listed in missingRates.
+ */
+
+const ratesBaseCurrency = defineString('RATES_BASE_CURRENCY', {
+    default: 'USD',
+    description: 'ISO 4217 currency exchange rates are kept against (exchangeRates/{currency}.rate).'
+});
+
+/**
+ * baseCurrency: The RATES_BASE_CURRENCY parameter. As with PAYPAL_MODE, an unset param reads as ''
+ * outside the CLI, so this falls back to the declared default.
+ */
+export function baseCurrency(): string {
+    return ratesBaseCurrency.value().trim().toUpperCase() || 'USD';
+}
+
+const RATE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+let rateCache: { rates: Map<string, number>; loadedAt: number } | null = null;
+
+export interface ConvertedAmount {
+    currency: string;
+    amountMinor: number;
+    missingRates: string[];     // Currencies left out for lack of a rate.
+}
+
+/**
+ * loadExchangeRates: Rates to RATES_BASE_CURRENCY by currency, cached per instance for RATE_CACHE_TTL_MS.
+ */
+export async function loadExchangeRates(): Promise<Map<string, number>> {
+    if (rateCache && Date.now() - rateCache.loadedAt < RATE_CACHE_TTL_MS) {
+        return rateCache.rates;
+    }
+    const snapshot = await admin.firestore().collection('exchangeRates').get();
+    const rates = new Map<string, number>();
+    snapshot.forEach((doc) => {
+        rates.set(doc.id, doc.get('rate'));
+    });
+    rates.set(baseCurrency(), 1);
+    rateCache = { rates, loadedAt: Date.now() };
+    return rates;
+}
+
+/**
+ * convertAmounts: Totals per-currency `amounts` in `currency`, rounding each conversion half up.
+ */
+export function convertAmounts(amounts: CurrencyAmounts, currency: string, rates: Map<string, number>): ConvertedAmount {
+    const targetRate = rates.get(currency);
+    if (!targetRate) {
+        return { currency, amountMinor: 0, missingRates: [currency] };
+    }
+    const converted: ConvertedAmount = { currency, amountMinor: 0, missingRates: [] };
+    Object.entries(amounts).forEach(([from, amountMinor]) => {
+        const rate = rates.get(from);
+        if (!rate) {
+            converted.missingRates.push(from);
+            return;
+        }
+        const scale = 10 ** (currencyExponent(currency) - currencyExponent(from));
+        converted.amountMinor += from === currency ? amountMinor : roundHalfUp(amountMinor * scale * rate / targetRate);
+    });
+    return converted;
+}
+
+/**
+ * reportingCurrencyOf: Validates an optional reportingCurrency request field.
+ */
+export function reportingCurrencyOf(requested: unknown): string | null {
+    if (requested === undefined || requested === null) {
+        return null;
+    }
+    if (!isCurrencyCode(requested)) {
+        throw new HttpsError('invalid-argument', 'reportingCurrency must be an ISO 4217 code such as "USD".');
+    }
+    return requested;
+}
+
+/**
+ * setExchangeRate: HTTPS Callable function for admins to set the rate of one currency (v2).
+ */
+export const setExchangeRate = onCall<{ currency: string; rate: number }>(async (request) => {
+    const adminUid = await requireAdmin(request, 'set exchange rates');
+    const { currency, rate } = request.data;
+    const base = baseCurrency();
+    if (!isCurrencyCode(currency) || currency === base) {
+        throw new HttpsError('invalid-argument', `currency must be an ISO 4217 code other than ${base}.`);
+    }
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+        throw new HttpsError('invalid-argument', `rate must be the positive number of ${base} one ${currency} is worth.`);
+    }
+
+    const db = admin.firestore();
+    const rateRef = db.collection('exchangeRates').doc(currency);
+    await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(rateRef);
+        transaction.set(rateRef, {
+            currency,
+            rate,
+            baseCurrency: base,
+            updatedBy: adminUid,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        addAuditEntry(transaction, 'exchangeRates.set', {
+            actor: adminUid,
+            subjectId: currency,
+            previousRate: existing.get('rate') ?? null,
+            rate
+        });
+    });
+
+    rateCache = null;
+    console.info(`Exchange rate for ${currency} set to ${rate} ${base}.`, { by: adminUid });
+    return { currency, rate, baseCurrency: base };
+});
+
+/**
+ * listExchangeRates: HTTPS Callable function listing the rates reports convert with (v2).
+ */
+export const listExchangeRates = onCall(async (request) => {
+    await requireRole(request, ['admin', 'salesperson'], 'list exchange rates');
+    const snapshot = await admin.firestore().collection('exchangeRates').orderBy(admin.firestore.FieldPath.documentId()).get();
+    return {
+        baseCurrency: baseCurrency(),
+        rates: snapshot.docs.map((doc) => ({
+            currency: doc.id,
+            rate: doc.get('rate'),
+            updatedAt: doc.get('updatedAt')?.toDate().toISOString() || null
+        }))
+    };
+});
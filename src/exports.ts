@@ -0,0 +1,203 @@
+import * as admin from 'firebase-admin';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireAdmin, requireSalespersonAccess } from './auth';
+import { logAuditEvent } from './audit';
+import { formatMinorUnits } from './money';
+import { knownLedgerMoney } from './salesLedger';
+import { currencyPayouts } from './payouts';
+
+/**
+ * Finance exports of the sales ledger (see salesLedger.ts).
+ *
+ * exportSales streams every ledger entry in a date range, for one salesperson or all of them, as CSV
+ * or JSON into Cloud Storage (exports/sales/...) and returns a short-lived signed URL. Rows are read
+ * with Query.stream() and written straight to the file, so a large range never sits in memory.
+ * Amounts are exact decimal strings in the row's currency, formatted from the stored minor units.
+ * Legacy entries that record no currency are left out and returned in `unresolved`.
+ *
+ * Exporting all salespersons queries the 'sales' collection group and needs a collection-group index
+ * on timestamp. Signing URLs needs the function's service account to hold
+ * roles/iam.serviceAccountTokenCreator on itself.
+ */
+
+const SIGNED_URL_TTL_MS = 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const COLUMNS = [
+    'entryId',
+    'type',
+    'saleDate',
+    'saleMonth',
+    'salespersonId',
+    'orderId',
+    'userId',
+    'tierId',
+    'grossAmount',
+    'currency',
+    'commission',
+    'commissionAdjusted',
+    'commissionRate',
+    'commissionRuleId',
+    'payoutStatus',
+    'payoutBatchId',
+];
+
+type ExportFormat = 'csv' | 'json';
+
+// Interface for the data expected by exportSales callable function
+interface ExportSalesData {
+    from: string;               // YYYY-MM-DD, inclusive.
+    to: string;                 // YYYY-MM-DD, inclusive.
+    salespersonId?: string;     // All salespersons when omitted (admins only).
+    format?: ExportFormat;
+}
+
+function csvField(value: unknown): string {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * exportRows: Turns ledger entries into export rows, looking up each salesperson-month's payout status once.
+ * Entries with no currency are skipped and their paths added to `unresolved`.
+ */
+async function* exportRows(
+    entries: AsyncIterable<admin.firestore.QueryDocumentSnapshot>,
+    unresolved: string[]
+): AsyncGenerator<{ [column: string]: unknown }> {
+    const db = admin.firestore();
+    const payouts = new Map<string, admin.firestore.DocumentSnapshot>();
+
+    for await (const doc of entries) {
+        const entry = doc.data();
+        const money = knownLedgerMoney(entry);
+        if (!money) {
+            unresolved.push(doc.ref.path);
+            continue;
+        }
+        const salespersonId: string = entry.salespersonId || doc.ref.parent.parent!.id;
+        const payoutKey = `${salespersonId}/${entry.saleMonth}`;
+        let payout = payouts.get(payoutKey);
+        if (!payout) {
+            payout = await db.collection('salespersons').doc(salespersonId).collection('historicalPayouts').doc(entry.saleMonth).get();
+            payouts.set(payoutKey, payout);
+        }
+
+        const monthPayout = payout.exists ? currencyPayouts(payout)[money.currency] : undefined;
+        yield {
+            entryId: doc.id,
+            type: entry.type || 'sale',
+            saleDate: entry.timestamp?.toDate().toISOString() || null,
+            saleMonth: entry.saleMonth,
+            salespersonId,
+            orderId: entry.orderId,
+            userId: entry.userId,
+            tierId: entry.tierId,
+            grossAmount: formatMinorUnits(money.amountMinor, money.currency),
+            currency: money.currency,
+            commission: formatMinorUnits(money.commissionMinor, money.currency),
+            commissionAdjusted: formatMinorUnits(money.commissionAdjustedMinor, money.currency),
+            commissionRate: entry.commissionRate,
+            commissionRuleId: entry.commissionRuleId,
+            // Months that have not been closed yet have no archive and so no payout.
+            payoutStatus: payout.exists ? (monthPayout?.status || 'unpaid') : 'open',
+            payoutBatchId: monthPayout?.payoutBatchId || null,
+        };
+    }
+}
+
+async function* serialize(rows: AsyncIterable<{ [column: string]: unknown }>, format: ExportFormat, counter: { rows: number }): AsyncGenerator<string> {
+    if (format === 'csv') {
+        yield COLUMNS.join(',') + '\r\n';
+    } else {
+        yield '[';
+    }
+    for await (const row of rows) {
+        if (format === 'csv') {
+            yield COLUMNS.map((column) => csvField(row[column])).join(',') + '\r\n';
+        } else {
+            yield (counter.rows ? ',\n' : '\n') + JSON.stringify(row);
+        }
+        counter.rows++;
+    }
+    if (format === 'json') {
+        yield '\n]\n';
+    }
+}
+
+/**
+ * exportSales: HTTPS Callable function to export sales and commission for a date range (v2).
+ * Admins may export everyone; a salesperson only their own sales.
+ */
+export const exportSales = onCall<ExportSalesData>({ timeoutSeconds: 540, memory: '512MiB' }, async (request) => {
+    const { from, to, salespersonId } = request.data;
+    const format: ExportFormat = request.data.format || 'csv';
+    if (!from || !to || !DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+        throw new HttpsError('invalid-argument', 'from and to are required in YYYY-MM-DD format.');
+    }
+    if (format !== 'csv' && format !== 'json') {
+        throw new HttpsError('invalid-argument', 'format must be csv or json.');
+    }
+    // Dates are whole days in UTC; `to` is inclusive.
+    const start = Date.parse(`${from}T00:00:00Z`);
+    const end = Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+        throw new HttpsError('invalid-argument', 'from must be on or before to.');
+    }
+    if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new HttpsError('invalid-argument', `Exports cover at most ${MAX_RANGE_DAYS} days.`);
+    }
+    const actor = salespersonId
+        ? (await requireSalespersonAccess(request, salespersonId, 'export sales')).uid
+        : await requireAdmin(request, 'export all sales');
+
+    const db = admin.firestore();
+    const source = salespersonId
+        ? db.collection('salespersons').doc(salespersonId).collection('sales')
+        : db.collectionGroup('sales');
+    const query = source
+        .where('timestamp', '>=', admin.firestore.Timestamp.fromMillis(start))
+        .where('timestamp', '<', admin.firestore.Timestamp.fromMillis(end))
+        .orderBy('timestamp');
+
+    const fileName = `exports/sales/${salespersonId || 'all'}_${from}_${to}_${Date.now()}.${format}`;
+    const file = admin.storage().bucket().file(fileName);
+    const counter = { rows: 0 };
+    const unresolved: string[] = [];
+    try {
+        const entries = query.stream() as AsyncIterable<admin.firestore.QueryDocumentSnapshot>;
+        await pipeline(
+            Readable.from(serialize(exportRows(entries, unresolved), format, counter)),
+            file.createWriteStream({
+                contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+                resumable: false,
+                metadata: { metadata: { exportedBy: actor, from, to, salespersonId: salespersonId || 'all' } }
+            })
+        );
+    } catch (error: any) {
+        console.error('Error exporting sales:', { fileName, message: error.message });
+        throw new HttpsError('internal', 'Failed to export sales.');
+    }
+
+    const expiresAt = Date.now() + SIGNED_URL_TTL_MS;
+    const [url] = await file.getSignedUrl({ action: 'read', expires: expiresAt });
+    await logAuditEvent('sales.exported', {
+        actor,
+        subjectId: salespersonId || 'all',
+        from,
+        to,
+        format,
+        rows: counter.rows,
+        unresolved: unresolved.length,
+        fileName
+    });
+
+    console.info(`Exported ${counter.rows} ledger entries to ${fileName}, ${unresolved.length} without a currency left out.`, { by: actor });
+    return { url, expiresAt: new Date(expiresAt).toISOString(), rows: counter.rows, format, unresolved };
+});
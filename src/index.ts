@@ -1,92 +1,96 @@
     import * as admin from 'firebase-admin';
     import * as paypal from '@paypal/checkout-server-sdk';
-    import { onSchedule } from 'firebase-functions/v2/scheduler';
-    import { onCall, onRequest } from 'firebase-functions/v2/https'; // Import onCall and onRequest from v2/https
+    import { onCall, onRequest, HttpsError } from 'firebase-functions/v2/https'; // Import onCall and onRequest from v2/https
+    import { verifyWebhookRequest, WebhookVerificationError } from './webhookVerification';
+    import { getTier, tierAmount } from './tiers';
+    import { applyPayment, recordPaymentDenial } from './payments';
+    import { amountMatches, getExpectedOrder, recordPaymentDiscrepancy } from './reconciliation';
+    import { requireAdmin } from './auth';
+    import { client } from './paypalClient';
+    import { PAYPAL_SECRETS } from './paypalConfig';
+    import { publishWebhookEvent } from './webhookQueue';
+    import { MalformedWebhookError, WebhookEvent, parseWebhookEvent } from './webhookHandlers';
+    import { encodeOrderMetadata, orderMetadataFromResource } from './orderMetadata';
+    import { moneyFromPayPal } from './money';
+    import { captureOrder, recordOrderCreated } from './orders';
+
+    export { createPaymentTier, updatePaymentTier, retirePaymentTier, listPaymentTiers } from './tiers';
+    export { membershipExpirySweep } from './memberships';
+    export { createBillingPlan, createPayPalSubscription } from './subscriptions';
+    export { grantRole, revokeRole } from './auth';
+    export { getSalespersonData, getMonthlySalesReport, getYearlySalesReport } from './reports';
+    export { registerSalesperson, attachReferralCode, migrateSalespersonIds } from './salespersons';
+    export { normalizeLegacyDocuments } from './schema';
+    export { listMyOrders, orderExpirySweep } from './orders';
+    export { createCommissionRule, endCommissionRule, listCommissionRules } from './commissions';
+    export { setExchangeRate, listExchangeRates } from './exchangeRates';
+    export { reviewMonthlyPayouts, approveMonthlyPayouts, setPayoutEmail } from './payouts';
+    export { resetMonthlyEarnings } from './monthClose';
+    export { backfillSalesLedger } from './salesLedger';
+    export { exportSales } from './exports';
+    export { retryWebhookFailures, listWebhookFailures, getWebhookFailure, replayWebhookFailure } from './webhookFailures';
+    export { paypalWebhookConsumer } from './webhookQueue';
 
     admin.initializeApp();
     const db = admin.firestore();
 
-    const CLIENT_ID = process.env.PAYPAL_CLIENT_ID; // Access env vars directly for v2
-    const CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET; // Access env vars directly for v2
-
-    // Ensure credentials are present before proceeding
-    if (!CLIENT_ID || !CLIENT_SECRET) {
-        // For v2 functions, it's safer to throw this at module load if variables are critical.
-        // Or handle within the function if it's possible for them to be missing after deploy.
-        // For production, always ensure these are set via `firebase functions:secrets:set` or config.
-        console.error('PayPal API credentials are not set as environment variables.');
-        // Consider exiting if this is a hard dependency, or letting the function handle error
-        // return; // Or throw new Error('...'); if you want deployment to fail immediately.
-    }
-
-    const environment = new paypal.core.SandboxEnvironment(CLIENT_ID!, CLIENT_SECRET!); // Use Sandbox for testing, add ! for non-null assertion
-    const client = new paypal.core.PayPalHttpClient(environment);
 
     // Interface for the data expected by createPayPalOrder callable function
     interface PayPalOrderData {
         selectedTierId: string;
-        userId: string;
     }
 
     /**
      * createPayPalOrder: HTTPS Callable function to create a PayPal order (v2).
-     * Called by the frontend to initiate a payment.
+     * Called by the frontend to initiate a payment. The order is always for the signed-in user.
      */
-    export const createPayPalOrder = onCall<PayPalOrderData>(async (request) => { // Use onCall directly
-        console.info('createPayPalOrder: Function started.', { data: request.data, auth: request.auth?.uid }); // Use console.info for v2 logs
-
+    export const createPayPalOrder = onCall<PayPalOrderData>({ secrets: PAYPAL_SECRETS }, async (request) => { // Use onCall directly
         if (!request.auth || !request.auth.uid) {
             console.error('Unauthenticated call to createPayPalOrder.');
-            throw new Error('User must be authenticated to create an order.'); // Use generic Error for callable
+            throw new HttpsError('unauthenticated', 'User must be authenticated to create an order.');
         }
-
-        const { selectedTierId, userId } = request.data;
+        const userId = request.auth.uid;
+        const selectedTierId = request.data?.selectedTierId;
+        console.info('createPayPalOrder: Function started.', { userId, selectedTierId });
 
         if (!selectedTierId) {
-            console.error('Invalid argument: selectedTierId is missing.', { userId: request.auth.uid });
-            throw new Error('Payment tier is required.');
+            console.error('Invalid argument: selectedTierId is missing.', { userId });
+            throw new HttpsError('invalid-argument', 'Payment tier is required.');
         }
 
-        const paymentTiers: { [key: string]: { currency_code: string; value: string; description: string; } } = {
-            'local': { currency_code: 'USD', value: '50.00', description: 'Local (Botswana Citizens) Membership' },
-            'sadc': { currency_code: 'USD', value: '100.00', description: 'SADC Citizens Membership' },
-            'global': { currency_code: 'USD', value: '380.00', description: 'Access for international users' },
-        };
-
-        const selectedTier = paymentTiers[selectedTierId];
+        const selectedTier = await getTier(selectedTierId);
 
-        if (!selectedTier) {
-            console.error('Invalid payment tier selected.', { selectedTierId, userId: request.auth.uid });
-            throw new Error('Invalid payment tier selected.');
+        if (!selectedTier || !selectedTier.active) {
+            console.error('Invalid payment tier selected.', { selectedTierId, userId });
+            throw new HttpsError('invalid-argument', 'Invalid payment tier selected.');
         }
 
-        console.info(`Creating PayPal order for User: ${userId}, Tier: ${selectedTierId}, Amount: ${selectedTier.value} ${selectedTier.currency_code}`);
+        console.info(`Creating PayPal order for User: ${userId}, Tier: ${selectedTierId}, Amount: ${selectedTier.price} ${selectedTier.currency}`);
 
         const payPalRequest = new paypal.orders.OrdersCreateRequest();
         payPalRequest.prefer('return=representation');
         payPalRequest.requestBody({
             intent: 'CAPTURE',
             purchase_units: [{
-                reference_id: userId,
-                amount: {
-                    currency_code: selectedTier.currency_code,
-                    value: selectedTier.value
-                },
+                custom_id: encodeOrderMetadata({ userId, tierId: selectedTier.id }), // See orderMetadata.ts.
+                amount: tierAmount(selectedTier),
                 description: selectedTier.description,
                 soft_descriptor: `Membership:${selectedTierId}`
             }],
             application_context: {
                 return_url: `https://guided-botswana.web.app/payment-success?userId=${userId}&tier=${selectedTierId}`,
                 cancel_url: `https://guided-botswana.web.app/payment-cancel?userId=${userId}`,
-                brand_name: "Explore Botswana",
-                shipping_preference: "NO_SHIPPING",
-                user_action: "PAY_NOW"
+                brand_name: 'Explore Botswana',
+                shipping_preference: 'NO_SHIPPING',
+                user_action: 'PAY_NOW'
             }
         });
 
         try {
             const order = await client.execute(payPalRequest);
             const approvalUrl = order.result.links.find((link: any) => link.rel === 'approve').href;
+            // The tier travels with the order so received payments can be reconciled against it.
+            await recordOrderCreated(order.result.id, userId, selectedTier);
             console.info('PayPal Order created successfully, redirecting.', { orderId: order.result.id, approvalUrl });
             return { redirectUrl: approvalUrl, orderId: order.result.id };
         } catch (error: any) {
@@ -97,196 +101,245 @@
                 details: error.result?.details,
                 debug_id: error.result?.debug_id
             });
-            throw new Error('Failed to create PayPal order.'); // Use generic Error for callable
+            throw new HttpsError('internal', 'Failed to create PayPal order.');
         }
     });
 
+    // Interface for the data expected by capturePayPalOrder callable function
+    interface CapturePayPalOrderData {
+        orderId: string;
+        tierId: string;
+    }
+
     /**
-     * paypalWebhookHandler: HTTPS Endpoint function for PayPal webhooks (v2).
-     * PayPal sends payment notifications here. You must configure this URL in PayPal Developer Dashboard.
-     * URL will be: `https://your-region-your-project-id.cloudfunctions.net/paypalWebhookHandler`
+     * capturePayPalOrder: HTTPS Callable function to capture an approved PayPal order (v2).
+     * Called from the return_url page once the payer has approved. The order amount is checked against
+     * the tier before and after capture, and the membership is activated synchronously.
+     * The APPROVED and CAPTURE.COMPLETED webhooks remain as a backstop; applyPayment dedupes the paths.
      */
-    export const paypalWebhookHandler = onRequest(async (req, res) => { // Use onRequest directly
-        console.info('paypalWebhookHandler: Webhook received.', { eventType: req.body?.event_type, method: req.method });
+    export const capturePayPalOrder = onCall<CapturePayPalOrderData>({ secrets: PAYPAL_SECRETS }, async (request) => {
+        console.info('capturePayPalOrder: Function started.', { data: request.data, auth: request.auth?.uid });
 
-        if (req.method !== 'POST') {
-            res.status(405).send('Method Not Allowed');
-            return;
+        if (!request.auth || !request.auth.uid) {
+            console.error('Unauthenticated call to capturePayPalOrder.');
+            throw new HttpsError('unauthenticated', 'User must be authenticated to capture an order.');
+        }
+
+        const { orderId, tierId } = request.data;
+        if (!orderId || !tierId) {
+            throw new HttpsError('invalid-argument', 'orderId and tierId are required.');
         }
 
-        const eventType = req.body.event_type;
-        const resource = req.body.resource;
+        // The tier recorded at order creation wins; the client's tierId only covers orders created before that.
+        const expectedOrder = await getExpectedOrder(orderId);
+        if (expectedOrder && expectedOrder.tierId !== tierId) {
+            throw new HttpsError('invalid-argument', 'Tier does not match the one the order was created for.');
+        }
+        const tier = await getTier(expectedOrder?.tierId || tierId);
+        if (!tier) {
+            throw new HttpsError('invalid-argument', 'Invalid payment tier selected.');
+        }
+        const expectedAmount = expectedOrder?.amount || tierAmount(tier);
 
+        let order: any;
         try {
-            switch (eventType) {
-                case 'CHECKOUT.ORDER.COMPLETED':
-                case 'CHECKOUT.ORDER.APPROVED':
-                case 'PAYMENT.CAPTURE.COMPLETED':
-                    const orderId = resource.id;
-                    const userId = resource.purchase_units?.[0]?.reference_id || resource.purchase_units?.[0]?.custom_id;
-                    const payerEmail = resource.payer?.email_address;
-                    const grossAmount = parseFloat(resource.purchase_units?.[0]?.amount?.value || '0');
-                    const currencyCode = resource.purchase_units?.[0]?.amount?.currency_code;
-                    const paymentStatus = resource.status;
-
-                    console.info(`Payment ${paymentStatus} via webhook for Order ID: ${orderId}, User ID: ${userId}`, {
-                        grossAmount,
-                        currencyCode,
-                        payerEmail
-                    });
-
-                    if (userId && (paymentStatus === 'COMPLETED' || paymentStatus === 'APPROVED')) {
-                        const userRef = db.collection('users').doc(userId);
-                        await db.runTransaction(async (transaction) => {
-                            const userDoc = await transaction.get(userRef);
-                            if (!userDoc.exists) {
-                                console.warn(`User document not found for webhook customId: ${userId}.`);
-                                return;
-                            }
-
-                            const userData = userDoc.data();
-                            const salespersonFullName = userData?.salesperson?.fullName;
-
-                            const newExpiryDate = admin.firestore.Timestamp.fromMillis(Date.now() + (14 * 24 * 60 * 60 * 1000));
-
-                            transaction.update(userRef, {
-                                paymentStatus: 'paid',
-                                membershipExpiry: newExpiryDate,
-                                lastPaymentDate: admin.firestore.FieldValue.serverTimestamp(),
-                                paypalOrderId: orderId,
-                                paypalPayerEmail: payerEmail,
-                                paypalGrossAmount: grossAmount,
-                                paypalCurrencyCode: currencyCode
-                            });
-
-                            if (salespersonFullName) {
-                                const commissionRate = 0.20;
-                                const commissionEarned = grossAmount * commissionRate;
-                                const salespersonRef = db.collection('salespersons').doc(salespersonFullName);
-
-                                const spDoc = await transaction.get(salespersonRef);
-                                if (spDoc.exists) {
-                                    transaction.update(salespersonRef, {
-                                        currentMonthEarnings: admin.firestore.FieldValue.increment(commissionEarned),
-                                        totalSales: admin.firestore.FieldValue.increment(1),
-                                        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-                                    });
-                                    console.info(`Salesperson ${salespersonFullName} earnings updated: +${commissionEarned}.`);
-                                } else {
-                                    console.warn(`Salesperson document missing for ${salespersonFullName}. Creating new record.`);
-                                    transaction.set(salespersonRef, {
-                                        firstName: salespersonFullName.split(' ')[0] || null,
-                                        lastName: salespersonFullName.split(' ')[1] || null,
-                                        fullName: salespersonFullName,
-                                        currentMonthEarnings: commissionEarned,
-                                        totalSales: 1,
-                                        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-                                    });
-                                }
-                                const currentMonth = new Date().toISOString().substring(0, 7);
-                                const individualSaleRef = salespersonRef.collection('monthlyPayouts').doc(currentMonth).collection('individualSales').doc();
-                                transaction.set(individualSaleRef, {
-                                    userId: userId,
-                                    orderId: orderId,
-                                    amount: grossAmount,
-                                    commission: commissionEarned,
-                                    timestamp: admin.firestore.FieldValue.serverTimestamp()
-                                });
-                            } else {
-                                console.info(`User ${userId} has no associated salesperson.`);
-                            }
-                        });
-                    }
-                    break;
-
-                case 'PAYMENT.CAPTURE.DENIED':
-                    console.warn('Payment Capture Denied:', { orderId: resource.id, userId: resource.purchase_units?.[0]?.reference_id });
-                    break;
-                case 'BILLING.SUBSCRIPTION.CANCELLED':
-                case 'BILLING.SUBSCRIPTION.EXPIRED':
-                    console.info(`Subscription ${resource.id} ${eventType}.`);
-                    break;
-                default:
-                    console.info(`Unhandled webhook event type: ${eventType}.`);
-            }
-            res.status(200).send('Webhook processed.');
+            order = (await client.execute(new paypal.orders.OrdersGetRequest(orderId))).result;
         } catch (error: any) {
-            console.error('Error processing PayPal webhook:', error);
-            res.status(500).send('Internal Server Error processing webhook.');
+            console.error('Error fetching PayPal order before capture:', { orderId, statusCode: error.statusCode, message: error.message });
+            throw new HttpsError('not-found', 'PayPal order could not be retrieved.');
+        }
+
+        const purchaseUnit = order.purchase_units?.[0];
+        const userId = orderMetadataFromResource(order)?.userId;
+        if (userId !== request.auth.uid) {
+            console.warn('capturePayPalOrder: caller does not own the order.', { orderId, caller: request.auth.uid, userId });
+            throw new HttpsError('permission-denied', 'This order does not belong to the signed-in user.');
+        }
+        if (!amountMatches(purchaseUnit?.amount, expectedAmount)) {
+            console.error('capturePayPalOrder: order amount does not match tier.', { orderId, tierId, amount: purchaseUnit?.amount });
+            throw new HttpsError('failed-precondition', 'Order amount does not match the selected tier.');
+        }
+
+        // An order the webhook backstop or an earlier call already captured is simply re-applied (a no-op).
+        let capture = purchaseUnit?.payments?.captures?.[0];
+        if (order.status !== 'COMPLETED') {
+            // Our expiry is only a record: an order PayPal still holds as approved is captured all the same.
+            if (order.status !== 'APPROVED' && expectedOrder?.status === 'EXPIRED') {
+                throw new HttpsError('failed-precondition', 'This checkout has expired; start a new order.');
+            }
+            if (order.status !== 'APPROVED') {
+                throw new HttpsError('failed-precondition', `Order is ${order.status}; it must be approved before capture.`);
+            }
+            try {
+                order = await captureOrder(orderId); // The same capture as the APPROVED webhook's.
+            } catch (error: any) {
+                console.error('Error capturing PayPal order:', {
+                    orderId,
+                    statusCode: error.statusCode,
+                    message: error.message,
+                    debug_id: error.result?.debug_id
+                });
+                throw new HttpsError('internal', 'Failed to capture PayPal order.');
+            }
+            capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+        }
+
+        if (capture?.status === 'DECLINED' || capture?.status === 'FAILED') {
+            await recordPaymentDenial({
+                orderId,
+                userId,
+                captureId: capture.id,
+                reason: capture.status_details?.reason || capture.status,
+                source: 'capture'
+            });
+        }
+        if (capture?.status !== 'COMPLETED') {
+            console.warn('capturePayPalOrder: capture not completed.', { orderId, captureStatus: capture?.status });
+            return { status: capture?.status || 'UNKNOWN', orderId };
+        }
+        if (!amountMatches(capture.amount, expectedAmount)) {
+            console.error('capturePayPalOrder: captured amount does not match tier.', { orderId, tierId, amount: capture.amount });
+            await recordPaymentDiscrepancy({
+                orderId,
+                userId,
+                tierId,
+                reason: 'amount_mismatch',
+                expected: expectedAmount,
+                received: capture.amount,
+                payerEmail: order.payer?.email_address,
+                source: 'capture'
+            });
+            throw new HttpsError('failed-precondition', 'Captured amount does not match the selected tier.');
+        }
+
+        const outcome = await applyPayment({
+            orderId,
+            userId,
+            gross: moneyFromPayPal(capture.amount)!, // amountMatches has checked it parses.
+            payerEmail: order.payer?.email_address,
+            source: 'capture',
+            captureId: capture.id,
+            tier
+        });
+        if (outcome === 'user_not_found') {
+            throw new HttpsError('not-found', 'User profile not found.');
         }
+
+        console.info(`capturePayPalOrder: order ${orderId} captured (${outcome}).`);
+        return { status: 'COMPLETED', orderId };
     });
 
+    // Interface for the data expected by resolvePaymentDiscrepancy callable function
+    interface ResolveDiscrepancyData {
+        orderId: string;
+        resolution: 'approve' | 'reject';
+        note?: string;
+    }
+
     /**
-     * resetMonthlyEarnings: Scheduled Pub/Sub function to reset salesperson earnings monthly (v2).
+     * resolvePaymentDiscrepancy: HTTPS Callable function for admins to settle a flagged payment (v2).
+     * 'approve' activates the membership for the amount actually received; 'reject' closes the
+     * discrepancy and leaves the user unpaid (any refund is issued from PayPal).
      */
-    export const resetMonthlyEarnings = onSchedule({
-        schedule: '0 0 1 * *',
-        timeZone: 'Africa/Johannesburg'
-    }, async (context) => {
-        console.info('Running monthly earnings reset for salespersons.');
-
-        const salespersonsRef = db.collection('salespersons');
-        const snapshot = await salespersonsRef.get();
-
-        const batch = db.batch();
-        const currentMonth = new Date().toISOString().substring(0, 7);
-
-        snapshot.forEach(doc => {
-            const salespersonData = doc.data();
-            const currentMonthEarnings = salespersonData?.currentMonthEarnings || 0;
-            const totalSales = salespersonData?.totalSales || 0;
-
-            if (currentMonthEarnings > 0 || totalSales > 0) {
-                const historicalRef = doc.ref.collection('historicalPayouts').doc(currentMonth);
-                batch.set(historicalRef, {
-                    month: currentMonth,
-                    earnings: currentMonthEarnings,
-                    totalCustomers: totalSales,
-                    archivedAt: admin.firestore.FieldValue.serverTimestamp()
-                }, { merge: true });
-                console.info(`Archived earnings for ${doc.id} for month ${currentMonth}.`);
-            }
+    export const resolvePaymentDiscrepancy = onCall<ResolveDiscrepancyData>(async (request) => {
+        const adminUid = await requireAdmin(request, 'resolve payment discrepancies');
+
+        const { orderId, resolution, note } = request.data;
+        if (!orderId || (resolution !== 'approve' && resolution !== 'reject')) {
+            throw new HttpsError('invalid-argument', 'orderId and a resolution of approve or reject are required.');
+        }
+
+        const discrepancyRef = db.collection('paymentDiscrepancies').doc(orderId);
+        const discrepancyDoc = await discrepancyRef.get();
+        if (!discrepancyDoc.exists) {
+            throw new HttpsError('not-found', 'No discrepancy recorded for this order.');
+        }
+        const discrepancy = discrepancyDoc.data()!;
+        if (discrepancy.status !== 'open') {
+            throw new HttpsError('failed-precondition', `Discrepancy is already ${discrepancy.status}.`);
+        }
 
-            batch.update(doc.ref, {
-                currentMonthEarnings: 0,
-                totalSales: 0
+        if (resolution === 'approve') {
+            const received = moneyFromPayPal(discrepancy.received);
+            if (!discrepancy.userId || !received) {
+                throw new HttpsError('failed-precondition', 'Discrepancy has no user or received amount to apply.');
+            }
+            const outcome = await applyPayment({
+                orderId,
+                userId: discrepancy.userId,
+                gross: received,
+                payerEmail: discrepancy.payerEmail || undefined,
+                source: 'admin',
+                tier: discrepancy.tierId ? await getTier(discrepancy.tierId) : undefined
             });
-            console.info(`Resetting currentMonthEarnings for ${doc.id}.`);
-        });
+            if (outcome === 'user_not_found') {
+                throw new HttpsError('not-found', 'User profile not found.');
+            }
+        }
 
-        await batch.commit();
-        console.info('Monthly earnings reset complete.');
+        await discrepancyRef.update({
+            status: resolution === 'approve' ? 'approved' : 'rejected',
+            resolvedBy: adminUid,
+            resolutionNote: note || null,
+            resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.info(`Payment discrepancy for order ${orderId} ${resolution === 'approve' ? 'approved' : 'rejected'}.`, { by: adminUid });
+        return { orderId, status: resolution === 'approve' ? 'approved' : 'rejected' };
     });
 
     /**
-     * getSalespersonData: HTTPS Callable function to retrieve salesperson data (v2).
+     * paypalWebhookHandler: HTTPS Endpoint function for PayPal webhooks (v2).
+     * PayPal sends payment notifications here. You must configure this URL in PayPal Developer Dashboard.
+     * Every delivery is signature-checked (see webhookVerification.ts) and then queued for
+     * paypalWebhookConsumer, which does all the processing (see webhookQueue.ts).
+     * URL will be: `https://your-region-your-project-id.cloudfunctions.net/paypalWebhookHandler`
      */
-    export const getSalespersonData = onCall(async (request) => { // Use onCall directly
-        if (!request.auth) {
-            throw new Error('Authentication required.');
+    export const paypalWebhookHandler = onRequest({ secrets: PAYPAL_SECRETS }, async (req, res) => { // Use onRequest directly
+        console.info('paypalWebhookHandler: Webhook received.', { eventType: req.body?.event_type, method: req.method });
+
+        if (req.method !== 'POST') {
+            res.status(405).send('Method Not Allowed');
+            return;
         }
 
-        console.info('Fetching all salesperson data.');
-        const salespersons: admin.firestore.DocumentData[] = [];
+        // Reject anything PayPal did not sign before touching Firestore.
         try {
-            const snapshot = await db.collection('salespersons').get();
-            for (const doc of snapshot.docs) {
-                const spData = doc.data();
-                const monthlyPayoutsSnapshot = await doc.ref.collection('monthlyPayouts').orderBy('month', 'desc').limit(1).get();
-                let currentMonthPayout = null;
-                if (!monthlyPayoutsSnapshot.empty) {
-                    currentMonthPayout = monthlyPayoutsSnapshot.docs[0].data();
-                }
-                salespersons.push({
-                    id: doc.id,
-                    ...spData,
-                    currentMonthPayout: currentMonthPayout
+            await verifyWebhookRequest(req, client);
+        } catch (error: any) {
+            if (error instanceof WebhookVerificationError) {
+                console.warn('Rejected PayPal webhook: signature verification failed.', {
+                    reason: error.message,
+                    transmissionId: req.get('paypal-transmission-id'),
+                    eventId: req.body?.id,
+                    eventType: req.body?.event_type
                 });
+                res.status(400).send('Webhook signature verification failed.');
+                return;
+            }
+            console.error('Error verifying PayPal webhook signature:', error);
+            res.status(500).send('Unable to verify webhook signature.');
+            return;
+        }
+
+        let event: WebhookEvent;
+        try {
+            event = parseWebhookEvent(req.body);
+        } catch (error: any) {
+            if (!(error instanceof MalformedWebhookError)) {
+                throw error;
             }
-            console.info(`Fetched ${salespersons.length} salesperson records.`);
-            return { salespersons };
+            console.warn(`Malformed PayPal webhook: ${error.message}`, { eventId: req.body?.id, eventType: req.body?.event_type });
+            res.status(400).send('Malformed webhook event.');
+            return;
+        }
+
+        try {
+            const messageId = await publishWebhookEvent(event, req.rawBody.toString('utf8'), req.headers);
+            console.info('paypalWebhookHandler: Webhook queued.', { eventId: event.id, eventType: event.event_type, messageId });
+            res.status(200).send('Webhook received.');
         } catch (error: any) {
-            console.error('Error fetching salesperson data:', error);
-            throw new Error('Failed to retrieve salesperson data.');
+            // PayPal redelivers anything not answered with a 2xx.
+            console.error('Error queueing PayPal webhook:', error);
+            res.status(500).send('Internal Server Error queueing webhook.');
         }
-    });
\ No newline at end of file
+    });
@@ -0,0 +1,223 @@
+import * as admin from 'firebase-admin';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { defineInt } from 'firebase-functions/params';
+import { addAuditEntry } from './audit';
+
+/**
+ * Membership expiry arithmetic and the users/{uid}/memberships history.
+ *
+ * A grant extends from the later of "now" and the current expiry, so renewing early never loses the
+ * days still left. Every grant is written to the history subcollection, keyed by the order (or other
+ * source id) that paid for it, so support can trace how an expiry date was reached.
+ */
+
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+export const DEFAULT_MEMBERSHIP_DURATION_DAYS = 14;
+
+// Users read per sweep query. Expiry commits one transaction per user; the renewal flags are batched,
+// one write per user, so a page stays well under the 500-write batch limit.
+const SWEEP_PAGE_SIZE = 200;
+
+export interface MembershipGrant {
+    startsAt: admin.firestore.Timestamp;
+    expiresAt: admin.firestore.Timestamp;
+    previousExpiry: admin.firestore.Timestamp | null;
+    durationDays: number;
+}
+
+/**
+ * computeMembershipGrant: Works out the new expiry for a grant of `durationDays`.
+ */
+export function computeMembershipGrant(
+    currentExpiry: admin.firestore.Timestamp | null | undefined,
+    durationDays: number,
+    nowMs: number = Date.now()
+): MembershipGrant {
+    const previousExpiry = currentExpiry || null;
+    const startMs = Math.max(nowMs, previousExpiry ? previousExpiry.toMillis() : 0);
+    return {
+        startsAt: admin.firestore.Timestamp.fromMillis(startMs),
+        expiresAt: admin.firestore.Timestamp.fromMillis(startMs + durationDays * MS_PER_DAY),
+        previousExpiry,
+        durationDays,
+    };
+}
+
+/**
+ * recordMembershipGrant: Adds the grant to users/{uid}/memberships inside the caller's transaction.
+ */
+export function recordMembershipGrant(
+    transaction: admin.firestore.Transaction,
+    userRef: admin.firestore.DocumentReference,
+    grantId: string,
+    grant: MembershipGrant,
+    details: { tierId?: string | null; source: string; orderId?: string | null }
+): void {
+    transaction.set(userRef.collection('memberships').doc(grantId), {
+        orderId: details.orderId || null,
+        tierId: details.tierId || null,
+        source: details.source,
+        durationDays: grant.durationDays,
+        previousExpiry: grant.previousExpiry,
+        startsAt: grant.startsAt,
+        expiresAt: grant.expiresAt,
+        grantedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * recordMembershipRevocation: Adds a refund/chargeback entry to users/{uid}/memberships inside the
+ * caller's transaction. `removedDays` may be fractional for partial refunds.
+ */
+export function recordMembershipRevocation(
+    transaction: admin.firestore.Transaction,
+    userRef: admin.firestore.DocumentReference,
+    revocationId: string,
+    details: {
+        orderId: string;
+        reason: string;
+        removedDays: number;
+        previousExpiry: admin.firestore.Timestamp | null;
+        expiresAt: admin.firestore.Timestamp;
+    }
+): void {
+    transaction.set(userRef.collection('memberships').doc(revocationId), {
+        orderId: details.orderId,
+        source: details.reason,
+        durationDays: -details.removedDays,
+        previousExpiry: details.previousExpiry,
+        expiresAt: details.expiresAt,
+        grantedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+const membershipReminderDays = defineInt('MEMBERSHIP_REMINDER_DAYS', {
+    default: 3,
+    description: 'How many days ahead of expiry members are flagged for a renewal reminder.'
+});
+
+function reminderLeadDays(): number {
+    // An unset (or non-numeric) param reads as 0 outside the CLI.
+    const configured = membershipReminderDays.value();
+    return Number.isInteger(configured) && configured > 0 ? configured : 3;
+}
+
+/**
+ * expireLapsedMemberships: Flips paid users whose membershipExpiry has passed to 'expired' and
+ * returns how many were changed. Each user is re-read in its own transaction, so a renewal that
+ * applyPayment commits after the query is never overwritten.
+ */
+export async function expireLapsedMemberships(now: admin.firestore.Timestamp): Promise<number> {
+    const db = admin.firestore();
+    let expired = 0;
+
+    // Updated (and meanwhile renewed) users drop out of the query, so each round simply takes the next page from the top.
+    for (;;) {
+        const snapshot = await db.collection('users')
+            .where('paymentStatus', '==', 'paid')
+            .where('membershipExpiry', '<=', now)
+            .orderBy('membershipExpiry')
+            .limit(SWEEP_PAGE_SIZE)
+            .get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        for (const candidate of snapshot.docs) {
+            const changed = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(candidate.ref);
+                const expiry: admin.firestore.Timestamp | undefined = doc.get('membershipExpiry');
+                if (doc.get('paymentStatus') !== 'paid' || !expiry || expiry.toMillis() > now.toMillis()) {
+                    return false;
+                }
+                transaction.update(doc.ref, {
+                    paymentStatus: 'expired',
+                    renewalReminderDue: false,
+                    membershipExpiredAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                addAuditEntry(transaction, 'membership.expired', {
+                    subjectId: doc.id,
+                    previousStatus: 'paid',
+                    membershipExpiry: expiry
+                });
+                return true;
+            });
+            if (changed) {
+                expired++;
+            }
+        }
+
+        if (snapshot.size < SWEEP_PAGE_SIZE) {
+            break;
+        }
+    }
+    return expired;
+}
+
+/**
+ * flagUpcomingRenewals: Sets renewalReminderDue on paid users expiring within `leadDays`,
+ * so the frontend can prompt them to renew. Returns how many users were newly flagged.
+ */
+export async function flagUpcomingRenewals(now: admin.firestore.Timestamp, leadDays: number): Promise<number> {
+    const db = admin.firestore();
+    const horizon = admin.firestore.Timestamp.fromMillis(now.toMillis() + leadDays * MS_PER_DAY);
+    let flagged = 0;
+    let cursor: admin.firestore.QueryDocumentSnapshot | undefined;
+
+    for (;;) {
+        let query = db.collection('users')
+            .where('paymentStatus', '==', 'paid')
+            .where('membershipExpiry', '>', now)
+            .where('membershipExpiry', '<=', horizon)
+            .orderBy('membershipExpiry')
+            .limit(SWEEP_PAGE_SIZE);
+        if (cursor) {
+            query = query.startAfter(cursor);
+        }
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        const batch = db.batch();
+        let pending = 0;
+        snapshot.docs.forEach((doc) => {
+            if (doc.get('renewalReminderDue') === true) {
+                return;
+            }
+            batch.update(doc.ref, {
+                renewalReminderDue: true,
+                renewalReminderSetAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            pending++;
+        });
+        if (pending) {
+            await batch.commit();
+            flagged += pending;
+        }
+
+        cursor = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.size < SWEEP_PAGE_SIZE) {
+            break;
+        }
+    }
+    return flagged;
+}
+
+/**
+ * membershipExpirySweep: Scheduled function that downgrades lapsed memberships daily (v2).
+ * Also flags renewal reminders MEMBERSHIP_REMINDER_DAYS (default 3) days ahead of expiry.
+ * Needs a composite index on users (paymentStatus ASC, membershipExpiry ASC).
+ */
+export const membershipExpirySweep = onSchedule({
+    schedule: '0 1 * * *',
+    timeZone: 'Africa/Johannesburg'
+}, async () => {
+    const now = admin.firestore.Timestamp.now();
+    console.info('Running membership expiry sweep.', { now: now.toDate().toISOString() });
+
+    const expired = await expireLapsedMemberships(now);
+    const reminded = await flagUpcomingRenewals(now, reminderLeadDays());
+
+    console.info(`Membership expiry sweep complete: ${expired} expired, ${reminded} renewal reminders set.`);
+});
@@ -0,0 +1,203 @@
+/**
+ * Money as integer minor units with an explicit currency.
+ *
+ * Every stored amount is an integer count of the currency's minor unit (cents for USD, whole yen
+ * for JPY) next to its ISO 4217 code: `amountMinor` / `currency`, or a `{ [currency]: minor }` map
+ * where one record holds several currencies. Decimal strings only exist at the PayPal boundary and
+ * are converted exactly, without going through floating point.
+ *
+ * Rounding is always half up to the nearest minor unit. Commission rates are applied at basis-point
+ * precision (0.01%); a rate with more precision is rounded to the nearest basis point first.
+ *
+ * Amounts written before this module (floating-point `grossAmount`, `commission`, `currentMonthEarnings`,
+ * `earnings`) carry no currency of their own, and the tiers of that time were not all in one
+ * currency. They are only read in a currency recorded next to them (the payment's currencyCode, a
+ * payout's payoutCurrency) or stamped by the backfills (normalizeLegacyDocuments, backfillSalesLedger);
+ * one with neither is a LegacyCurrencyError, never a guess.
+ */
+
+export interface Money {
+    amountMinor: number;
+    currency: string;
+}
+
+export type CurrencyAmounts = { [currency: string]: number };
+
+// Currencies PayPal settles without a fractional part.
+const ZERO_DECIMAL_CURRENCIES = ['HUF', 'JPY', 'TWD'];
+
+const BASIS_POINTS = 10000;
+
+export class LegacyCurrencyError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'LegacyCurrencyError';
+    }
+}
+
+/**
+ * currencyExponent: Number of decimal places of `currency`'s minor unit.
+ */
+export function currencyExponent(currency: string): number {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+}
+
+/**
+ * isCurrencyCode: Whether `value` looks like an ISO 4217 code (and is safe as a Firestore field name).
+ */
+export function isCurrencyCode(value: unknown): value is string {
+    return typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+}
+
+/**
+ * parseDecimal: Exact minor units of a decimal string in `currency`, or null when the string is not a
+ * plain decimal or has more decimal places than the currency allows.
+ */
+export function parseDecimal(value: string, currency: string): number | null {
+    const exponent = currencyExponent(currency);
+    const match = /^(-)?(\d+)(?:\.(\d+))?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const [, sign, whole, fraction = ''] = match;
+    // PayPal pads some amounts ("50.0", "50.00"); extra zeros are fine, extra precision is not.
+    const trimmed = fraction.replace(/0+$/, '');
+    if (trimmed.length > exponent) {
+        return null;
+    }
+    const minor = Number(whole + trimmed.padEnd(exponent, '0'));
+    if (!Number.isSafeInteger(minor)) {
+        return null;
+    }
+    return sign ? -minor : minor;
+}
+
+/**
+ * toMinorUnits: Minor units of a PayPal decimal string. Numbers are only accepted for legacy floating-point
+ * fields and are rounded half up. Throws on anything that is not an amount.
+ */
+export function toMinorUnits(value: string | number, currency: string): number {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Not an amount: ${value}.`);
+        }
+        // Drop the float noise of the multiplication (1.005 * 100 = 100.49999...) before rounding.
+        return roundHalfUp(Number((value * 10 ** currencyExponent(currency)).toPrecision(15)));
+    }
+    const minor = parseDecimal(value, currency);
+    if (minor === null) {
+        throw new Error(`Not a ${currency} amount: "${value}".`);
+    }
+    return minor;
+}
+
+/**
+ * formatMinorUnits: The decimal string PayPal expects for `amountMinor` of `currency`, e.g. 5000 USD -> "50.00".
+ */
+export function formatMinorUnits(amountMinor: number, currency: string): string {
+    const exponent = currencyExponent(currency);
+    const digits = String(Math.abs(amountMinor)).padStart(exponent + 1, '0');
+    const whole = digits.slice(0, digits.length - exponent);
+    const fraction = exponent ? `.${digits.slice(digits.length - exponent)}` : '';
+    return `${amountMinor < 0 ? '-' : ''}${whole}${fraction}`;
+}
+
+/**
+ * moneyFromPayPal: Reads the Orders / Payments API `{ currency_code, value }` or the Payouts and
+ * billing `{ currency, value | total }` shape. Null when the amount is missing or malformed.
+ */
+export function moneyFromPayPal(amount: any): Money | null {
+    const currency = amount?.currency_code || amount?.currency;
+    const value = amount?.value ?? amount?.total;
+    if (!isCurrencyCode(currency) || typeof value !== 'string') {
+        return null;
+    }
+    const amountMinor = parseDecimal(value, currency);
+    return amountMinor === null ? null : { amountMinor, currency };
+}
+
+/**
+ * toPayPalAmount: `money` as the Orders API amount object.
+ */
+export function toPayPalAmount(money: Money): { currency_code: string; value: string } {
+    return { currency_code: money.currency, value: formatMinorUnits(money.amountMinor, money.currency) };
+}
+
+/**
+ * roundHalfUp: Nearest integer, with halves rounded away from zero.
+ */
+export function roundHalfUp(value: number): number {
+    return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+/**
+ * rateToBasisPoints: A fractional rate (0.2) as whole basis points (2000).
+ */
+export function rateToBasisPoints(rate: number): number {
+    return Math.round(rate * BASIS_POINTS);
+}
+
+/**
+ * isBasisPointRate: Whether `rate` is a fraction from 0 to 1 with no more precision than a basis point.
+ */
+export function isBasisPointRate(rate: unknown): rate is number {
+    return typeof rate === 'number' && rate >= 0 && rate <= 1 && Math.abs(rate * BASIS_POINTS - rateToBasisPoints(rate)) < 1e-6;
+}
+
+/**
+ * commissionMinorUnits: Commission on `grossMinor` at `rate`, rounded half up to the minor unit.
+ */
+export function commissionMinorUnits(grossMinor: number, rate: number): number {
+    return prorateMinorUnits(grossMinor, rateToBasisPoints(rate), BASIS_POINTS);
+}
+
+/**
+ * prorateMinorUnits: `amountMinor * part / whole` in integer arithmetic, rounded half up.
+ */
+export function prorateMinorUnits(amountMinor: number, part: number, whole: number): number {
+    if (whole <= 0) {
+        throw new Error('whole must be positive.');
+    }
+    const numerator = Math.abs(amountMinor) * part;
+    const rounded = Math.floor((2 * numerator + whole) / (2 * whole));
+    return amountMinor < 0 ? -rounded : rounded;
+}
+
+/**
+ * addAmounts: Adds every currency of `amounts` into `into` and returns it.
+ */
+export function addAmounts(into: CurrencyAmounts, amounts: CurrencyAmounts | undefined): CurrencyAmounts {
+    Object.entries(amounts || {}).forEach(([currency, amountMinor]) => {
+        into[currency] = (into[currency] || 0) + amountMinor;
+    });
+    return into;
+}
+
+/**
+ * nonZeroAmounts: `amounts` without the currencies that net to zero.
+ */
+export function nonZeroAmounts(amounts: CurrencyAmounts | undefined): CurrencyAmounts {
+    const kept: CurrencyAmounts = {};
+    Object.entries(amounts || {}).forEach(([currency, amountMinor]) => {
+        if (amountMinor) {
+            kept[currency] = amountMinor;
+        }
+    });
+    return kept;
+}
+
+/**
+ * storedAmounts: A per-currency map field, folding in a legacy floating-point field from documents
+ * written before minor units. Throws a LegacyCurrencyError when there is a legacy amount but no
+ * `legacyCurrency` to read it in.
+ */
+export function storedAmounts(amounts: CurrencyAmounts | undefined, legacyAmount?: number, legacyCurrency?: string | null): CurrencyAmounts {
+    const result = addAmounts({}, amounts);
+    if (typeof legacyAmount === 'number' && legacyAmount !== 0) {
+        if (!isCurrencyCode(legacyCurrency)) {
+            throw new LegacyCurrencyError(`A legacy amount of ${legacyAmount} has no currency.`);
+        }
+        addAmounts(result, { [legacyCurrency]: toMinorUnits(legacyAmount, legacyCurrency) });
+    }
+    return nonZeroAmounts(result);
+}
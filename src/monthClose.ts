@@ -0,0 +1,161 @@
+import * as admin from 'firebase-admin';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { nonZeroAmounts } from './money';
+
+/**
+ * Month close for salesperson earnings.
+ *
+ * Months are named YYYY-MM in BUSINESS_TIME_ZONE, for both the saleMonth of sales ledger entries and
+ * the historicalPayouts/{month} archive. On the 1st, resetMonthlyEarnings archives each salesperson's
+ * counters under the month that just ended and takes the archived amounts off the live counters with
+ * FieldValue.increment, so a sale credited while the close is running is kept for the new month
+ * instead of being zeroed. Earnings are archived per currency (earningsMinor, see money.ts); a legacy
+ * float currentMonthEarnings counter has no currency, so a salesperson still carrying one is left
+ * open until normalizeLegacyDocuments has converted it (a zero one is removed).
+ *
+ * Each run is recorded in jobRuns/monthClose_{month}. A salesperson is stamped with lastClosedMonth in
+ * the same batch as their archive, so a re-run (or a retry after a crash) skips everyone already closed.
+ */
+
+export const BUSINESS_TIME_ZONE = 'Africa/Johannesburg';
+
+// Each salesperson costs two writes (archive + counter update); keep a page well under the 500-write batch limit.
+const CLOSE_PAGE_SIZE = 200;
+
+const monthFormat = new Intl.DateTimeFormat('en-CA', { timeZone: BUSINESS_TIME_ZONE, year: 'numeric', month: '2-digit' });
+
+/**
+ * monthKey: The YYYY-MM month `date` falls in, in BUSINESS_TIME_ZONE.
+ */
+export function monthKey(date: Date = new Date()): string {
+    const parts = monthFormat.formatToParts(date);
+    const year = parts.find((part) => part.type === 'year')!.value;
+    const month = parts.find((part) => part.type === 'month')!.value;
+    return `${year}-${month}`;
+}
+
+/**
+ * previousMonthKey: The YYYY-MM month before the one `date` falls in, in BUSINESS_TIME_ZONE.
+ */
+export function previousMonthKey(date: Date = new Date()): string {
+    const [year, month] = monthKey(date).split('-').map(Number);
+    return month === 1 ? `${year - 1}-12` : `${year}-${String(month - 1).padStart(2, '0')}`;
+}
+
+/**
+ * closeMonth: Archives and resets every salesperson not yet closed for `month`.
+ * Returns how many salespersons were visited and how many had earnings or sales to archive.
+ */
+export async function closeMonth(month: string, runRef: admin.firestore.DocumentReference): Promise<{ processed: number; archived: number }> {
+    const db = admin.firestore();
+    let processed = 0;
+    let archived = 0;
+    let cursor: admin.firestore.QueryDocumentSnapshot | undefined;
+
+    for (;;) {
+        let query = db.collection('salespersons')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(CLOSE_PAGE_SIZE);
+        if (cursor) {
+            query = query.startAfter(cursor);
+        }
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        const batch = db.batch();
+        let pending = 0;
+        snapshot.docs.forEach((doc) => {
+            const lastClosedMonth: string | undefined = doc.get('lastClosedMonth');
+            if (doc.get('mergedInto') || (lastClosedMonth && lastClosedMonth >= month)) {
+                return;
+            }
+            const liveEarnings = nonZeroAmounts(doc.get('earningsMinor'));
+            const legacyEarnings: number | undefined = doc.get('currentMonthEarnings');
+            if (legacyEarnings) {
+                // No currency to archive them in until normalizeLegacyDocuments has converted them.
+                console.error(`Salesperson ${doc.id} still has legacy earnings in no known currency; ${month} not closed.`);
+                return;
+            }
+            const earningsMinor = liveEarnings;
+            const totalSales: number = doc.get('totalSales') || 0;
+
+            if (Object.keys(earningsMinor).length || totalSales !== 0) {
+                // merge keeps payout fields if the month was already archived and approved.
+                batch.set(doc.ref.collection('historicalPayouts').doc(month), {
+                    month,
+                    earningsMinor,
+                    totalCustomers: totalSales,
+                    jobRunId: runRef.id,
+                    archivedAt: admin.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+                archived++;
+            }
+            const resets: admin.firestore.DocumentData = {};
+            Object.entries(liveEarnings).forEach(([currency, amountMinor]) => {
+                resets[`earningsMinor.${currency}`] = admin.firestore.FieldValue.increment(-amountMinor);
+            });
+            if (legacyEarnings !== undefined) {
+                resets.currentMonthEarnings = admin.firestore.FieldValue.delete();
+            }
+            batch.update(doc.ref, {
+                ...resets,
+                totalSales: admin.firestore.FieldValue.increment(-totalSales),
+                lastClosedMonth: month,
+                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+            });
+            pending++;
+        });
+        if (pending) {
+            await batch.commit();
+        }
+        processed += snapshot.size;
+
+        cursor = snapshot.docs[snapshot.docs.length - 1];
+        await runRef.update({ processed, archived, cursor: cursor.id });
+        if (snapshot.size < CLOSE_PAGE_SIZE) {
+            break;
+        }
+    }
+    return { processed, archived };
+}
+
+/**
+ * resetMonthlyEarnings: Scheduled function that closes the previous month's salesperson earnings (v2).
+ */
+export const resetMonthlyEarnings = onSchedule({
+    schedule: '0 0 1 * *',
+    timeZone: BUSINESS_TIME_ZONE
+}, async () => {
+    const month = previousMonthKey();
+    const runRef = admin.firestore().collection('jobRuns').doc(`monthClose_${month}`);
+    console.info(`Running monthly earnings close for ${month}.`);
+
+    const runDoc = await runRef.get();
+    if (runDoc.get('status') === 'completed') {
+        console.info(`Month ${month} already closed; nothing to do.`, { completedAt: runDoc.get('completedAt')?.toDate() });
+        return;
+    }
+    await runRef.set({
+        job: 'monthClose',
+        month,
+        status: 'running',
+        attempts: admin.firestore.FieldValue.increment(1),
+        startedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    try {
+        const { processed, archived } = await closeMonth(month, runRef);
+        await runRef.update({
+            status: 'completed',
+            processed,
+            archived,
+            completedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.info(`Monthly earnings close for ${month} complete: ${archived} of ${processed} salespersons archived.`);
+    } catch (error: any) {
+        await runRef.update({ status: 'failed', error: error.message || String(error) });
+        throw error;
+    }
+});
@@ -0,0 +1,72 @@
+/**
+ * Order metadata carried through PayPal.
+ *
+ * Every order and subscription we create carries the same metadata in its custom_id (orders:
+ * purchase_units[0].custom_id; subscriptions: custom_id, which PayPal echoes as `custom` on each sale):
+ *
+ *     eb1:{userId}:{tierId}
+ *
+ *  - `eb1` versions the format, so it can change without breaking orders still in flight;
+ *  - userId is the Firebase Auth uid of the buyer; tierId is the paymentTiers document id.
+ *
+ * The salesperson is deliberately not part of it. Commission goes to the salesperson linked to the
+ * user (users.salespersonId, set by attachReferralCode) at the time the payment is applied, so a
+ * payer cannot redirect commission by editing metadata.
+ *
+ * PayPal limits custom_id to 127 characters; uids (28) and tier ids (at most MAX_TIER_ID_LENGTH) fit. decodeOrderMetadata
+ * also reads the formats used before this one: a bare userId (first TypeScript handler) and
+ * `{userId}_{salespersonId}` with the tier in `description` (the retired Pub/Sub handler in index.js).
+ */
+
+export const ORDER_METADATA_VERSION = 'eb1';
+
+/** MAX_TIER_ID_LENGTH: The longest tier id; tiers.ts enforces it when a tier is created. */
+export const MAX_TIER_ID_LENGTH = 40;
+
+export interface OrderMetadata {
+    userId: string;
+    tierId?: string;
+    legacySalespersonId?: string;   // Only from `{userId}_{salespersonId}` metadata; informational.
+}
+
+/**
+ * encodeOrderMetadata: The custom_id for an order or subscription.
+ */
+export function encodeOrderMetadata(metadata: { userId: string; tierId: string }): string {
+    if (metadata.userId.includes(':') || metadata.tierId.includes(':')) {
+        throw new Error('userId and tierId must not contain ":".');
+    }
+    return `${ORDER_METADATA_VERSION}:${metadata.userId}:${metadata.tierId}`;
+}
+
+/**
+ * decodeOrderMetadata: Parses a custom_id in the current or a legacy format; null when there is none.
+ * `description` is only consulted for the legacy index.js format, which kept the tier there.
+ */
+export function decodeOrderMetadata(customId: string | undefined | null, description?: string): OrderMetadata | null {
+    if (!customId) {
+        return null;
+    }
+    const parts = customId.split(':');
+    if (parts[0] === ORDER_METADATA_VERSION) {
+        return parts.length === 3 && parts[1] && parts[2] ? { userId: parts[1], tierId: parts[2] } : null;
+    }
+    if (parts.length > 1) {
+        return null; // An unknown future version; do not guess.
+    }
+    const legacy = customId.split('_');
+    if (legacy.length === 2 && legacy[0] && legacy[1]) {
+        return { userId: legacy[0], tierId: description || undefined, legacySalespersonId: legacy[1] };
+    }
+    return { userId: customId };
+}
+
+/**
+ * orderMetadataFromResource: Metadata from an order, capture or sale resource of any webhook event.
+ */
+export function orderMetadataFromResource(resource: any): OrderMetadata | null {
+    const unit = resource?.purchase_units?.[0];
+    return decodeOrderMetadata(unit?.custom_id || resource?.custom_id || resource?.custom, unit?.description)
+        // Orders created before custom_id was set carried the uid in reference_id.
+        || (unit?.reference_id && unit.reference_id !== 'default' ? { userId: unit.reference_id } : null);
+}
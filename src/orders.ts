@@ -0,0 +1,286 @@
+import * as admin from 'firebase-admin';
+import * as paypal from '@paypal/checkout-server-sdk';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { resolveSalespersonRef } from './salespersons';
+import { PaymentTier, tierAmount } from './tiers';
+import { moneyFromPayPal } from './money';
+import { client } from './paypalClient';
+import { PAYPAL_SECRETS } from './paypalConfig';
+
+/**
+ * Order lifecycle in orders/{orderId}.
+ *
+ * createPayPalOrder writes the document as soon as PayPal has created the order: the user, the tier,
+ * the salesperson the sale would be credited to and the expected amount (which reconciliation.ts
+ * checks payments against). Its status then only moves along ORDER_TRANSITIONS as progress is reported:
+ *
+ *     CREATED -> APPROVED -> CAPTURED -> REFUNDED
+ *        |          |
+ *        +----------+-> DENIED | EXPIRED
+ *
+ * Webhooks arrive late, twice and out of order, so a transition the current status does not allow is
+ * ignored rather than applied. DENIED and EXPIRED are not final: a retried capture can still succeed
+ * after a denial, and money PayPal reports as captured after the expiry sweep is recorded as CAPTURED.
+ * The sweep only expires orders PayPal itself no longer holds as approved (see isAbandonedOnPayPal).
+ * Transitions made with a payment, denial or refund are written in the same transaction as it
+ * (payments.ts, reversals.ts); every transition is appended to `history`.
+ */
+
+export type OrderStatus = 'CREATED' | 'APPROVED' | 'CAPTURED' | 'DENIED' | 'REFUNDED' | 'EXPIRED';
+
+export const ORDER_TRANSITIONS: { [status in OrderStatus]: OrderStatus[] } = {
+    CREATED: ['APPROVED', 'CAPTURED', 'DENIED', 'EXPIRED'],
+    APPROVED: ['CAPTURED', 'DENIED', 'EXPIRED'],
+    CAPTURED: ['REFUNDED'],
+    DENIED: ['CAPTURED'],
+    EXPIRED: ['APPROVED', 'CAPTURED', 'DENIED'],
+    REFUNDED: [],
+};
+
+// Orders neither captured nor denied this long after creation count as abandoned checkouts.
+export const ORDER_TTL_HOURS = 24;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Each expired order is its own transaction; a page only bounds how much is read at once.
+const EXPIRY_PAGE_SIZE = 200;
+const LIST_PAGE_SIZE = 20;
+
+export interface OrderTransition {
+    source: string;             // 'webhook', 'capture', 'admin', 'expiry' or the reversal kind.
+    eventId?: string;
+    captureId?: string;
+    reason?: string;
+}
+
+export type OrderTransitionOutcome = 'advanced' | 'ignored' | 'order_not_found';
+
+/**
+ * canTransitionOrder: Whether an order in `from` may move to `to`. Orders written before the
+ * lifecycle was tracked have no status and count as CREATED.
+ */
+export function canTransitionOrder(from: OrderStatus | undefined, to: OrderStatus): boolean {
+    return (ORDER_TRANSITIONS[from || 'CREATED'] || []).includes(to);
+}
+
+/**
+ * transitionOrder: Queues the move of `orderDoc` to `status` on `transaction` when the lifecycle
+ * allows it. `orderDoc` must have been read in the same transaction.
+ */
+export function transitionOrder(
+    transaction: admin.firestore.Transaction,
+    orderDoc: admin.firestore.DocumentSnapshot,
+    status: OrderStatus,
+    transition: OrderTransition
+): OrderTransitionOutcome {
+    if (!orderDoc.exists) {
+        return 'order_not_found';
+    }
+    const current: OrderStatus | undefined = orderDoc.get('status');
+    if (!canTransitionOrder(current, status)) {
+        console.info(`Order ${orderDoc.id} stays ${current || 'CREATED'}; ${status} does not follow it.`, { ...transition });
+        return 'ignored';
+    }
+    transaction.update(orderDoc.ref, {
+        status,
+        [`${status.toLowerCase()}At`]: admin.firestore.FieldValue.serverTimestamp(), // approvedAt, capturedAt, ...
+        ...(transition.captureId ? { captureId: transition.captureId } : {}),
+        ...(transition.reason ? { statusReason: transition.reason } : {}),
+        history: admin.firestore.FieldValue.arrayUnion({
+            from: current || 'CREATED',
+            to: status,
+            source: transition.source,
+            eventId: transition.eventId || null,
+            at: admin.firestore.Timestamp.now()
+        }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return 'advanced';
+}
+
+/**
+ * advanceOrder: Moves orders/{orderId} to `status` in its own transaction, for transitions that
+ * carry no other write (approval, expiry).
+ */
+export async function advanceOrder(orderId: string, status: OrderStatus, transition: OrderTransition): Promise<OrderTransitionOutcome> {
+    const db = admin.firestore();
+    const orderRef = db.collection('orders').doc(orderId);
+    return db.runTransaction(async (transaction) => transitionOrder(transaction, await transaction.get(orderRef), status, transition));
+}
+
+/**
+ * captureOrder: Captures an approved PayPal order and returns the order as PayPal reports it after the
+ * capture. capturePayPalOrder and the CHECKOUT.ORDER.APPROVED webhook send the same PayPal-Request-Id,
+ * so PayPal treats all their attempts as one capture; an order captured some other way is read back.
+ */
+export async function captureOrder(orderId: string): Promise<any> {
+    const captureRequest = new paypal.orders.OrdersCaptureRequest(orderId);
+    captureRequest.prefer('return=representation');
+    captureRequest.payPalRequestId(`capture-${orderId}`);
+    try {
+        return (await client.execute(captureRequest)).result;
+    } catch (error: any) {
+        if (error.statusCode !== 422 || !String(error.message).includes('ORDER_ALREADY_CAPTURED')) {
+            throw error;
+        }
+        return (await client.execute(new paypal.orders.OrdersGetRequest(orderId))).result;
+    }
+}
+
+/**
+ * recordOrderCreated: Writes orders/{orderId} for an order PayPal has just created for `userId`.
+ */
+export async function recordOrderCreated(orderId: string, userId: string, tier: PaymentTier): Promise<void> {
+    const db = admin.firestore();
+    const orderRef = db.collection('orders').doc(orderId);
+    const userRef = db.collection('users').doc(userId);
+    const amount = tierAmount(tier);
+    const money = moneyFromPayPal(amount)!;
+
+    await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        const salespersonRef = await resolveSalespersonRef(transaction, userDoc.data());
+        transaction.set(orderRef, {
+            userId,
+            tierId: tier.id,
+            salespersonId: salespersonRef?.id || null,
+            amount,
+            amountMinor: money.amountMinor,
+            currency: money.currency,
+            status: 'CREATED',
+            history: [],
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + ORDER_TTL_HOURS * MS_PER_HOUR)
+        });
+    });
+}
+
+/**
+ * isAbandonedOnPayPal: Whether an order PayPal reports as `status` (null when PayPal does not know it)
+ * can no longer be paid. An APPROVED order can still be captured and a COMPLETED one has been.
+ */
+export function isAbandonedOnPayPal(status: string | null): boolean {
+    return status !== 'APPROVED' && status !== 'COMPLETED';
+}
+
+/**
+ * payPalOrderStatus: The status PayPal reports for an order, or null when PayPal does not know it.
+ */
+export async function payPalOrderStatus(orderId: string): Promise<string | null> {
+    try {
+        return (await client.execute(new paypal.orders.OrdersGetRequest(orderId))).result.status;
+    } catch (error: any) {
+        if (error.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * expireStaleOrders: Moves CREATED and APPROVED orders whose expiresAt has passed to EXPIRED, once
+ * `paypalStatus` (PayPal's own view, see payPalOrderStatus) confirms they were abandoned, and returns
+ * how many were changed. Orders PayPal could still capture, or could not be asked about, are left for
+ * a later sweep.
+ */
+export async function expireStaleOrders(
+    now: admin.firestore.Timestamp,
+    paypalStatus: (orderId: string) => Promise<string | null> = payPalOrderStatus
+): Promise<number> {
+    const db = admin.firestore();
+    let expired = 0;
+    let cursor: admin.firestore.QueryDocumentSnapshot | undefined;
+
+    for (;;) {
+        let query = db.collection('orders')
+            .where('status', 'in', ['CREATED', 'APPROVED'])
+            .where('expiresAt', '<=', now)
+            .orderBy('expiresAt')
+            .limit(EXPIRY_PAGE_SIZE);
+        if (cursor) {
+            query = query.startAfter(cursor);
+        }
+        const snapshot = await query.get();
+        for (const doc of snapshot.docs) {
+            let status: string | null;
+            try {
+                status = await paypalStatus(doc.id);
+            } catch (error: any) {
+                console.warn(`Could not read PayPal order ${doc.id}; not expiring it yet.`, { statusCode: error.statusCode, message: error.message });
+                continue;
+            }
+            if (!isAbandonedOnPayPal(status)) {
+                continue;
+            }
+            const reason = status ? `paypal_${status.toLowerCase()}` : 'paypal_unknown';
+            if (await advanceOrder(doc.id, 'EXPIRED', { source: 'expiry', reason }) === 'advanced') {
+                expired++;
+            }
+        }
+        if (snapshot.size < EXPIRY_PAGE_SIZE) {
+            break;
+        }
+        cursor = snapshot.docs[snapshot.size - 1];
+    }
+    return expired;
+}
+
+/**
+ * orderExpirySweep: Scheduled function that expires abandoned checkouts every hour (v2).
+ * Needs a composite index on orders (status ASC, expiresAt ASC).
+ */
+export const orderExpirySweep = onSchedule({
+    schedule: 'every 60 minutes',
+    timeZone: 'Africa/Johannesburg',
+    secrets: PAYPAL_SECRETS
+}, async () => {
+    const expired = await expireStaleOrders(admin.firestore.Timestamp.now());
+    console.info(`Order expiry sweep complete: ${expired} orders expired.`);
+});
+
+function isoOrNull(value: admin.firestore.Timestamp | undefined): string | null {
+    return value ? value.toDate().toISOString() : null;
+}
+
+/**
+ * listMyOrders: HTTPS Callable function for a user to page through their own orders, newest first (v2).
+ * Pass the returned nextCursor to get the next page. Needs a composite index on orders
+ * (userId ASC, createdAt DESC).
+ */
+export const listMyOrders = onCall<{ cursor?: string }>(async (request) => {
+    if (!request.auth || !request.auth.uid) {
+        throw new HttpsError('unauthenticated', 'Authentication required.');
+    }
+    const uid = request.auth.uid;
+    const orders = admin.firestore().collection('orders');
+
+    let query = orders
+        .where('userId', '==', uid)
+        .orderBy('createdAt', 'desc')
+        .limit(LIST_PAGE_SIZE);
+    const cursor = request.data?.cursor;
+    if (cursor) {
+        const cursorDoc = await orders.doc(cursor).get();
+        if (!cursorDoc.exists || cursorDoc.get('userId') !== uid) {
+            throw new HttpsError('invalid-argument', 'Unknown cursor.');
+        }
+        query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.get();
+    return {
+        orders: snapshot.docs.map((doc) => ({
+            orderId: doc.id,
+            tierId: doc.get('tierId') || null,
+            status: doc.get('status') || 'CREATED',
+            amountMinor: doc.get('amountMinor') ?? moneyFromPayPal(doc.get('amount'))?.amountMinor ?? null,
+            currency: doc.get('currency') || doc.get('amount')?.currency_code || null,
+            createdAt: isoOrNull(doc.get('createdAt')),
+            updatedAt: isoOrNull(doc.get('updatedAt')),
+            capturedAt: isoOrNull(doc.get('capturedAt')),
+            expiresAt: isoOrNull(doc.get('expiresAt'))
+        })),
+        nextCursor: snapshot.size === LIST_PAGE_SIZE ? snapshot.docs[snapshot.size - 1].id : null
+    };
+});
@@ -0,0 +1,251 @@
+import * as admin from 'firebase-admin';
+import { PaymentTier } from './tiers';
+import { resolveSalespersonRef } from './salespersons';
+import { loadCommissionRules, selectCommission } from './commissions';
+import { monthlySaleCount, recordLedgerEntry } from './salesLedger';
+import { monthKey } from './monthClose';
+import { DEFAULT_MEMBERSHIP_DURATION_DAYS, computeMembershipGrant, recordMembershipGrant } from './memberships';
+import { Money, commissionMinorUnits } from './money';
+import { transitionOrder } from './orders';
+
+/**
+ * Membership activation and commission crediting for a completed PayPal payment.
+ *
+ * The capturePayPalOrder callable, the webhook handler (orders and subscription sales) and admin
+ * discrepancy approval all go through applyPayment, so a payment is applied exactly once no matter which path sees it first:
+ *  - processedPayments/{orderId} is the per-order dedupe key;
+ *  - webhookEvents/{eventId} records every webhook event that was applied (webhook path only).
+ */
+
+export interface PaymentDetails {
+    orderId: string;
+    userId: string;
+    gross: Money;           // What the payer paid, in the currency they paid in.
+    payerEmail?: string;
+    source: 'capture' | 'webhook' | 'admin' | 'subscription';
+    eventId?: string;
+    eventType?: string;
+    resourceId?: string;
+    captureId?: string;     // PayPal capture id; refunds and disputes reference the payment by it.
+    subscriptionId?: string; // Set for recurring payments (PAYMENT.SALE.COMPLETED); orderId is then the sale id.
+    tier?: PaymentTier;     // Tier the order was created for; supplies duration and commission rate.
+}
+
+export type PaymentOutcome = 'applied' | 'duplicate_event' | 'duplicate_order' | 'user_not_found';
+
+/**
+ * applyPayment: Marks the user paid and credits their salesperson inside one transaction.
+ * Returns 'applied' on the first call for an order and a duplicate outcome on any later call.
+ */
+export async function applyPayment(details: PaymentDetails): Promise<PaymentOutcome> {
+    const db = admin.firestore();
+    const { orderId, userId, gross, payerEmail, eventId } = details;
+
+    const userRef = db.collection('users').doc(userId);
+    const orderKeyRef = db.collection('processedPayments').doc(orderId);
+    const orderRef = db.collection('orders').doc(orderId);
+    const eventRef = eventId ? db.collection('webhookEvents').doc(eventId) : null;
+
+    const commissionRules = await loadCommissionRules();
+
+    return db.runTransaction(async (transaction) => {
+        const [eventDoc, orderKeyDoc, userDoc, orderDoc] = await Promise.all([
+            eventRef ? transaction.get(eventRef) : Promise.resolve(null),
+            transaction.get(orderKeyRef),
+            transaction.get(userRef),
+            transaction.get(orderRef)
+        ]);
+        if (eventDoc?.exists) {
+            return 'duplicate_event';
+        }
+        if (orderKeyDoc.exists) {
+            return 'duplicate_order';
+        }
+        if (!userDoc.exists) {
+            console.warn(`User document not found for payment on order ${orderId}: ${userId}.`);
+            return 'user_not_found';
+        }
+
+        const userData = userDoc.data();
+        // Transactions require every read to happen before the first write.
+        const salespersonRef = await resolveSalespersonRef(transaction, userData);
+        const spDoc = salespersonRef ? await transaction.get(salespersonRef) : null;
+        const priorMonthlySales = salespersonRef && spDoc?.exists ? await monthlySaleCount(transaction, salespersonRef, monthKey()) : 0;
+
+        const grant = computeMembershipGrant(
+            userData?.membershipExpiry,
+            details.tier?.membershipDurationDays ?? DEFAULT_MEMBERSHIP_DURATION_DAYS
+        );
+
+        transaction.update(userRef, {
+            paymentStatus: 'paid',
+            membershipExpiry: grant.expiresAt,
+            membershipTierId: details.tier?.id || null,
+            renewalReminderDue: false,
+            lastPaymentDate: admin.firestore.FieldValue.serverTimestamp(),
+            paypalOrderId: orderId,
+            paypalPayerEmail: payerEmail || null,
+            paypalGrossAmountMinor: gross.amountMinor,
+            paypalCurrencyCode: gross.currency
+        });
+
+        recordMembershipGrant(transaction, userRef, orderId, grant, {
+            tierId: details.tier?.id,
+            source: details.source,
+            orderId
+        });
+
+        let commissionMinor = 0;
+        let ledgerEntryRef: admin.firestore.DocumentReference | null = null;
+        let commissionRuleId: string | null = null;
+        if (salespersonRef && spDoc?.exists) {
+            // Volume rules count this month's ledger sales, net of full reversals, rather than the
+            // totalSales counter, which refunds leave alone and which resets only when the month is closed.
+            const commission = selectCommission(commissionRules, {
+                tierId: details.tier?.id,
+                salespersonId: salespersonRef.id,
+                priorMonthlySales,
+                at: Date.now()
+            }, details.tier);
+            commissionRuleId = commission.ruleId;
+            commissionMinor = commissionMinorUnits(gross.amountMinor, commission.rate);
+
+            // Earnings are kept per currency; USD and BWP sales never add up into one number.
+            transaction.update(salespersonRef, {
+                [`earningsMinor.${gross.currency}`]: admin.firestore.FieldValue.increment(commissionMinor),
+                totalSales: admin.firestore.FieldValue.increment(1),
+                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+            });
+            console.info(`Salesperson ${salespersonRef.id} earnings updated: +${commissionMinor} ${gross.currency} minor units.`);
+            ledgerEntryRef = recordLedgerEntry(transaction, salespersonRef, orderId, {
+                type: 'sale',
+                orderId,
+                userId,
+                salespersonId: salespersonRef.id,
+                tierId: details.tier?.id || null,
+                subscriptionId: details.subscriptionId || null,
+                recurring: !!details.subscriptionId,
+                amountMinor: gross.amountMinor,
+                currency: gross.currency,
+                commissionRate: commission.rate,
+                commissionRuleId: commission.ruleId,
+                commissionMinor,
+                source: details.source
+            });
+        } else if (salespersonRef) {
+            // Salespersons are only created through registerSalesperson; never guess one from a name.
+            console.warn(`Salesperson ${salespersonRef.id} for user ${userId} does not exist; no commission credited.`);
+        } else {
+            console.info(`User ${userId} has no associated salesperson.`);
+        }
+
+        // Everything a later refund or chargeback needs to unwind this payment.
+        transaction.set(orderKeyRef, {
+            orderId,
+            userId,
+            captureId: details.captureId || null,
+            subscriptionId: details.subscriptionId || null,
+            grossAmountMinor: gross.amountMinor,
+            currency: gross.currency,
+            tierId: details.tier?.id || null,
+            durationDays: grant.durationDays,
+            salespersonId: salespersonRef?.id || null,
+            salePath: ledgerEntryRef?.path || null,
+            commissionMinor,
+            commissionRuleId,
+            reversedAmountMinor: 0,
+            commissionReversedMinor: 0,
+            source: details.source,
+            eventId: eventId || null,
+            appliedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        // Subscription sales have no orders/ document; their orderId is the sale id.
+        transitionOrder(transaction, orderDoc, 'CAPTURED', { source: details.source, eventId, captureId: details.captureId });
+        if (eventRef) {
+            transaction.set(eventRef, {
+                eventType: details.eventType || null,
+                orderId,
+                resourceId: details.resourceId || null,
+                processedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        return 'applied';
+    });
+}
+
+export interface PaymentDenial {
+    orderId: string;
+    userId: string;
+    captureId?: string;
+    reason?: string;
+    source: 'capture' | 'webhook';
+    eventId?: string;
+    eventType?: string;
+}
+
+export type DenialOutcome = 'recorded' | 'recorded_status_kept' | 'duplicate_event' | 'user_not_found';
+
+/**
+ * recordPaymentDenial: Records a denied capture in users/{uid}/paymentAttempts and sets the user to
+ * 'payment_denied'. A user who is already 'paid' keeps that status: a late denial must not undo a
+ * membership another order activated (or this order, if a retry later succeeded).
+ */
+export async function recordPaymentDenial(denial: PaymentDenial): Promise<DenialOutcome> {
+    const db = admin.firestore();
+    const { orderId, userId, eventId } = denial;
+
+    const userRef = db.collection('users').doc(userId);
+    const attemptRef = userRef.collection('paymentAttempts').doc(denial.captureId || orderId);
+    const orderRef = db.collection('orders').doc(orderId);
+    const eventRef = eventId ? db.collection('webhookEvents').doc(eventId) : null;
+
+    return db.runTransaction(async (transaction) => {
+        const [eventDoc, userDoc, orderDoc] = await Promise.all([
+            eventRef ? transaction.get(eventRef) : Promise.resolve(null),
+            transaction.get(userRef),
+            transaction.get(orderRef)
+        ]);
+        if (eventDoc?.exists) {
+            return 'duplicate_event';
+        }
+        if (!userDoc.exists) {
+            console.warn(`User document not found for denied payment on order ${orderId}: ${userId}.`);
+            return 'user_not_found';
+        }
+
+        const keepStatus = userDoc.get('paymentStatus') === 'paid';
+        transaction.set(attemptRef, {
+            orderId,
+            captureId: denial.captureId || null,
+            status: 'DENIED',
+            reason: denial.reason || null,
+            source: denial.source,
+            eventId: eventId || null,
+            statusKept: keepStatus,
+            recordedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        if (!keepStatus) {
+            transaction.update(userRef, {
+                paymentStatus: 'payment_denied',
+                paymentDeniedReason: denial.reason || null,
+                paymentDeniedOrderId: orderId,
+                paymentDeniedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        transitionOrder(transaction, orderDoc, 'DENIED', {
+            source: denial.source,
+            eventId,
+            captureId: denial.captureId,
+            reason: denial.reason
+        });
+        if (eventRef) {
+            transaction.set(eventRef, {
+                eventType: denial.eventType || null,
+                orderId,
+                resourceId: denial.captureId || null,
+                processedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        return keepStatus ? 'recorded_status_kept' : 'recorded';
+    });
+}
@@ -0,0 +1,581 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireAdmin, requireSalespersonAccess } from './auth';
+import { addAuditEntry } from './audit';
+import { client } from './paypalClient';
+import { PAYPAL_SECRETS } from './paypalConfig';
+import { CurrencyAmounts, LegacyCurrencyError, addAmounts, formatMinorUnits, storedAmounts } from './money';
+
+/**
+ * Salesperson payouts through PayPal Payouts.
+ *
+ * resetMonthlyEarnings archives each month into salespersons/{id}/historicalPayouts/{YYYY-MM}. An
+ * admin reviews a month with reviewMonthlyPayouts and pays it with approveMonthlyPayouts, which sends
+ * one PayPal Payouts batch (recorded in payoutBatches/{senderBatchId}) to each rep's paypalEmail and
+ * marks their month `pending`. PAYMENT.PAYOUTSBATCH.* and PAYMENT.PAYOUTS-ITEM.* webhooks then move
+ * every month to `paid` or `failed`. Failed months can be approved again; they go out in a new batch.
+ *
+ * Only a 4xx answer to the batch request fails its months. After a timeout, a reset connection or a
+ * 5xx PayPal may still have accepted the batch, so its months become `unknown` and cannot be
+ * approved again. The next approval of the month first resends each such batch under its own
+ * sender_batch_id, which PayPal either accepts or refuses as a duplicate of the original.
+ *
+ * Earnings are paid in the currency they were earned in: a month with USD and EUR earnings is two
+ * items, tracked separately under the archive's payouts.{currency}, with payoutStatus summarising them.
+ */
+
+export type PayoutStatus = 'pending' | 'unknown' | 'paid' | 'failed';
+
+// PayPal accepts at most 15,000 items per batch; keep well below that.
+const MAX_BATCH_ITEMS = 500;
+
+// Item transaction_status -> the currency's payout status. Anything not listed is still in flight.
+const ITEM_STATUS: { [transactionStatus: string]: PayoutStatus } = {
+    SUCCESS: 'paid',
+    FAILED: 'failed',
+    RETURNED: 'failed',
+    BLOCKED: 'failed',
+    REFUNDED: 'failed',
+    REVERSED: 'failed',
+    DENIED: 'failed',
+    CANCELED: 'failed',
+};
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function senderItemId(salespersonId: string, month: string, currency: string): string {
+    return `${salespersonId}_${month}_${currency}`;
+}
+
+interface BatchItem {
+    path: string;               // salespersons/{id}/historicalPayouts/{month}
+    currency: string;
+}
+
+/**
+ * batchItems: The items map of a payoutBatches doc. Batches from before per-currency payouts mapped
+ * each item straight to its path and paid everything in the batch currency.
+ */
+function batchItems(batchDoc: admin.firestore.DocumentSnapshot): { [senderItemId: string]: BatchItem } {
+    const items: { [senderItemId: string]: BatchItem } = {};
+    Object.entries(batchDoc.get('items') || {}).forEach(([itemId, item]: [string, any]) => {
+        items[itemId] = typeof item === 'string' ? { path: item, currency: batchDoc.get('currency') } : item;
+    });
+    return items;
+}
+
+/**
+ * currencyPayouts: A month archive's payout state per currency. Archives paid before per-currency
+ * payouts kept a single top-level state for their earnings, paid in payoutCurrency.
+ */
+export function currencyPayouts(historical: admin.firestore.DocumentSnapshot): { [currency: string]: admin.firestore.DocumentData } {
+    const payouts = historical.get('payouts');
+    if (payouts) {
+        return payouts;
+    }
+    if (!historical.get('payoutStatus')) {
+        return {};
+    }
+    return {
+        [historical.get('payoutCurrency')]: {
+            status: historical.get('payoutStatus'),
+            senderBatchId: historical.get('payoutSenderBatchId') || null,
+            payoutBatchId: historical.get('payoutBatchId') || null,
+        }
+    };
+}
+
+/**
+ * overallPayoutStatus: One status for a month across its currencies: unknown while PayPal has not
+ * confirmed any of its batches, pending while any payout is in flight, failed if any failed, paid once
+ * every currency with earnings is paid, otherwise null.
+ */
+function overallPayoutStatus(earningsMinor: CurrencyAmounts, payouts: { [currency: string]: admin.firestore.DocumentData }): PayoutStatus | null {
+    const statuses = Object.keys(earningsMinor)
+        .filter((currency) => earningsMinor[currency] > 0)
+        .map((currency) => payouts[currency]?.status || null);
+    if (statuses.includes('unknown')) {
+        return 'unknown';
+    }
+    if (statuses.includes('pending')) {
+        return 'pending';
+    }
+    if (statuses.includes('failed')) {
+        return 'failed';
+    }
+    return statuses.length && statuses.every((status) => status === 'paid') ? 'paid' : null;
+}
+
+/**
+ * archivedEarnings: A month archive's earnings per currency. A float `earnings` left from before minor
+ * units is read in the currency it was paid out in; unpaid ones are converted by normalizeLegacyDocuments.
+ */
+function archivedEarnings(historical: admin.firestore.DocumentSnapshot): CurrencyAmounts {
+    return storedAmounts(historical.get('earningsMinor'), historical.get('earnings'), historical.get('payoutCurrency'));
+}
+
+interface MonthlyPayoutLine {
+    salespersonId: string;
+    fullName: string | null;
+    paypalEmail: string | null;
+    currency: string;
+    amountMinor: number;
+    totalCustomers: number;
+    payoutStatus: PayoutStatus | null;
+    payoutBatchId: string | null;
+}
+
+function isPayable(line: MonthlyPayoutLine): boolean {
+    return line.amountMinor > 0 && (!line.payoutStatus || line.payoutStatus === 'failed');
+}
+
+/**
+ * loadMonthlyPayouts: One line per salesperson and currency they earned in during `month`.
+ */
+async function loadMonthlyPayouts(month: string): Promise<MonthlyPayoutLine[]> {
+    const db = admin.firestore();
+    const salespersons = await db.collection('salespersons').get();
+    const active = salespersons.docs.filter((doc) => !doc.get('mergedInto'));
+    if (!active.length) {
+        return [];
+    }
+    const archived = await db.getAll(...active.map((doc) => doc.ref.collection('historicalPayouts').doc(month)));
+
+    const lines: MonthlyPayoutLine[] = [];
+    archived.forEach((historical, index) => {
+        if (!historical.exists) {
+            return;
+        }
+        const salesperson = active[index];
+        const payouts = currencyPayouts(historical);
+        let earningsMinor: CurrencyAmounts;
+        try {
+            earningsMinor = archivedEarnings(historical);
+        } catch (error) {
+            if (error instanceof LegacyCurrencyError) {
+                throw new HttpsError('failed-precondition',
+                    `${historical.ref.path} has earnings in no known currency. Run normalizeLegacyDocuments first.`);
+            }
+            throw error;
+        }
+        Object.entries(earningsMinor).forEach(([currency, amountMinor]) => {
+            lines.push({
+                salespersonId: salesperson.id,
+                fullName: salesperson.get('fullName') || null,
+                paypalEmail: salesperson.get('paypalEmail') || null,
+                currency,
+                amountMinor,
+                totalCustomers: historical.get('totalCustomers') || 0,
+                payoutStatus: payouts[currency]?.status || null,
+                payoutBatchId: payouts[currency]?.payoutBatchId || null,
+            });
+        });
+    });
+    return lines;
+}
+
+/**
+ * reviewMonthlyPayouts: HTTPS Callable function for admins to see a month's archived totals and payout state (v2).
+ * Each salesperson has one line per currency they earned in; payableTotalsMinor is per currency.
+ */
+export const reviewMonthlyPayouts = onCall<{ month: string }>(async (request) => {
+    await requireAdmin(request, 'review payouts');
+    const { month } = request.data;
+    if (!month || !MONTH_PATTERN.test(month)) {
+        throw new HttpsError('invalid-argument', 'month must be in YYYY-MM format.');
+    }
+
+    const lines = await loadMonthlyPayouts(month);
+    const payable = lines.filter(isPayable);
+    return {
+        month,
+        lines,
+        payableTotalsMinor: payable.reduce((totals: CurrencyAmounts, line) => addAmounts(totals, { [line.currency]: line.amountMinor }), {}),
+        missingPaypalEmail: Array.from(new Set(payable.filter((line) => !line.paypalEmail).map((line) => line.salespersonId))),
+    };
+});
+
+/**
+ * payoutsRequest: The body of POST /v1/payments/payouts for `lines`. It is stored on the batch doc so
+ * an unconfirmed batch can be resent exactly.
+ */
+function payoutsRequest(senderBatchId: string, month: string, lines: MonthlyPayoutLine[]): admin.firestore.DocumentData {
+    return {
+        sender_batch_header: {
+            sender_batch_id: senderBatchId,
+            email_subject: `Explore Botswana commission for ${month}`,
+            email_message: `Your commission for ${month} has been paid.`
+        },
+        items: lines.map((line) => ({
+            recipient_type: 'EMAIL',
+            receiver: line.paypalEmail,
+            amount: { value: formatMinorUnits(line.amountMinor, line.currency), currency: line.currency },
+            sender_item_id: senderItemId(line.salespersonId, month, line.currency),
+            note: `Commission for ${month}`
+        }))
+    };
+}
+
+export type PayoutsRequestError = { outcome: 'rejected' } | { outcome: 'unknown' } | { outcome: 'duplicate'; payoutBatchId: string | null };
+
+/**
+ * classifyPayoutsError: What a failed POST /v1/payments/payouts says about the batch. Only a 4xx
+ * answer is a definite rejection; no answer, a 408 or a 5xx may have come after PayPal accepted it.
+ * A sender_batch_id PayPal has already accepted is refused with a 400 linking to the original batch.
+ */
+export function classifyPayoutsError(error: any): PayoutsRequestError {
+    const statusCode = error?.statusCode;
+    if (typeof statusCode !== 'number' || statusCode < 400 || statusCode >= 500 || statusCode === 408) {
+        return { outcome: 'unknown' };
+    }
+    let body: any = null;
+    try {
+        body = JSON.parse(error.message);
+    } catch {
+        // Not a PayPal error body.
+    }
+    if (!(body?.details || []).some((detail: any) => String(detail?.field).toUpperCase() === 'SENDER_BATCH_ID')) {
+        return { outcome: 'rejected' };
+    }
+    const original = (body.links || [])
+        .map((link: any) => /\/v1\/payments\/payouts\/([^/?]+)/.exec(link?.href || ''))
+        .find(Boolean);
+    return { outcome: 'duplicate', payoutBatchId: original ? original[1] : null };
+}
+
+/**
+ * submitPayoutsBatch: Sends a claimed batch to PayPal and records the answer on the batch and its
+ * months: pending once PayPal has it, failed if it refused it, unknown if it is unclear. Returns
+ * which, with PayPal's payout_batch_id when it is known.
+ */
+async function submitPayoutsBatch(
+    batchRef: admin.firestore.DocumentReference,
+    body: admin.firestore.DocumentData
+): Promise<{ outcome: 'accepted' | 'rejected' | 'unknown'; payoutBatchId: string | null }> {
+    const senderBatchId = batchRef.id;
+    let payoutBatchId: string | null;
+    let batchStatus: string;
+    try {
+        const response = await client.execute({
+            verb: 'POST',
+            path: '/v1/payments/payouts',
+            headers: { 'Content-Type': 'application/json' },
+            body
+        });
+        payoutBatchId = response.result.batch_header.payout_batch_id;
+        batchStatus = response.result.batch_header.batch_status;
+    } catch (error: any) {
+        const result = classifyPayoutsError(error);
+        console.error('Error creating PayPal payouts batch:', {
+            senderBatchId,
+            statusCode: error.statusCode,
+            message: error.message,
+            outcome: result.outcome
+        });
+        if (result.outcome === 'rejected') {
+            await markBatchItems(senderBatchId, 'failed', { error: error.message || 'payouts_request_failed' }, ['pending', 'unknown']);
+            await batchRef.update({ status: 'REQUEST_FAILED', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            return { outcome: 'rejected', payoutBatchId: null };
+        }
+        if (result.outcome === 'unknown') {
+            await markBatchItems(senderBatchId, 'unknown', { error: error.message || 'payouts_request_unanswered' });
+            await batchRef.update({ status: 'REQUEST_UNKNOWN', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            return { outcome: 'unknown', payoutBatchId: null };
+        }
+        // PayPal already has this batch; its webhooks report the batch status from here on.
+        payoutBatchId = result.payoutBatchId;
+        batchStatus = 'PENDING';
+    }
+
+    await batchRef.update({ payoutBatchId, status: batchStatus, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    await markBatchItems(senderBatchId, 'pending', { payoutBatchId, error: null }, ['pending', 'unknown']);
+    return { outcome: 'accepted', payoutBatchId };
+}
+
+/**
+ * reconcileUnconfirmedBatches: Resends every batch of `month` whose request went unanswered, so its
+ * months are settled as pending or failed before anything in the month is approved again.
+ */
+async function reconcileUnconfirmedBatches(month: string): Promise<void> {
+    const unconfirmed = await admin.firestore().collection('payoutBatches')
+        .where('month', '==', month)
+        .where('status', '==', 'REQUEST_UNKNOWN')
+        .get();
+    for (const batchDoc of unconfirmed.docs) {
+        const { outcome } = await submitPayoutsBatch(batchDoc.ref, batchDoc.get('request'));
+        console.info(`Unconfirmed payouts batch ${batchDoc.id} resent: ${outcome}.`, { month });
+    }
+}
+
+// Interface for the data expected by approveMonthlyPayouts callable function
+interface ApproveMonthlyPayoutsData {
+    month: string;
+    salespersonIds?: string[];  // Defaults to every payable salesperson in the month.
+}
+
+/**
+ * approveMonthlyPayouts: HTTPS Callable function for admins to pay a reviewed month (v2).
+ * Every unpaid currency goes out as its own item in that currency, all in one batch.
+ * Months are claimed in a transaction before PayPal is called, so approving twice cannot pay twice,
+ * and batches PayPal never answered are resent first (see reconcileUnconfirmedBatches).
+ */
+export const approveMonthlyPayouts = onCall<ApproveMonthlyPayoutsData>({ secrets: PAYPAL_SECRETS }, async (request) => {
+    const adminUid = await requireAdmin(request, 'approve payouts');
+    const { month, salespersonIds } = request.data;
+    if (!month || !MONTH_PATTERN.test(month)) {
+        throw new HttpsError('invalid-argument', 'month must be in YYYY-MM format.');
+    }
+
+    const db = admin.firestore();
+    await reconcileUnconfirmedBatches(month);
+    const candidates = (await loadMonthlyPayouts(month))
+        .filter((line) => !salespersonIds || salespersonIds.includes(line.salespersonId))
+        .filter(isPayable);
+    const skipped = Array.from(new Set(candidates.filter((line) => !line.paypalEmail).map((line) => line.salespersonId)));
+    const eligible = candidates.filter((line) => line.paypalEmail).slice(0, MAX_BATCH_ITEMS);
+    if (!eligible.length) {
+        return { month, senderBatchId: null, items: 0, skipped };
+    }
+
+    const batchRef = db.collection('payoutBatches').doc();
+    const senderBatchId = batchRef.id;
+
+    // Claim each currency of each month (re-checking its status) and record the batch before any money moves.
+    const claimed = await db.runTransaction(async (transaction) => {
+        const salespersonIdsInBatch = Array.from(new Set(eligible.map((line) => line.salespersonId)));
+        const docs = await transaction.getAll(...salespersonIdsInBatch.map((id) =>
+            db.collection('salespersons').doc(id).collection('historicalPayouts').doc(month)));
+        const docsById = new Map(docs.map((doc, index) => [salespersonIdsInBatch[index], doc]));
+
+        const lines = eligible.filter((line) => {
+            const status = currencyPayouts(docsById.get(line.salespersonId)!)[line.currency]?.status;
+            return !status || status === 'failed';
+        });
+
+        const items: { [senderItemId: string]: BatchItem } = {};
+        salespersonIdsInBatch.forEach((salespersonId) => {
+            const historical = docsById.get(salespersonId)!;
+            const payouts = { ...currencyPayouts(historical) };
+            const owned = lines.filter((line) => line.salespersonId === salespersonId);
+            owned.forEach((line) => {
+                items[senderItemId(line.salespersonId, month, line.currency)] = { path: historical.ref.path, currency: line.currency };
+                payouts[line.currency] = {
+                    status: 'pending',
+                    amountMinor: line.amountMinor,
+                    senderBatchId,
+                    payoutBatchId: null,
+                    email: line.paypalEmail,
+                    error: null,
+                    approvedBy: adminUid,
+                    approvedAt: admin.firestore.Timestamp.now()
+                };
+            });
+            if (owned.length) {
+                transaction.update(historical.ref, {
+                    payouts,
+                    payoutStatus: overallPayoutStatus(archivedEarnings(historical), payouts)
+                });
+            }
+        });
+        transaction.set(batchRef, {
+            month,
+            status: 'CREATING',
+            payoutBatchId: null,
+            items,
+            request: payoutsRequest(senderBatchId, month, lines),
+            totalsMinor: lines.reduce((totals: CurrencyAmounts, line) => addAmounts(totals, { [line.currency]: line.amountMinor }), {}),
+            approvedBy: adminUid,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        addAuditEntry(transaction, 'payouts.approved', {
+            actor: adminUid,
+            month,
+            senderBatchId,
+            salespersonIds: Array.from(new Set(lines.map((line) => line.salespersonId)))
+        });
+        return lines;
+    });
+
+    if (!claimed.length) {
+        await batchRef.delete();
+        return { month, senderBatchId: null, items: 0, skipped };
+    }
+
+    const { outcome, payoutBatchId } = await submitPayoutsBatch(batchRef, payoutsRequest(senderBatchId, month, claimed));
+    if (outcome === 'rejected') {
+        throw new HttpsError('internal', 'PayPal rejected the payouts batch.');
+    }
+    if (outcome === 'unknown') {
+        throw new HttpsError('unavailable',
+            `PayPal did not confirm payouts batch ${senderBatchId}. It is resent before ${month} can be approved again.`);
+    }
+
+    console.info(`Payouts batch ${payoutBatchId} created for ${month}.`, { by: adminUid, senderBatchId, items: claimed.length });
+    return { month, senderBatchId, payoutBatchId, items: claimed.length, skipped };
+});
+
+/**
+ * markBatchItems: Applies `status` and `fields` to every currency in a batch whose status is one of
+ * `from` (by default, still pending).
+ */
+async function markBatchItems(
+    senderBatchId: string,
+    status: PayoutStatus,
+    fields: admin.firestore.DocumentData,
+    from: PayoutStatus[] = ['pending']
+): Promise<void> {
+    const db = admin.firestore();
+    const batchDoc = await db.collection('payoutBatches').doc(senderBatchId).get();
+    const currenciesByPath = new Map<string, string[]>();
+    Object.values(batchItems(batchDoc)).forEach((item) => {
+        currenciesByPath.set(item.path, [...(currenciesByPath.get(item.path) || []), item.currency]);
+    });
+    const paths = Array.from(currenciesByPath.keys());
+    const docs = paths.length ? await db.getAll(...paths.map((path) => db.doc(path))) : [];
+
+    const batch = db.batch();
+    docs.forEach((doc, index) => {
+        const payouts = { ...currencyPayouts(doc) };
+        let changed = false;
+        currenciesByPath.get(paths[index])!.forEach((currency) => {
+            const payout = payouts[currency];
+            if (from.includes(payout?.status) && payout.senderBatchId === senderBatchId) {
+                payouts[currency] = { ...payout, ...fields, status, updatedAt: admin.firestore.Timestamp.now() };
+                changed = true;
+            }
+        });
+        if (changed) {
+            batch.update(doc.ref, { payouts, payoutStatus: overallPayoutStatus(archivedEarnings(doc), payouts) });
+        }
+    });
+    await batch.commit();
+}
+
+async function findBatch(resource: any): Promise<admin.firestore.DocumentSnapshot | null> {
+    const db = admin.firestore();
+    const senderBatchId = resource.batch_header?.sender_batch_header?.sender_batch_id || resource.sender_batch_id;
+    if (senderBatchId) {
+        const doc = await db.collection('payoutBatches').doc(senderBatchId).get();
+        if (doc.exists) {
+            return doc;
+        }
+    }
+    const payoutBatchId = resource.batch_header?.payout_batch_id || resource.payout_batch_id;
+    if (!payoutBatchId) {
+        return null;
+    }
+    const snapshot = await db.collection('payoutBatches').where('payoutBatchId', '==', payoutBatchId).limit(1).get();
+    return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * handlePayoutEvent: Tracks PAYMENT.PAYOUTSBATCH.* and PAYMENT.PAYOUTS-ITEM.* webhooks.
+ * Batch events record the batch status (a DENIED batch fails all its pending months); item events
+ * move one month to `paid` or `failed`. Events may arrive out of order, so an in-flight item status
+ * never overwrites a final one.
+ */
+export async function handlePayoutEvent(eventType: string, resource: any, eventId: string): Promise<void> {
+    const batchDoc = await findBatch(resource);
+    if (!batchDoc) {
+        console.warn(`${eventType} for an unknown payouts batch.`, { eventId, resourceId: resource.payout_item_id || resource.batch_header?.payout_batch_id });
+        return;
+    }
+
+    if (eventType.startsWith('PAYMENT.PAYOUTSBATCH.')) {
+        const batchStatus: string = resource.batch_header?.batch_status || eventType.split('.').pop();
+        await batchDoc.ref.update({
+            status: batchStatus,
+            payoutBatchId: resource.batch_header?.payout_batch_id || batchDoc.get('payoutBatchId'),
+            lastEventId: eventId,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        if (batchStatus === 'DENIED') {
+            await markBatchItems(batchDoc.id, 'failed', { error: 'batch_denied' }, ['pending', 'unknown']);
+        } else if (batchDoc.get('status') === 'REQUEST_UNKNOWN') {
+            // PayPal has the batch after all.
+            await markBatchItems(batchDoc.id, 'pending', { payoutBatchId: resource.batch_header?.payout_batch_id || null, error: null }, ['unknown']);
+        }
+        console.info(`Payouts batch ${batchDoc.id} is ${batchStatus}.`, { eventId });
+        return;
+    }
+
+    const itemKey: string | undefined = resource.payout_item?.sender_item_id;
+    const item: BatchItem | undefined = itemKey ? batchItems(batchDoc)[itemKey] : undefined;
+    if (!item) {
+        console.warn(`${eventType} for an item not in batch ${batchDoc.id}.`, { eventId, itemKey });
+        return;
+    }
+
+    const transactionStatus: string = resource.transaction_status || eventType.split('.').pop();
+    const status = ITEM_STATUS[transactionStatus];
+    const db = admin.firestore();
+    await db.runTransaction(async (transaction) => {
+        const historical = await transaction.get(db.doc(item.path));
+        const payouts = { ...currencyPayouts(historical) };
+        const payout = payouts[item.currency];
+        if (payout?.senderBatchId !== batchDoc.id) {
+            return; // This currency has since been approved into a newer batch.
+        }
+        payouts[item.currency] = {
+            ...payout,
+            // Any item event means PayPal accepted the batch.
+            status: status || (payout.status === 'unknown' ? 'pending' : payout.status),
+            payoutBatchId: resource.payout_batch_id || payout.payoutBatchId || null,
+            payoutItemId: resource.payout_item_id || null,
+            transactionId: resource.transaction_id || null,
+            transactionStatus,
+            error: status === 'failed' ? (resource.errors?.name || transactionStatus) : null,
+            updatedAt: admin.firestore.Timestamp.now(),
+            ...(status === 'paid' ? { paidAt: admin.firestore.Timestamp.now() } : {})
+        };
+        transaction.update(historical.ref, {
+            payouts,
+            payoutStatus: overallPayoutStatus(archivedEarnings(historical), payouts)
+        });
+        if (status) {
+            addAuditEntry(transaction, `payouts.${status}`, {
+                subjectId: item.path,
+                currency: item.currency,
+                senderBatchId: batchDoc.id,
+                payoutItemId: resource.payout_item_id || null,
+                transactionStatus,
+                eventId
+            });
+        }
+    });
+    console.info(`Payout item ${resource.payout_item_id} is ${transactionStatus}.`, { eventId, path: item.path, currency: item.currency });
+}
+
+/**
+ * setPayoutEmail: HTTPS Callable function to register the PayPal email a salesperson is paid to (v2).
+ * Admins may set any salesperson's email; a salesperson only their own.
+ */
+export const setPayoutEmail = onCall<{ salespersonId: string; paypalEmail: string }>(async (request) => {
+    const { salespersonId } = request.data;
+    const paypalEmail = request.data.paypalEmail?.trim().toLowerCase();
+    if (!salespersonId || !paypalEmail || !/^[^@\s]+@[^@\s]+$/.test(paypalEmail)) {
+        throw new HttpsError('invalid-argument', 'salespersonId and a valid paypalEmail are required.');
+    }
+    const caller = await requireSalespersonAccess(request, salespersonId, 'set payout emails');
+
+    const db = admin.firestore();
+    const salespersonRef = db.collection('salespersons').doc(salespersonId);
+    const salesperson = await salespersonRef.get();
+    if (!salesperson.exists) {
+        throw new HttpsError('not-found', `Salesperson ${salespersonId} does not exist.`);
+    }
+
+    const batch = db.batch();
+    batch.update(salespersonRef, {
+        paypalEmail,
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    });
+    addAuditEntry(batch, 'payouts.email_changed', {
+        actor: caller.uid,
+        subjectId: salespersonId,
+        previousEmail: salesperson.get('paypalEmail') || null,
+        paypalEmail
+    });
+    await batch.commit();
+    return { salespersonId, paypalEmail };
+});
@@ -0,0 +1,30 @@
+import * as paypal from '@paypal/checkout-server-sdk';
+import { loadPayPalConfig } from './paypalConfig';
+
+/**
+ * Shared PayPal REST client. Besides the SDK's typed requests, `client.execute` accepts plain
+ * { verb, path, body, headers } objects for APIs the SDK does not wrap (billing, payouts, webhooks).
+ *
+ * The underlying PayPalHttpClient (which caches the OAuth token) is built on the first request from
+ * the configuration in paypalConfig.ts, so a missing secret fails that request with a
+ * PayPalConfigError instead of every function in the codebase at load time.
+ */
+
+let httpClient: paypal.core.PayPalHttpClient | null = null;
+
+/**
+ * paypalHttpClient: The PayPalHttpClient for this instance, created on first use.
+ */
+export function paypalHttpClient(): paypal.core.PayPalHttpClient {
+    if (!httpClient) {
+        const config = loadPayPalConfig();
+        const environment = new paypal.core.PayPalEnvironment(config.clientId, config.clientSecret, config.apiBaseUrl, config.webBaseUrl);
+        httpClient = new paypal.core.PayPalHttpClient(environment);
+        console.info(`PayPal client configured for ${config.mode}${config.mocked ? ` (mocked at ${config.apiBaseUrl})` : ''}.`);
+    }
+    return httpClient;
+}
+
+export const client = {
+    execute: (request: any) => paypalHttpClient().execute(request)
+};
@@ -0,0 +1,158 @@
+import { defineSecret, defineString } from 'firebase-functions/params';
+
+/**
+ * PayPal environment and credentials.
+ *
+ * Each deployment picks its PayPal environment with the PAYPAL_MODE parameter ('sandbox' or 'live'),
+ * set per project in .env.<projectId> (or answered at the deploy prompt). The REST app credentials are
+ * Firebase secrets for that environment's app:
+ *
+ *     firebase functions:secrets:set PAYPAL_CLIENT_ID
+ *     firebase functions:secrets:set PAYPAL_CLIENT_SECRET
+ *
+ * and every function that talks to PayPal lists PAYPAL_SECRETS in its options so they are mounted.
+ * In the emulator the secrets come from .secret.local instead.
+ *
+ * PAYPAL_API_BASE_URL sends all REST calls somewhere other than PayPal, e.g. a local mock server
+ * while running the emulators. It is only honoured in sandbox mode.
+ *
+ * Webhook deliveries are checked against PAYPAL_WEBHOOK_ID, the id of the webhook registered for the
+ * app in the PayPal Developer Dashboard, with the PAYPAL_WEBHOOK_VERIFICATION strategy (see
+ * webhookVerification.ts). PAYPAL_CERT_HOSTS replaces the hosts signing certs may be fetched from,
+ * e.g. to allow the local mock in offline mode.
+ *
+ * Nothing is read or checked at load time (deploys analyse the code without any secrets); the first
+ * PayPal call reads and validates the configuration and fails with a PayPalConfigError naming what
+ * is wrong.
+ */
+
+export type PayPalMode = 'sandbox' | 'live';
+
+export const paypalClientId = defineSecret('PAYPAL_CLIENT_ID');
+export const paypalClientSecret = defineSecret('PAYPAL_CLIENT_SECRET');
+
+/** PAYPAL_SECRETS: The `secrets` option of every function that calls PayPal. */
+export const PAYPAL_SECRETS = [paypalClientId, paypalClientSecret];
+
+const paypalMode = defineString('PAYPAL_MODE', {
+    default: 'sandbox',
+    description: 'PayPal environment this deployment charges through: sandbox or live.',
+    input: { select: { options: [{ value: 'sandbox' }, { value: 'live' }] } }
+});
+
+const paypalApiBaseUrl = defineString('PAYPAL_API_BASE_URL', {
+    default: '',
+    description: 'Overrides the PayPal REST API base URL (sandbox only), e.g. http://127.0.0.1:8089 for a local mock.'
+});
+
+const paypalWebhookId = defineString('PAYPAL_WEBHOOK_ID', {
+    description: 'Id of the webhook registered for this app in the PayPal Developer Dashboard.'
+});
+
+const paypalWebhookVerification = defineString('PAYPAL_WEBHOOK_VERIFICATION', {
+    default: 'api',
+    description: 'How webhook deliveries are verified: api (asks PayPal) or offline (checks the signature locally).',
+    input: { select: { options: [{ value: 'api' }, { value: 'offline' }] } }
+});
+
+const paypalCertHosts = defineString('PAYPAL_CERT_HOSTS', {
+    default: '',
+    description: 'Comma separated hosts webhook signing certs may be fetched from, replacing PayPal\'s own (offline verification only).'
+});
+
+const BASE_URLS: { [mode in PayPalMode]: { api: string; web: string } } = {
+    sandbox: { api: 'https://api-m.sandbox.paypal.com', web: 'https://www.sandbox.paypal.com' },
+    live: { api: 'https://api-m.paypal.com', web: 'https://www.paypal.com' }
+};
+
+export interface PayPalConfig {
+    mode: PayPalMode;
+    clientId: string;
+    clientSecret: string;
+    apiBaseUrl: string;
+    webBaseUrl: string;
+    mocked: boolean;    // apiBaseUrl is an override, not PayPal.
+}
+
+export type WebhookVerificationMode = 'api' | 'offline';
+
+export interface PayPalWebhookConfig {
+    webhookId: string;
+    verification: WebhookVerificationMode;
+    certHosts: string[] | null;    // null: PayPal's own cert hosts.
+}
+
+export class PayPalConfigError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'PayPalConfigError';
+    }
+}
+
+/**
+ * loadPayPalConfig: Reads and validates the PayPal configuration. Throws PayPalConfigError when it
+ * is incomplete or inconsistent.
+ */
+export function loadPayPalConfig(): PayPalConfig {
+    // The CLI fills in the declared default on deploy; outside it an unset param reads as ''.
+    const mode = paypalMode.value().trim().toLowerCase() || 'sandbox';
+    if (mode !== 'sandbox' && mode !== 'live') {
+        throw new PayPalConfigError(`PAYPAL_MODE must be "sandbox" or "live", not "${mode}".`);
+    }
+
+    const clientId = secretValue(paypalClientId.name, () => paypalClientId.value());
+    const clientSecret = secretValue(paypalClientSecret.name, () => paypalClientSecret.value());
+
+    const override = paypalApiBaseUrl.value().trim();
+    if (!override) {
+        return { mode, clientId, clientSecret, apiBaseUrl: BASE_URLS[mode].api, webBaseUrl: BASE_URLS[mode].web, mocked: false };
+    }
+    if (mode === 'live') {
+        throw new PayPalConfigError('PAYPAL_API_BASE_URL can only be set in sandbox mode.');
+    }
+    let url: URL;
+    try {
+        url = new URL(override);
+    } catch {
+        throw new PayPalConfigError(`PAYPAL_API_BASE_URL is not a URL: "${override}".`);
+    }
+    // The SDK only takes the scheme, host and port from its base URL.
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || url.pathname !== '/' || url.search) {
+        throw new PayPalConfigError(`PAYPAL_API_BASE_URL must be an http(s) origin such as http://127.0.0.1:8089, not "${override}".`);
+    }
+    return { mode, clientId, clientSecret, apiBaseUrl: url.origin, webBaseUrl: url.origin, mocked: true };
+}
+
+/**
+ * loadPayPalWebhookConfig: Reads and validates the webhook verification configuration. Throws
+ * PayPalConfigError when it is incomplete or invalid.
+ */
+export function loadPayPalWebhookConfig(): PayPalWebhookConfig {
+    const webhookId = paypalWebhookId.value().trim();
+    if (!webhookId) {
+        throw new PayPalConfigError('PAYPAL_WEBHOOK_ID is not configured.');
+    }
+    // As with PAYPAL_MODE, an unset param reads as '' outside the CLI.
+    const verification = paypalWebhookVerification.value().trim().toLowerCase() || 'api';
+    if (verification !== 'api' && verification !== 'offline') {
+        throw new PayPalConfigError(`PAYPAL_WEBHOOK_VERIFICATION must be "api" or "offline", not "${verification}".`);
+    }
+    const certHosts = paypalCertHosts.value().split(',').map((host) => host.trim().toLowerCase()).filter(Boolean);
+    return { webhookId, verification, certHosts: certHosts.length ? certHosts : null };
+}
+
+function secretValue(name: string, read: () => string): string {
+    let value: string | undefined;
+    try {
+        value = read();
+    } catch {
+        value = undefined;
+    }
+    if (!value || !value.trim()) {
+        throw new PayPalConfigError(
+            `${name} is not set. Run \`firebase functions:secrets:set ${name}\` (or add it to .secret.local for the emulator) ` +
+            'and make sure the function lists PAYPAL_SECRETS in its options.'
+        );
+    }
+    return value.trim();
+}
@@ -0,0 +1,103 @@
+import * as admin from 'firebase-admin';
+import { moneyFromPayPal } from './money';
+import { OrderStatus } from './orders';
+
+/**
+ * Reconciliation of received payments against the order that was created for them.
+ *
+ * createPayPalOrder stores orders/{orderId} with the tier and expected amount (subscriptions/{id} plays
+ * the same role for recurring payments). When money arrives
+ * (capture callable or webhook) the received amount is compared with that record rather than the
+ * tier's current price, so repricing a tier never invalidates orders already in flight. Anything
+ * that does not match is parked in paymentDiscrepancies/{orderId} for an admin instead of activating membership.
+ */
+
+export interface PayPalAmount {
+    currency_code?: string;
+    value?: string;
+}
+
+export interface ExpectedOrder {
+    orderId: string;
+    userId: string;
+    tierId: string;
+    amount: { currency_code: string; value: string };
+    status?: OrderStatus;
+}
+
+export type DiscrepancyReason = 'amount_mismatch' | 'unknown_order' | 'unknown_tier' | 'unknown_user';
+
+export interface PaymentDiscrepancy {
+    orderId: string;
+    userId?: string;
+    tierId?: string;
+    reason: DiscrepancyReason;
+    expected?: { currency_code: string; value: string };
+    received?: PayPalAmount;
+    payerEmail?: string;
+    source: 'capture' | 'webhook';
+    eventId?: string;
+}
+
+/**
+ * amountMatches: True when a received PayPal amount is exactly the expected amount and currency.
+ * Values are compared in minor units so "50", "50.0" and "50.00" are treated alike.
+ */
+export function amountMatches(received: PayPalAmount | undefined, expected: { currency_code: string; value: string }): boolean {
+    const got = moneyFromPayPal(received);
+    const want = moneyFromPayPal(expected);
+    return !!got && !!want && got.currency === want.currency && got.amountMinor === want.amountMinor;
+}
+
+/**
+ * getExpectedOrder: Loads the order record written at creation time, or null for unknown orders.
+ */
+export async function getExpectedOrder(orderId: string): Promise<ExpectedOrder | null> {
+    const snapshot = await admin.firestore().collection('orders').doc(orderId).get();
+    if (!snapshot.exists) {
+        return null;
+    }
+    const data = snapshot.data()!;
+    return {
+        orderId,
+        userId: data.userId,
+        tierId: data.tierId,
+        amount: data.amount,
+        status: data.status,
+    };
+}
+
+/**
+ * recordPaymentDiscrepancy: Flags a payment for admin review. Keyed by order id, so redelivered
+ * webhooks and a capture racing its webhook produce a single discrepancy.
+ * Returns false when the order was already flagged.
+ */
+export async function recordPaymentDiscrepancy(discrepancy: PaymentDiscrepancy): Promise<boolean> {
+    const db = admin.firestore();
+    const ref = db.collection('paymentDiscrepancies').doc(discrepancy.orderId);
+
+    return db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(ref);
+        if (existing.exists) {
+            return false;
+        }
+        transaction.set(ref, {
+            orderId: discrepancy.orderId,
+            userId: discrepancy.userId || null,
+            tierId: discrepancy.tierId || null,
+            reason: discrepancy.reason,
+            expected: discrepancy.expected || null,
+            received: discrepancy.received || null,
+            payerEmail: discrepancy.payerEmail || null,
+            source: discrepancy.source,
+            eventId: discrepancy.eventId || null,
+            status: 'open',
+            detectedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.warn(`Payment discrepancy recorded for order ${discrepancy.orderId}: ${discrepancy.reason}.`, {
+            expected: discrepancy.expected,
+            received: discrepancy.received
+        });
+        return true;
+    });
+}
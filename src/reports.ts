@@ -0,0 +1,230 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireRole, requireSalespersonAccess } from './auth';
+import { monthKey } from './monthClose';
+import { LedgerSummary, LedgerTotals, addTotals, pageLedger, periodEntries, summarizeLedger, summarizePeriod } from './salesLedger';
+import { convertAmounts, loadExchangeRates, reportingCurrencyOf } from './exchangeRates';
+
+/**
+ * Salesperson and sales reporting callables, built on the sales ledger (see salesLedger.ts).
+ * Admins can see every salesperson; a salesperson only their own record (see auth.ts).
+ * Every report returns totals with a per-tier breakdown, plus one page of line items and the
+ * nextCursor to pass back for the following page (null on the last page).
+ *
+ * Amounts are per-currency maps of integer minor units (see money.ts). Pass reportingCurrency to also
+ * get the totals converted with the admin-maintained rates (see exchangeRates.ts). Legacy entries
+ * that record no currency are left out of the totals and listed in the summary's `unresolved`.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function pageSizeOf(requested: number | undefined): number {
+    if (requested === undefined) {
+        return DEFAULT_PAGE_SIZE;
+    }
+    if (!Number.isInteger(requested) || requested < 1 || requested > MAX_PAGE_SIZE) {
+        throw new HttpsError('invalid-argument', `pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}.`);
+    }
+    return requested;
+}
+
+interface PageRequest {
+    pageSize?: number;
+    cursor?: string;
+    reportingCurrency?: string;
+}
+
+/**
+ * withConversion: `totals` plus, when a reporting currency was asked for, their converted equivalents.
+ */
+async function withConversion<T extends LedgerTotals>(totals: T, reportingCurrency: string | null): Promise<T> {
+    if (!reportingCurrency) {
+        return totals;
+    }
+    const rates = await loadExchangeRates();
+    const gross = convertAmounts(totals.grossAmountMinor, reportingCurrency, rates);
+    const commission = convertAmounts(totals.commissionMinor, reportingCurrency, rates);
+    return {
+        ...totals,
+        converted: {
+            currency: reportingCurrency,
+            grossAmountMinor: gross.amountMinor,
+            commissionMinor: commission.amountMinor,
+            missingRates: Array.from(new Set([...gross.missingRates, ...commission.missingRates]))
+        }
+    };
+}
+
+/**
+ * getSalespersonData: HTTPS Callable function to retrieve salesperson data with one month's sales summary (v2).
+ * Admins page through every salesperson, salespersons get a one-element list with their own record.
+ *
+ * @param request.data.month - YYYY-MM month to summarize; defaults to the current month.
+ */
+export const getSalespersonData = onCall<PageRequest & { month?: string }>(async (request) => {
+    const caller = await requireRole(request, ['admin', 'salesperson'], 'read salesperson data');
+    const db = admin.firestore();
+    const month = request.data?.month || monthKey();
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+        throw new HttpsError('invalid-argument', 'month must be in YYYY-MM format.');
+    }
+    const pageSize = pageSizeOf(request.data?.pageSize);
+    const reportingCurrency = reportingCurrencyOf(request.data?.reportingCurrency);
+
+    console.info('Fetching salesperson data.', { uid: caller.uid, role: caller.role, month });
+    try {
+        let docs: admin.firestore.DocumentSnapshot[];
+        let nextCursor: string | null = null;
+        if (caller.role === 'admin') {
+            let query = db.collection('salespersons').orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+            if (request.data?.cursor) {
+                query = query.startAfter(request.data.cursor);
+            }
+            docs = (await query.get()).docs;
+            nextCursor = docs.length === pageSize ? docs[docs.length - 1].id : null;
+        } else {
+            const own = caller.salespersonId ? await db.collection('salespersons').doc(caller.salespersonId).get() : null;
+            docs = own?.exists ? [own] : [];
+        }
+
+        const salespersons: admin.firestore.DocumentData[] = [];
+        const summaries: LedgerSummary[] = [];
+        for (const doc of docs) {
+            const summary = await summarizePeriod(doc.id, 'saleMonth', month);
+            summaries.push(summary);
+            salespersons.push({
+                id: doc.id,
+                ...doc.data(),
+                summary
+            });
+        }
+        console.info(`Fetched ${salespersons.length} salesperson records.`);
+        return {
+            month,
+            totals: await withConversion(combineSummaries(summaries), reportingCurrency),
+            salespersons,
+            nextCursor
+        };
+    } catch (error: any) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('Error fetching salesperson data:', error);
+        throw new HttpsError('internal', 'Failed to retrieve salesperson data.');
+    }
+});
+
+/**
+ * combineSummaries: Adds several salespersons' summaries into one, tier by tier.
+ */
+function combineSummaries(summaries: LedgerSummary[]): LedgerSummary {
+    const combined = summarizeLedger([]);
+    summaries.forEach((summary) => {
+        addTotals(combined, summary);
+        combined.unresolved.push(...summary.unresolved);
+        Object.entries(summary.byTier).forEach(([tierId, totals]) => {
+            combined.byTier[tierId] = addTotals(combined.byTier[tierId] || summarizeLedger([]), totals);
+        });
+    });
+    return combined;
+}
+
+/**
+ * getMonthlySalesReport: HTTPS Callable function for a salesperson's sales and commission in one month (v2).
+ *
+ * @param request.data.salespersonId - The ID of the salesperson.
+ * @param request.data.yearMonth - The year and month in YYYY-MM format (e.g., '2023-10').
+ * @param request.data.pageSize - Line items per page (default 50, at most 200).
+ * @param request.data.cursor - nextCursor from the previous page.
+ * @param request.data.reportingCurrency - Optional ISO 4217 code to convert the summary totals to.
+ */
+export const getMonthlySalesReport = onCall<PageRequest & { salespersonId: string; yearMonth: string }>(async (request) => {
+    const { salespersonId, yearMonth, cursor } = request.data;
+    if (!salespersonId || !yearMonth || !/^\d{4}-\d{2}$/.test(yearMonth)) {
+        throw new HttpsError('invalid-argument', 'Salesperson ID and year/month (YYYY-MM) are required.');
+    }
+    await requireSalespersonAccess(request, salespersonId, 'read monthly sales reports');
+    const pageSize = pageSizeOf(request.data.pageSize);
+    const reportingCurrency = reportingCurrencyOf(request.data.reportingCurrency);
+
+    try {
+        const salespersonDoc = await admin.firestore().collection('salespersons').doc(salespersonId).get();
+        if (!salespersonDoc.exists) {
+            console.warn(`getMonthlySalesReport: Salesperson ${salespersonId} not found.`);
+            throw new HttpsError('not-found', `Salesperson ${salespersonId} not found.`);
+        }
+
+        const [summary, page] = await Promise.all([
+            summarizePeriod(salespersonId, 'saleMonth', yearMonth),
+            pageLedger(salespersonId, 'saleMonth', yearMonth, pageSize, cursor)
+        ]);
+
+        console.info(`getMonthlySalesReport: Report generated for ${salespersonId} for ${yearMonth}.`);
+        return {
+            salespersonId,
+            yearMonth,
+            summary: await withConversion(summary, reportingCurrency),
+            items: page.items,
+            nextCursor: page.nextCursor
+        };
+    } catch (error: any) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('getMonthlySalesReport: Error fetching monthly sales report:', error);
+        throw new HttpsError('internal', 'Failed to retrieve monthly sales report.');
+    }
+});
+
+/**
+ * getYearlySalesReport: HTTPS Callable function for a salesperson's sales and commission in one year (v2).
+ * The summary also breaks the year down by month.
+ *
+ * @param request.data.salespersonId - The ID of the salesperson.
+ * @param request.data.year - The year in YYYY format (e.g., '2023').
+ * @param request.data.pageSize - Line items per page (default 50, at most 200).
+ * @param request.data.cursor - nextCursor from the previous page.
+ * @param request.data.reportingCurrency - Optional ISO 4217 code to convert the summary totals to.
+ */
+export const getYearlySalesReport = onCall<PageRequest & { salespersonId: string; year: string }>(async (request) => {
+    const { salespersonId, year, cursor } = request.data;
+    if (!salespersonId || !year || !/^\d{4}$/.test(year)) {
+        throw new HttpsError('invalid-argument', 'Salesperson ID and year (YYYY) are required.');
+    }
+    await requireSalespersonAccess(request, salespersonId, 'read yearly sales reports');
+    const pageSize = pageSizeOf(request.data.pageSize);
+    const reportingCurrency = reportingCurrencyOf(request.data.reportingCurrency);
+
+    try {
+        const salespersonDoc = await admin.firestore().collection('salespersons').doc(salespersonId).get();
+        if (!salespersonDoc.exists) {
+            console.warn(`getYearlySalesReport: Salesperson ${salespersonId} not found.`);
+            throw new HttpsError('not-found', `Salesperson ${salespersonId} not found.`);
+        }
+
+        const [entries, page] = await Promise.all([
+            periodEntries(salespersonId, 'saleYear', year),
+            pageLedger(salespersonId, 'saleYear', year, pageSize, cursor)
+        ]);
+        const byMonth: { [month: string]: LedgerSummary } = {};
+        new Set(entries.map((entry) => entry.saleMonth as string)).forEach((month) => {
+            byMonth[month] = summarizeLedger(entries.filter((entry) => entry.saleMonth === month));
+        });
+
+        console.info(`getYearlySalesReport: Report generated for ${salespersonId} for ${year}.`);
+        return {
+            salespersonId,
+            year,
+            summary: { ...await withConversion(summarizeLedger(entries), reportingCurrency), byMonth },
+            items: page.items,
+            nextCursor: page.nextCursor
+        };
+    } catch (error: any) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('getYearlySalesReport: Error fetching yearly sales report:', error);
+        throw new HttpsError('internal', 'Failed to retrieve yearly sales report.');
+    }
+});
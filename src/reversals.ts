@@ -0,0 +1,273 @@
+import * as admin from 'firebase-admin';
+import { monthKey } from './monthClose';
+import { addAuditEntry } from './audit';
+import { MS_PER_DAY, recordMembershipRevocation } from './memberships';
+import { PayPalAmount } from './reconciliation';
+import { recordLedgerEntry } from './salesLedger';
+import { moneyFromPayPal, prorateMinorUnits, toMinorUnits } from './money';
+import { DisputeRecord } from './webhookHandlers';
+import { transitionOrder } from './orders';
+
+/**
+ * Refunds, reversals and chargebacks.
+ *
+ * Money leaving us unwinds the payment it belongs to, in proportion to the amount returned:
+ *  - the membership loses the same share of the days the payment granted (all of them on a full
+ *    refund) and the user drops to 'refunded' / 'reversed' once no paid time is left;
+ *  - the salesperson gets a negative commission adjustment for the same share, in the payment's
+ *    currency and rounded half up; the refund that completes the reversal claws back whatever
+ *    commission is left, so partial refunds never leave a stray minor unit behind. Adjustments are
+ *    always booked against the current month, so a refund of a sale from an already archived month
+ *    carries forward instead of rewriting historicalPayouts.
+ *
+ * processedPayments/{orderId} (written by applyPayment) holds what is needed to do this, and
+ * processedPayments/{orderId}/reversals/{reversalId} makes each refund or dispute apply once.
+ */
+
+export type ReversalKind = 'refund' | 'reversal' | 'chargeback';
+
+export interface ReversalDetails {
+    reversalId: string;         // PayPal refund id, or dispute id for chargebacks.
+    kind: ReversalKind;
+    orderId?: string;
+    captureId?: string;
+    amount?: PayPalAmount;      // Amount returned to the payer; the whole remaining payment when absent.
+    eventId?: string;
+    eventType?: string;
+}
+
+export type ReversalOutcome = 'applied' | 'duplicate_event' | 'duplicate_reversal' | 'payment_not_found' | 'nothing_to_reverse' | 'currency_mismatch'
+    | 'currency_unknown';
+
+const REVERSED_STATUS: { [kind in ReversalKind]: string } = {
+    refund: 'refunded',
+    reversal: 'reversed',
+    chargeback: 'reversed',
+};
+
+/**
+ * captureIdFromLinks: Refund and reversal resources point at their capture through the 'up' link.
+ */
+export function captureIdFromLinks(resource: { links?: { rel: string; href: string }[] }): string | undefined {
+    const up = resource.links?.find((link) => link.rel === 'up');
+    const match = up?.href.match(/\/captures\/([^/?]+)/);
+    return match ? match[1] : undefined;
+}
+
+async function findPaymentRef(details: ReversalDetails): Promise<admin.firestore.DocumentReference | null> {
+    const payments = admin.firestore().collection('processedPayments');
+    if (details.orderId) {
+        return payments.doc(details.orderId);
+    }
+    if (details.captureId) {
+        const snapshot = await payments.where('captureId', '==', details.captureId).limit(1).get();
+        return snapshot.empty ? null : snapshot.docs[0].ref;
+    }
+    return null;
+}
+
+/**
+ * originalSaleMonth: The month the reversed sale was booked in. Ledger entries carry saleMonth;
+ * payments applied before the ledger point at salespersons/{id}/monthlyPayouts/{month}/individualSales/{orderId}.
+ */
+function originalSaleMonth(payment: admin.firestore.DocumentData, saleDoc: admin.firestore.DocumentSnapshot | null): string | null {
+    if (saleDoc?.get('saleMonth')) {
+        return saleDoc.get('saleMonth');
+    }
+    const segments: string[] = payment.salePath?.split('/') || [];
+    return segments[2] === 'monthlyPayouts' ? segments[3] : null;
+}
+
+/**
+ * applyReversal: Shortens or revokes the membership and claws back commission for money returned
+ * to the payer. Safe to call repeatedly for the same reversal.
+ */
+export async function applyReversal(details: ReversalDetails): Promise<ReversalOutcome> {
+    const db = admin.firestore();
+    const paymentRef = await findPaymentRef(details);
+    if (!paymentRef) {
+        console.warn('No applied payment found for reversal.', { ...details });
+        return 'payment_not_found';
+    }
+
+    const reversalRef = paymentRef.collection('reversals').doc(details.reversalId);
+    const eventRef = details.eventId ? db.collection('webhookEvents').doc(details.eventId) : null;
+
+    return db.runTransaction(async (transaction) => {
+        const [eventDoc, paymentDoc, reversalDoc] = await Promise.all([
+            eventRef ? transaction.get(eventRef) : Promise.resolve(null),
+            transaction.get(paymentRef),
+            transaction.get(reversalRef)
+        ]);
+        if (eventDoc?.exists) {
+            return 'duplicate_event';
+        }
+        if (reversalDoc.exists) {
+            return 'duplicate_reversal';
+        }
+        if (!paymentDoc.exists) {
+            console.warn('No applied payment found for reversal.', { ...details });
+            return 'payment_not_found';
+        }
+
+        const payment = paymentDoc.data()!;
+        const orderId = paymentRef.id;
+        const requested = details.amount ? moneyFromPayPal(details.amount) : null;
+        // Payments applied before minor units stored floats next to a currencyCode. PayPal returns money
+        // in the currency it was captured in, so a payment without either is read in the reversal's.
+        const currency: string | undefined = payment.currency || payment.currencyCode || requested?.currency;
+        if (!currency) {
+            console.error(`Reversal ${details.reversalId} of order ${orderId} has no amount and the payment no currency.`);
+            return 'currency_unknown';
+        }
+        const grossMinor: number = payment.grossAmountMinor ?? toMinorUnits(payment.grossAmount || 0, currency);
+        const commissionMinor: number = payment.commissionMinor ?? toMinorUnits(payment.commission || 0, currency);
+        const alreadyReversedMinor: number = payment.reversedAmountMinor ?? toMinorUnits(payment.reversedAmount || 0, currency);
+        const alreadyClawedBackMinor: number = payment.commissionReversedMinor ?? prorateMinorUnits(commissionMinor, alreadyReversedMinor, grossMinor || 1);
+
+        if (requested && requested.currency !== currency) {
+            console.error(`Reversal ${details.reversalId} is in ${requested.currency} but order ${orderId} was paid in ${currency}.`);
+            return 'currency_mismatch';
+        }
+        const remainingMinor = grossMinor - alreadyReversedMinor;
+        const reversedMinor = Math.min(requested ? requested.amountMinor : remainingMinor, remainingMinor);
+        if (grossMinor <= 0 || reversedMinor <= 0) {
+            console.info(`Nothing left to reverse on order ${orderId}.`, { reversalId: details.reversalId });
+            return 'nothing_to_reverse';
+        }
+        const fullyReversed = reversedMinor >= remainingMinor;
+
+        const userRef = db.collection('users').doc(payment.userId);
+        const salespersonRef = payment.salespersonId ? db.collection('salespersons').doc(payment.salespersonId) : null;
+        const saleRef = payment.salePath ? db.doc(payment.salePath) : null;
+        const [userDoc, spDoc, saleDoc, orderDoc] = await Promise.all([
+            transaction.get(userRef),
+            salespersonRef ? transaction.get(salespersonRef) : Promise.resolve(null),
+            saleRef ? transaction.get(saleRef) : Promise.resolve(null),
+            transaction.get(db.collection('orders').doc(orderId))
+        ]);
+
+        // Membership: remove the same share of the days this payment granted.
+        if (userDoc.exists) {
+            const previousExpiry: admin.firestore.Timestamp | null = userDoc.get('membershipExpiry') || null;
+            const removedDays = (payment.durationDays || 0) * reversedMinor / grossMinor;
+            const newExpiryMs = (previousExpiry ? previousExpiry.toMillis() : Date.now()) - removedDays * MS_PER_DAY;
+            const newExpiry = admin.firestore.Timestamp.fromMillis(newExpiryMs);
+            const lapsed = newExpiryMs <= Date.now();
+
+            transaction.update(userRef, {
+                membershipExpiry: newExpiry,
+                ...(lapsed && userDoc.get('paymentStatus') === 'paid' ? { paymentStatus: REVERSED_STATUS[details.kind] } : {}),
+                lastReversalDate: admin.firestore.FieldValue.serverTimestamp()
+            });
+            recordMembershipRevocation(transaction, userRef, details.reversalId, {
+                orderId,
+                reason: details.kind,
+                removedDays,
+                previousExpiry,
+                expiresAt: newExpiry
+            });
+            addAuditEntry(transaction, `membership.${details.kind}`, {
+                subjectId: payment.userId,
+                orderId,
+                reversalId: details.reversalId,
+                removedDays,
+                lapsed
+            });
+        }
+
+        // Commission: book a negative adjustment in the current month against the original sale.
+        const remainingCommissionMinor = commissionMinor - alreadyClawedBackMinor;
+        const clawbackMinor = fullyReversed
+            ? remainingCommissionMinor
+            : Math.min(prorateMinorUnits(commissionMinor, reversedMinor, grossMinor), remainingCommissionMinor);
+        if (salespersonRef && spDoc?.exists && clawbackMinor > 0) {
+            const currentMonth = monthKey();
+            const originalMonth = originalSaleMonth(payment, saleDoc);
+
+            recordLedgerEntry(transaction, salespersonRef, `${orderId}_${details.reversalId}`, {
+                type: 'adjustment',
+                reason: details.kind,
+                userId: payment.userId,
+                orderId,
+                salespersonId: salespersonRef.id,
+                tierId: payment.tierId || null,
+                reversalId: details.reversalId,
+                originalEntryPath: payment.salePath || null,
+                originalMonth,
+                carriedForward: originalMonth !== currentMonth,
+                amountMinor: -reversedMinor,
+                currency,
+                commissionMinor: -clawbackMinor,
+                source: details.kind
+            });
+            transaction.update(salespersonRef, {
+                [`earningsMinor.${currency}`]: admin.firestore.FieldValue.increment(-clawbackMinor),
+                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+            });
+            if (saleRef) {
+                transaction.set(saleRef, {
+                    commissionAdjustedMinor: admin.firestore.FieldValue.increment(-clawbackMinor)
+                }, { merge: true });
+            }
+            console.info(`Salesperson ${payment.salespersonId} commission clawed back: -${clawbackMinor} ${currency} minor units.`,
+                { orderId, carriedForward: originalMonth !== currentMonth });
+        }
+
+        // A sale reversed in full no longer counts towards the month's volume rules (see monthlySaleCount).
+        if (fullyReversed && saleRef && saleDoc?.exists) {
+            transaction.set(saleRef, { reversed: true }, { merge: true });
+        }
+
+        transaction.update(paymentRef, {
+            reversedAmountMinor: alreadyReversedMinor + reversedMinor,
+            commissionReversedMinor: alreadyClawedBackMinor + Math.max(clawbackMinor, 0),
+            status: fullyReversed ? REVERSED_STATUS[details.kind] : `partially_${REVERSED_STATUS[details.kind]}`
+        });
+        // The order only counts as REFUNDED once all of its money has gone back.
+        if (fullyReversed) {
+            transitionOrder(transaction, orderDoc, 'REFUNDED', {
+                source: details.kind,
+                eventId: details.eventId,
+                reason: details.kind
+            });
+        }
+        transaction.set(reversalRef, {
+            kind: details.kind,
+            captureId: details.captureId || payment.captureId || null,
+            amountMinor: reversedMinor,
+            currency,
+            commissionClawbackMinor: clawbackMinor,
+            eventId: details.eventId || null,
+            appliedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        if (eventRef) {
+            transaction.set(eventRef, {
+                eventType: details.eventType || null,
+                orderId,
+                resourceId: details.reversalId,
+                processedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        return 'applied';
+    });
+}
+
+/**
+ * recordDispute: Tracks CUSTOMER.DISPUTE.* events in disputes/{disputeId}. Whether a resolved dispute
+ * becomes a chargeback is decided by the webhook handler (see webhookHandlers.ts).
+ */
+export async function recordDispute(dispute: DisputeRecord): Promise<void> {
+    await admin.firestore().collection('disputes').doc(dispute.disputeId).set({
+        captureId: dispute.captureId || null,
+        status: dispute.status || null,
+        reason: dispute.reason || null,
+        disputeAmount: dispute.disputeAmount || null,
+        outcomeCode: dispute.outcomeCode || null,
+        lastEventType: dispute.eventType,
+        lastEventId: dispute.eventId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    console.info(`Dispute ${dispute.disputeId} ${dispute.eventType}.`,
+        { captureId: dispute.captureId, status: dispute.status, outcomeCode: dispute.outcomeCode });
+}
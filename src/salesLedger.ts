@@ -0,0 +1,380 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireAdmin } from './auth';
+import { monthKey } from './monthClose';
+import { CurrencyAmounts, LegacyCurrencyError, addAmounts, isCurrencyCode, toMinorUnits } from './money';
+
+/**
+ * Canonical sales ledger: salespersons/{salespersonId}/sales/{entryId}.
+ *
+ * Every commission-bearing event is one entry. applyPayment writes a 'sale' entry keyed by order id for
+ * each payment path (capture, webhook, subscription, admin approval); applyReversal writes a negative
+ * 'adjustment' entry keyed {orderId}_{reversalId}. Entries carry saleMonth / saleYear (business time
+ * zone, see monthClose.ts) so reports filter on them, and are never rewritten apart from the
+ * commissionAdjustedMinor counter on a sale that was later refunded.
+ *
+ * Amounts are integer minor units in the entry's currency (see money.ts), and totals are kept per
+ * currency. Entries written before that (float amount / commission, currencyCode) are read through
+ * ledgerMoney; backfillSalesLedger stamps the currency of the ones copied from individualSales.
+ *
+ * Reports need composite indexes on sales (saleMonth ASC, timestamp DESC) and (saleYear ASC, timestamp DESC).
+ */
+
+export type LedgerEntryType = 'sale' | 'adjustment';
+
+export interface LedgerEntry {
+    type: LedgerEntryType;
+    orderId: string;
+    userId: string;
+    salespersonId: string;
+    tierId: string | null;
+    amountMinor: number;        // Gross amount; negative for adjustments.
+    currency: string;
+    commissionMinor: number;    // Negative for adjustments.
+    source: string;
+    // Sales
+    reversed?: boolean;         // Set once the sale is refunded or charged back in full.
+    subscriptionId?: string | null;
+    recurring?: boolean;
+    commissionRate?: number;
+    commissionRuleId?: string;
+    // Adjustments
+    reason?: string;
+    reversalId?: string;
+    originalEntryPath?: string | null;
+    originalMonth?: string | null;
+    carriedForward?: boolean;
+}
+
+export interface LedgerTotals {
+    sales: number;              // Count of 'sale' entries.
+    adjustments: number;        // Count of 'adjustment' entries.
+    grossAmountMinor: CurrencyAmounts;
+    commissionMinor: CurrencyAmounts;
+    // Set on report totals when a reportingCurrency is requested (see reports.ts).
+    converted?: { currency: string; grossAmountMinor: number; commissionMinor: number; missingRates: string[] };
+}
+
+export interface LedgerSummary extends LedgerTotals {
+    byTier: { [tierId: string]: LedgerTotals };
+    unresolved: string[];       // Paths of entries with no currency, left out of the totals.
+}
+
+/**
+ * recordLedgerEntry: Writes `entry` to the salesperson's ledger inside the caller's transaction.
+ * Returns the entry's reference; its path is what processedPayments.salePath points at.
+ */
+export function recordLedgerEntry(
+    transaction: admin.firestore.Transaction,
+    salespersonRef: admin.firestore.DocumentReference,
+    entryId: string,
+    entry: LedgerEntry
+): admin.firestore.DocumentReference {
+    const saleMonth = monthKey();
+    const entryRef = salespersonRef.collection('sales').doc(entryId);
+    transaction.set(entryRef, {
+        ...entry,
+        saleMonth,
+        saleYear: saleMonth.substring(0, 4),
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return entryRef;
+}
+
+/**
+ * monthlySaleCount: How many sales the salesperson's ledger records for `month`, leaving out those
+ * refunded or charged back in full (marked `reversed` by applyReversal). Read inside the caller's
+ * transaction, so it must come before any write.
+ */
+export async function monthlySaleCount(
+    transaction: admin.firestore.Transaction,
+    salespersonRef: admin.firestore.DocumentReference,
+    month: string
+): Promise<number> {
+    const snapshot = await transaction.get(salespersonRef.collection('sales')
+        .where('saleMonth', '==', month)
+        .where('type', '==', 'sale')
+        .select('reversed'));
+    return snapshot.docs.filter((doc) => doc.get('reversed') !== true).length;
+}
+
+/**
+ * ledgerMoney: An entry's amounts in minor units, including entries written with float amounts.
+ * Throws a LegacyCurrencyError for an entry that records no currency.
+ */
+export function ledgerMoney(entry: admin.firestore.DocumentData): {
+    currency: string;
+    amountMinor: number;
+    commissionMinor: number;
+    commissionAdjustedMinor: number;
+} {
+    const currency: string | undefined = entry.currency || entry.currencyCode;
+    if (!currency) {
+        throw new LegacyCurrencyError(`Ledger entry for order ${entry.orderId} has no currency.`);
+    }
+    return {
+        currency,
+        amountMinor: entry.amountMinor ?? toMinorUnits(entry.amount || 0, currency),
+        commissionMinor: entry.commissionMinor ?? toMinorUnits(entry.commission || 0, currency),
+        // A legacy sale refunded after the switch has both counters.
+        commissionAdjustedMinor: (entry.commissionAdjustedMinor || 0) + toMinorUnits(entry.commissionAdjusted || 0, currency),
+    };
+}
+
+/**
+ * knownLedgerMoney: ledgerMoney, or null for an entry that records no currency.
+ */
+export function knownLedgerMoney(entry: admin.firestore.DocumentData): ReturnType<typeof ledgerMoney> | null {
+    try {
+        return ledgerMoney(entry);
+    } catch (error) {
+        if (error instanceof LegacyCurrencyError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+function emptyTotals(): LedgerTotals {
+    return { sales: 0, adjustments: 0, grossAmountMinor: {}, commissionMinor: {} };
+}
+
+/**
+ * addTotals: Adds `totals` into `into` currency by currency.
+ */
+export function addTotals(into: LedgerTotals, totals: LedgerTotals): LedgerTotals {
+    into.sales += totals.sales;
+    into.adjustments += totals.adjustments;
+    addAmounts(into.grossAmountMinor, totals.grossAmountMinor);
+    addAmounts(into.commissionMinor, totals.commissionMinor);
+    return into;
+}
+
+function addToTotals(totals: LedgerTotals, entry: admin.firestore.DocumentData, money: ReturnType<typeof ledgerMoney>): void {
+    addTotals(totals, {
+        sales: entry.type === 'adjustment' ? 0 : 1,
+        adjustments: entry.type === 'adjustment' ? 1 : 0,
+        grossAmountMinor: { [money.currency]: money.amountMinor },
+        commissionMinor: { [money.currency]: money.commissionMinor },
+    });
+}
+
+/**
+ * summarizeLedger: Totals and per-tier breakdown of a set of ledger entries (as read by periodEntries).
+ * Entries that record no currency are listed in `unresolved` rather than failing the summary.
+ */
+export function summarizeLedger(entries: admin.firestore.DocumentData[]): LedgerSummary {
+    const summary: LedgerSummary = { ...emptyTotals(), byTier: {}, unresolved: [] };
+    entries.forEach((entry) => {
+        const money = knownLedgerMoney(entry);
+        if (!money) {
+            summary.unresolved.push(entry.path);
+            return;
+        }
+        addToTotals(summary, entry, money);
+        const tierId = entry.tierId || 'unknown';
+        summary.byTier[tierId] = summary.byTier[tierId] || emptyTotals();
+        addToTotals(summary.byTier[tierId], entry, money);
+    });
+    return summary;
+}
+
+/**
+ * periodEntries: A salesperson's entries where `field` (saleMonth or saleYear) equals `value`, each with
+ * its document `path`. Reads only the fields summaries need, so a year of entries stays cheap.
+ */
+export async function periodEntries(
+    salespersonId: string,
+    field: 'saleMonth' | 'saleYear',
+    value: string
+): Promise<admin.firestore.DocumentData[]> {
+    const snapshot = await admin.firestore().collection('salespersons').doc(salespersonId).collection('sales')
+        .where(field, '==', value)
+        .select('type', 'tierId', 'saleMonth', 'currency', 'amountMinor', 'commissionMinor', 'currencyCode', 'amount', 'commission')
+        .get();
+    return snapshot.docs.map((doc) => ({ ...doc.data(), path: doc.ref.path }));
+}
+
+/**
+ * summarizePeriod: Summary of a salesperson's entries for one month or year (see periodEntries).
+ */
+export async function summarizePeriod(
+    salespersonId: string,
+    field: 'saleMonth' | 'saleYear',
+    value: string
+): Promise<LedgerSummary> {
+    return summarizeLedger(await periodEntries(salespersonId, field, value));
+}
+
+/**
+ * pageLedger: One page of a salesperson's entries for a period, newest first.
+ * `cursor` is the nextCursor returned by the previous page (an entry id). An entry that records no
+ * currency is returned as stored, with a null `currency`.
+ */
+export async function pageLedger(
+    salespersonId: string,
+    field: 'saleMonth' | 'saleYear',
+    value: string,
+    pageSize: number,
+    cursor?: string
+): Promise<{ items: admin.firestore.DocumentData[]; nextCursor: string | null }> {
+    const sales = admin.firestore().collection('salespersons').doc(salespersonId).collection('sales');
+    let query = sales
+        .where(field, '==', value)
+        .orderBy('timestamp', 'desc')
+        .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+        .limit(pageSize);
+    if (cursor) {
+        const cursorDoc = await sales.doc(cursor).get();
+        if (cursorDoc.exists) {
+            query = query.startAfter(cursorDoc);
+        }
+    }
+    const snapshot = await query.get();
+    return {
+        items: snapshot.docs.map((doc) => ({
+            id: doc.id,
+            ...doc.data(),
+            ...(knownLedgerMoney(doc.data()) || { currency: null }),
+            timestamp: doc.get('timestamp')?.toDate().toISOString() || null
+        })),
+        nextCursor: snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null
+    };
+}
+
+// Legacy sales read per page by backfillSalesLedger, and how long it keeps starting new pages before
+// handing back a cursor (the function times out at 540s).
+const BACKFILL_PAGE_SIZE = 300;
+const BACKFILL_TIME_BUDGET_MS = 7 * 60 * 1000;
+
+async function readAll(refs: admin.firestore.DocumentReference[]): Promise<Map<string, admin.firestore.DocumentSnapshot>> {
+    const unique = [...new Map(refs.map((ref) => [ref.path, ref])).values()];
+    const snapshots = unique.length ? await admin.firestore().getAll(...unique) : [];
+    return new Map(snapshots.map((snapshot) => [snapshot.ref.path, snapshot]));
+}
+
+/**
+ * legacySaleCurrencies: The currency each sale recorded in individualSales was paid in: its own, the
+ * one applyPayment recorded for the order, or the one the legacy handler wrote on the user along with
+ * the sale (while that user's latest order is still this one). Null when none of them recorded it.
+ * The orders and users of a page of sales are read in two batched reads.
+ */
+async function legacySaleCurrencies(sales: admin.firestore.QueryDocumentSnapshot[]): Promise<(string | null)[]> {
+    const db = admin.firestore();
+    const own = (doc: admin.firestore.DocumentSnapshot): string | null => doc.get('currency') || doc.get('currencyCode') || null;
+    const lookups = sales.filter((doc) => !own(doc) && doc.get('orderId'));
+    const payments = await readAll(lookups.map((doc) => db.collection('processedPayments').doc(doc.get('orderId'))));
+    const users = await readAll(lookups.filter((doc) => doc.get('userId')).map((doc) => db.collection('users').doc(doc.get('userId'))));
+
+    return sales.map((doc) => {
+        if (own(doc) || !doc.get('orderId')) {
+            return own(doc);
+        }
+        const payment = payments.get(`processedPayments/${doc.get('orderId')}`);
+        if (payment && own(payment)) {
+            return own(payment);
+        }
+        const user = doc.get('userId') ? users.get(`users/${doc.get('userId')}`) : undefined;
+        if (user && user.get('paypalOrderId') === doc.get('orderId') && user.get('paypalCurrencyCode')) {
+            return user.get('paypalCurrencyCode');
+        }
+        return null;
+    });
+}
+
+// Interface for the data expected by backfillSalesLedger callable function
+interface BackfillSalesLedgerData {
+    // Currency of legacy sales that recorded none anywhere, once an admin has established it.
+    legacyCurrency?: string;
+    // nextCursor from the previous call, to carry on where it stopped.
+    cursor?: string;
+}
+
+/**
+ * backfillSalesLedger: One-off HTTPS Callable function for admins to copy sales recorded before the
+ * ledger existed (monthlyPayouts/{month}/individualSales) into salespersons/{id}/sales (v2).
+ * Each copy is stamped with the currency the sale was paid in (see legacySaleCurrencies), or
+ * `legacyCurrency` when given; sales with neither are not copied and are returned in `unresolved`.
+ *
+ * Sales are read a page at a time in document path order. When the time budget runs out the call
+ * returns a `nextCursor`; call again with it as `cursor` until it is null. Copies that failed are
+ * returned in `failed`. Existing ledger entries are left alone, so it is safe to run more than once.
+ */
+export const backfillSalesLedger = onCall<BackfillSalesLedgerData>({ timeoutSeconds: 540 }, async (request) => {
+    const adminUid = await requireAdmin(request, 'backfill the sales ledger');
+    const startedAt = Date.now();
+    const legacyCurrency = request.data?.legacyCurrency;
+    if (legacyCurrency !== undefined && !isCurrencyCode(legacyCurrency)) {
+        throw new HttpsError('invalid-argument', 'legacyCurrency must be an ISO 4217 code.');
+    }
+    const cursor = request.data?.cursor;
+    if (cursor !== undefined && (typeof cursor !== 'string' || !cursor.includes('/individualSales/'))) {
+        throw new HttpsError('invalid-argument', 'cursor must be the nextCursor of a previous call.');
+    }
+    const db = admin.firestore();
+
+    const writer = db.bulkWriter();
+    let copied = 0;
+    let skipped = 0;
+    const unresolved: string[] = [];
+    const failed: string[] = [];
+    writer.onWriteError((error) => error.code !== 6 && error.failedAttempts < 3); // 6 = ALREADY_EXISTS
+
+    let nextCursor: string | null = cursor || null;
+    for (;;) {
+        let query = db.collectionGroup('individualSales').orderBy(admin.firestore.FieldPath.documentId()).limit(BACKFILL_PAGE_SIZE);
+        if (nextCursor) {
+            query = query.startAfter(nextCursor);
+        }
+        const page = await query.get();
+        const currencies = await legacySaleCurrencies(page.docs);
+
+        page.docs.forEach((doc, index) => {
+            // salespersons/{id}/monthlyPayouts/{month}/individualSales/{entryId}
+            const salespersonRef = doc.ref.parent.parent!.parent.parent!;
+            const month = doc.ref.parent.parent!.id;
+            const data = doc.data();
+            const currency = currencies[index] || legacyCurrency;
+            if (!currency) {
+                unresolved.push(doc.ref.path);
+                return;
+            }
+            const money = ledgerMoney({ ...data, currency });
+            writer.create(salespersonRef.collection('sales').doc(doc.id), {
+                type: data.type || 'sale',
+                orderId: data.orderId || doc.id,
+                userId: data.userId || null,
+                salespersonId: salespersonRef.id,
+                tierId: data.tierId || null,
+                ...money,
+                commissionRate: data.commissionRate ?? null,
+                commissionRuleId: data.commissionRuleId || null,
+                source: data.source || 'legacy',
+                saleMonth: month,
+                saleYear: month.substring(0, 4),
+                timestamp: data.timestamp || admin.firestore.FieldValue.serverTimestamp(),
+                backfilledFrom: doc.ref.path
+            }).then(() => {
+                copied++;
+            }, (error) => {
+                if (error.code === 6) {
+                    skipped++;
+                } else {
+                    console.error(`Could not copy ${doc.ref.path} into the sales ledger.`, error);
+                    failed.push(doc.ref.path);
+                }
+            });
+        });
+        await writer.flush();
+
+        nextCursor = page.size === BACKFILL_PAGE_SIZE ? page.docs[page.size - 1].ref.path : null;
+        if (!nextCursor || Date.now() - startedAt > BACKFILL_TIME_BUDGET_MS) {
+            break;
+        }
+    }
+    await writer.close();
+
+    console.info(`Sales ledger backfill ${nextCursor ? 'paused' : 'complete'}: ${copied} copied, ${skipped} already present, ` +
+        `${unresolved.length} without a currency, ${failed.length} failed.`, { by: adminUid, nextCursor });
+    return { copied, skipped, unresolved, failed, nextCursor };
+});
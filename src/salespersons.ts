@@ -0,0 +1,378 @@
+import * as admin from 'firebase-admin';
+import * as crypto from 'crypto';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireAdmin, setRoleClaims } from './auth';
+import { logAuditEvent } from './audit';
+import { CurrencyAmounts, addAmounts, storedAmounts } from './money';
+
+/**
+ * Salesperson identity.
+ *
+ * Salespersons are stored under generated document ids (schemaVersion 2) and are found by users
+ * through a referral code: referralCodes/{code} -> salespersonId, attached to users/{uid}.salespersonId
+ * at signup. The legacy schema keyed salespersons/{fullName} and stored users' salesperson.fullName;
+ * migrateSalespersonIds folds those documents into generated ids and leaves `mergedInto` behind.
+ */
+
+export const SALESPERSON_SCHEMA_VERSION = 2;
+
+// No 0/O, 1/I/L so codes survive being read aloud or copied by hand.
+const REFERRAL_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+function generateReferralCode(): string {
+    const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+    return Array.from(bytes, (byte) => REFERRAL_ALPHABET[byte % REFERRAL_ALPHABET.length]).join('');
+}
+
+function normalizeFullName(name: string): string {
+    return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * resolveSalespersonRef: The salesperson a user's sales are credited to, read inside `transaction`.
+ * Uses users.salespersonId, falling back to the legacy salesperson.fullName key (following
+ * `mergedInto` once that document has been migrated). Returns null when the user has no salesperson.
+ */
+export async function resolveSalespersonRef(
+    transaction: admin.firestore.Transaction,
+    userData: admin.firestore.DocumentData | undefined
+): Promise<admin.firestore.DocumentReference | null> {
+    const salespersons = admin.firestore().collection('salespersons');
+    if (userData?.salespersonId) {
+        return salespersons.doc(userData.salespersonId);
+    }
+    const legacyName: string | undefined = userData?.salesperson?.fullName;
+    if (!legacyName) {
+        return null;
+    }
+    const legacyDoc = await transaction.get(salespersons.doc(legacyName));
+    const mergedInto: string | undefined = legacyDoc.get('mergedInto');
+    return mergedInto ? salespersons.doc(mergedInto) : legacyDoc.ref;
+}
+
+async function reserveReferralCode(salespersonId: string): Promise<string> {
+    const codes = admin.firestore().collection('referralCodes');
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = generateReferralCode();
+        try {
+            await codes.doc(code).create({
+                salespersonId,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return code;
+        } catch (error: any) {
+            if (error.code !== 6) { // ALREADY_EXISTS: try another code
+                throw error;
+            }
+        }
+    }
+    throw new HttpsError('internal', 'Could not allocate a unique referral code.');
+}
+
+// Interface for the data expected by registerSalesperson callable function
+interface RegisterSalespersonData {
+    firstName: string;
+    lastName: string;
+    email: string;
+    paypalEmail?: string;       // Where commission payouts are sent; see setPayoutEmail.
+    uid?: string;               // Auth account to link; it is given the salesperson role.
+}
+
+/**
+ * registerSalesperson: HTTPS Callable function for admins to onboard a salesperson (v2).
+ * Creates the salesperson under a generated id with a referral code, and optionally links an
+ * Auth account by granting it the salesperson role.
+ */
+export const registerSalesperson = onCall<RegisterSalespersonData>(async (request) => {
+    const adminUid = await requireAdmin(request, 'register salespersons');
+    const firstName = request.data.firstName?.trim();
+    const lastName = request.data.lastName?.trim();
+    const email = request.data.email?.trim().toLowerCase();
+    const paypalEmail = request.data.paypalEmail?.trim().toLowerCase() || null;
+    if (!firstName || !lastName || !email || !/^[^@\s]+@[^@\s]+$/.test(email)) {
+        throw new HttpsError('invalid-argument', 'firstName, lastName and a valid email are required.');
+    }
+    if (paypalEmail && !/^[^@\s]+@[^@\s]+$/.test(paypalEmail)) {
+        throw new HttpsError('invalid-argument', 'paypalEmail must be a valid email.');
+    }
+
+    const salespersonRef = admin.firestore().collection('salespersons').doc();
+    const referralCode = await reserveReferralCode(salespersonRef.id);
+    await salespersonRef.set({
+        firstName,
+        lastName,
+        fullName: `${firstName} ${lastName}`,
+        email,
+        paypalEmail,
+        uid: request.data.uid || null,
+        referralCode,
+        earningsMinor: {},
+        totalSales: 0,
+        schemaVersion: SALESPERSON_SCHEMA_VERSION,
+        createdBy: adminUid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (request.data.uid) {
+        await setRoleClaims(request.data.uid, { role: 'salesperson', salespersonId: salespersonRef.id }, adminUid);
+    }
+
+    console.info(`Salesperson ${salespersonRef.id} registered.`, { by: adminUid, referralCode });
+    return { salespersonId: salespersonRef.id, referralCode };
+});
+
+/**
+ * attachReferralCode: HTTPS Callable function for a user to link the salesperson who referred them (v2).
+ * Called once at signup; a user who already has a salesperson keeps them.
+ */
+export const attachReferralCode = onCall<{ referralCode: string }>(async (request) => {
+    if (!request.auth || !request.auth.uid) {
+        throw new HttpsError('unauthenticated', 'Authentication required.');
+    }
+    const code = request.data.referralCode?.trim().toUpperCase();
+    if (!code) {
+        throw new HttpsError('invalid-argument', 'referralCode is required.');
+    }
+
+    const db = admin.firestore();
+    const userRef = db.collection('users').doc(request.auth.uid);
+    const codeRef = db.collection('referralCodes').doc(code);
+
+    const salespersonId = await db.runTransaction(async (transaction) => {
+        const [codeDoc, userDoc] = await Promise.all([transaction.get(codeRef), transaction.get(userRef)]);
+        if (!codeDoc.exists) {
+            throw new HttpsError('not-found', 'Unknown referral code.');
+        }
+        if (userDoc.get('salespersonId')) {
+            throw new HttpsError('failed-precondition', 'A referral code is already attached to this account.');
+        }
+        transaction.set(userRef, {
+            salespersonId: codeDoc.get('salespersonId'),
+            referralCode: code,
+            referredAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        return codeDoc.get('salespersonId') as string;
+    });
+
+    console.info(`User ${request.auth.uid} attached referral code ${code}.`, { salespersonId });
+    return { salespersonId };
+});
+
+/**
+ * incrementNumbers: `data` with every number, including those in per-currency maps, turned into an increment.
+ */
+function incrementNumbers(data: admin.firestore.DocumentData): admin.firestore.DocumentData {
+    const sums: admin.firestore.DocumentData = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (typeof value === 'number') {
+            sums[key] = admin.firestore.FieldValue.increment(value);
+        } else if (value && value.constructor === Object) {
+            sums[key] = incrementNumbers(value);
+        } else {
+            sums[key] = value;
+        }
+    }
+    return sums;
+}
+
+async function copyCollection(
+    writer: admin.firestore.BulkWriter,
+    from: admin.firestore.CollectionReference,
+    to: admin.firestore.CollectionReference,
+    mergeNumbers: boolean
+): Promise<number> {
+    let copied = 0;
+    // listDocuments also returns parents that were never written but have subcollections,
+    // which is how monthlyPayouts/{month} usually looks.
+    for (const ref of await from.listDocuments()) {
+        const target = to.doc(ref.id);
+        const doc = await ref.get();
+        const data = doc.data();
+        if (data && mergeNumbers && doc.get('copiedTo') !== target.path) {
+            // Archived months from several legacy docs add up rather than overwrite each other. The
+            // increment and the source's copiedTo commit together, so a re-run never adds a month twice.
+            const { copiedTo, ...month } = data;
+            const batch = admin.firestore().batch();
+            batch.set(target, incrementNumbers(month), { merge: true });
+            batch.update(ref, { copiedTo: target.path });
+            await batch.commit();
+        } else if (data && !mergeNumbers) {
+            writer.set(target, data, { merge: true });
+        }
+        copied += data ? 1 : 0;
+        for (const sub of await ref.listCollections()) {
+            copied += await copyCollection(writer, sub, target.collection(sub.id), false);
+        }
+    }
+    return copied;
+}
+
+/**
+ * moveCounters: Moves the counters of the legacy `docs` onto `targetRef` (creating it with a referral
+ * code if needed) and marks each of them `mergedInto` it, all in one batch. Resolves once committed.
+ * Float currentMonthEarnings have no currency and are summed as they are, for normalizeLegacyDocuments.
+ */
+async function moveCounters(
+    targetRef: admin.firestore.DocumentReference,
+    docs: admin.firestore.QueryDocumentSnapshot[],
+    actor: string
+): Promise<void> {
+    const db = admin.firestore();
+    const sum = (field: string) => docs.reduce((total, doc) => total + (doc.get(field) || 0), 0);
+    const earningsMinor = docs.reduce((total: CurrencyAmounts, doc) => addAmounts(total, storedAmounts(doc.get('earningsMinor'))), {});
+    const legacyEarnings = sum('currentMonthEarnings');
+    const targetExists = (await targetRef.get()).exists;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const batch = db.batch();
+        if (!targetExists) {
+            const first = docs[0];
+            const fullName: string = first.get('fullName') || first.get('name') || first.id;
+            const [firstName, ...rest] = fullName.trim().split(/\s+/);
+            const referralCode = generateReferralCode();
+            batch.create(db.collection('referralCodes').doc(referralCode), {
+                salespersonId: targetRef.id,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            batch.set(targetRef, {
+                firstName: first.get('firstName') || firstName || null,
+                lastName: first.get('lastName') || rest.join(' ') || null,
+                fullName,
+                email: first.get('email') || null,
+                referralCode,
+                earningsMinor,
+                ...(legacyEarnings ? { currentMonthEarnings: legacyEarnings } : {}),
+                totalSales: sum('totalSales'),
+                legacyKeys: docs.map((doc) => doc.id),
+                schemaVersion: SALESPERSON_SCHEMA_VERSION,
+                createdBy: actor,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } else {
+            const increments: admin.firestore.DocumentData = {};
+            Object.entries(earningsMinor).forEach(([currency, amountMinor]) => {
+                increments[`earningsMinor.${currency}`] = admin.firestore.FieldValue.increment(amountMinor);
+            });
+            batch.update(targetRef, {
+                ...increments,
+                ...(legacyEarnings ? { currentMonthEarnings: admin.firestore.FieldValue.increment(legacyEarnings) } : {}),
+                totalSales: admin.firestore.FieldValue.increment(sum('totalSales')),
+                legacyKeys: admin.firestore.FieldValue.arrayUnion(...docs.map((doc) => doc.id)),
+                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        docs.forEach((doc) => batch.update(doc.ref, { mergedInto: targetRef.id }));
+        try {
+            await batch.commit();
+            return;
+        } catch (error: any) {
+            if (error.code !== 6 || targetExists) { // ALREADY_EXISTS: the referral code is taken, try another
+                throw error;
+            }
+        }
+    }
+    throw new HttpsError('internal', 'Could not allocate a unique referral code.');
+}
+
+// Interface for the data expected by migrateSalespersonIds callable function
+interface MigrateSalespersonsData {
+    dryRun?: boolean;
+    // Explicit legacy doc id -> salesperson id mapping, for renamed reps whose names no longer match.
+    merges?: { [legacyId: string]: string };
+}
+
+/**
+ * migrateLegacySalespersons: Moves fullName-keyed salespersons to generated ids; see migrateSalespersonIds.
+ *
+ * Each legacy document goes through two marked steps, so a run that stops anywhere can be resumed by
+ * running it again:
+ *  1. its counters move onto the target in the same batch that sets its `mergedInto` (moveCounters);
+ *     a re-run merges it into that same target and does not move them again;
+ *  2. its subcollections are copied (historical months marked `copiedTo` as each is added), users and
+ *     processedPayments are repointed, and only then is `mergedAt` set. Until it is, the next run
+ *     repeats this step, which is safe to repeat.
+ */
+export async function migrateLegacySalespersons(
+    actor: string,
+    { dryRun = false, merges = {} }: MigrateSalespersonsData
+): Promise<{ dryRun: boolean; salespersons: { salespersonId: string; legacyIds: string[] }[]; copiedDocs: number }> {
+    const db = admin.firestore();
+
+    const legacyDocs = (await db.collection('salespersons').get()).docs
+        .filter((doc) => doc.get('schemaVersion') !== SALESPERSON_SCHEMA_VERSION && !doc.get('mergedAt'));
+
+    const groups = new Map<string, admin.firestore.QueryDocumentSnapshot[]>();
+    for (const doc of legacyDocs) {
+        const targetId: string | undefined = doc.get('mergedInto') || merges[doc.id];
+        const key = targetId
+            ? `id:${targetId}`
+            : `name:${normalizeFullName(doc.get('fullName') || doc.get('name') || doc.id)}`;
+        groups.set(key, [...(groups.get(key) || []), doc]);
+    }
+
+    const plan: { salespersonId: string; legacyIds: string[] }[] = [];
+    const writer = db.bulkWriter();
+    let copiedDocs = 0;
+
+    for (const [key, docs] of groups) {
+        const targetRef = key.startsWith('id:')
+            ? db.collection('salespersons').doc(key.substring(3))
+            : db.collection('salespersons').doc();
+        plan.push({ salespersonId: targetRef.id, legacyIds: docs.map((doc) => doc.id) });
+        if (dryRun) {
+            continue;
+        }
+
+        const unmoved = docs.filter((doc) => !doc.get('mergedInto'));
+        if (unmoved.length) {
+            await moveCounters(targetRef, unmoved, actor);
+        }
+
+        for (const doc of docs) {
+            copiedDocs += await copyCollection(writer, doc.ref.collection('monthlyPayouts'), targetRef.collection('monthlyPayouts'), false);
+            copiedDocs += await copyCollection(writer, doc.ref.collection('historicalPayouts'), targetRef.collection('historicalPayouts'), true);
+            copiedDocs += await copyCollection(writer, doc.ref.collection('sales'), targetRef.collection('sales'), false);
+
+            const [byName, byId] = await Promise.all([
+                db.collection('users').where('salesperson.fullName', '==', doc.id).get(),
+                db.collection('users').where('salespersonId', '==', doc.id).get()
+            ]);
+            [...byName.docs, ...byId.docs].forEach((user) => writer.update(user.ref, { salespersonId: targetRef.id }));
+
+            const payments = await db.collection('processedPayments').where('salespersonId', '==', doc.id).get();
+            payments.forEach((payment) => writer.update(payment.ref, {
+                salespersonId: targetRef.id,
+                salePath: payment.get('salePath')?.replace(`salespersons/${doc.id}/`, `salespersons/${targetRef.id}/`) || null
+            }));
+
+            // Everything above has to land before the document counts as done.
+            await writer.flush();
+            await doc.ref.update({ mergedAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+    }
+
+    await writer.close();
+    if (!dryRun) {
+        await logAuditEvent('salespersons.migrated', { actor, groups: plan.length, copiedDocs });
+    }
+    console.info(`Salesperson migration ${dryRun ? 'planned' : 'complete'}: ${plan.length} salespersons from ${legacyDocs.length} legacy docs.`);
+    return { dryRun, salespersons: plan, copiedDocs };
+}
+
+/**
+ * migrateSalespersonIds: One-off HTTPS Callable function for admins to move fullName-keyed
+ * salespersons to generated ids (v2).
+ *
+ * Legacy documents are grouped by normalised full name (or by the explicit `merges` mapping), each
+ * group becomes one salesperson with summed counters, and its monthlyPayouts / historicalPayouts / sales
+ * subcollections are copied across. Users and processedPayments pointing at the old keys are
+ * repointed, and each legacy document is kept with `mergedInto` and `mergedAt`. A run that fails
+ * part way is resumed by calling it again.
+ */
+export const migrateSalespersonIds = onCall<MigrateSalespersonsData>({ timeoutSeconds: 540 }, async (request) => {
+    const adminUid = await requireAdmin(request, 'migrate salespersons');
+    return migrateLegacySalespersons(adminUid, request.data || {});
+});
@@ -0,0 +1,283 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireAdmin } from './auth';
+import { logAuditEvent } from './audit';
+import { LegacyCurrencyError, isCurrencyCode, storedAmounts, toMinorUnits } from './money';
+import { SALESPERSON_SCHEMA_VERSION } from './salespersons';
+
+/**
+ * The Firestore schema shared by every function in this codebase.
+ *
+ *  users/{uid}
+ *      paymentStatus             'pending' | 'paid' | 'payment_denied' | 'refunded' | 'reversed' | 'expired'
+ *      membershipExpiry          Timestamp; membershipTierId, renewalReminderDue
+ *      salespersonId             salespersons/{id} that referred the user (attachReferralCode)
+ *      paypalOrderId, paypalPayerEmail, lastPaymentDate
+ *      paypalGrossAmountMinor, paypalCurrencyCode   last payment, see money.ts
+ *      paypalSubscriptionId, subscriptionStatus
+ *      schemaVersion             USER_SCHEMA_VERSION
+ *      /memberships, /paymentAttempts
+ *
+ *  salespersons/{generated id}   see salespersons.ts
+ *      firstName, lastName, fullName, email, paypalEmail, uid, referralCode
+ *      earningsMinor             { [currency]: minor } for the current month
+ *      totalSales                sales in the current month
+ *      schemaVersion             SALESPERSON_SCHEMA_VERSION
+ *      /sales (ledger, see salesLedger.ts), /historicalPayouts/{YYYY-MM}
+ *
+ *  orders/{PayPal order id}      see orders.ts; users' paypalOrderId is only the latest one
+ *      userId, tierId, salespersonId, amount, amountMinor, currency
+ *      status                    'CREATED' | 'APPROVED' | 'CAPTURED' | 'DENIED' | 'REFUNDED' | 'EXPIRED'
+ *      history, createdAt, updatedAt, expiresAt, approvedAt, capturedAt, ...
+ *
+ * Documents written by the retired entry points (index.js, the root index.ts) used users'
+ * salesperson.fullName, a float paypalGrossAmount and salespersons keyed by full name with a float
+ * currentMonthEarnings, archived as a float `earnings`. Readers still fall back to those fields;
+ * normalizeLegacyDocuments rewrites them. The floats carry no currency (see money.ts): each is
+ * converted in the currency recorded next to it, or in the `legacyCurrency` the admin running the
+ * backfill has established, and left in place when there is neither.
+ */
+
+export const USER_SCHEMA_VERSION = 2;
+
+// Documents read per page by normalizeLegacyDocuments; their updates are flushed before the next page.
+const NORMALIZE_PAGE_SIZE = 300;
+
+// Interface for the data expected by normalizeLegacyDocuments callable function
+interface NormalizeLegacyDocumentsData {
+    dryRun?: boolean;
+    // Currency of legacy amounts that record none of their own, once an admin has established it.
+    legacyCurrency?: string;
+}
+
+/**
+ * normalizeUser: The update that brings a user document onto the current schema, or null when it
+ * already is. `salespersonId` is where the legacy salesperson.fullName now lives (null if unknown).
+ * A float paypalGrossAmount is converted in paypalCurrencyCode, else in `legacyCurrency`.
+ */
+export function normalizeUser(
+    data: admin.firestore.DocumentData,
+    salespersonId: string | null,
+    legacyCurrency?: string
+): admin.firestore.UpdateData<admin.firestore.DocumentData> | null {
+    const update: admin.firestore.UpdateData<admin.firestore.DocumentData> = {};
+
+    if (data.salesperson !== undefined && (data.salespersonId || salespersonId || !data.salesperson?.fullName)) {
+        if (!data.salespersonId && salespersonId) {
+            update.salespersonId = salespersonId;
+        }
+        update.salesperson = admin.firestore.FieldValue.delete();
+    }
+
+    const grossCurrency = isCurrencyCode(data.paypalCurrencyCode) ? data.paypalCurrencyCode : legacyCurrency;
+    const unconvertedGross = typeof data.paypalGrossAmount === 'number' && data.paypalGrossAmountMinor === undefined;
+    if (unconvertedGross && grossCurrency) {
+        update.paypalGrossAmountMinor = toMinorUnits(data.paypalGrossAmount, grossCurrency);
+        update.paypalCurrencyCode = grossCurrency;
+    }
+    if (typeof data.paypalGrossAmount === 'number' && (!unconvertedGross || grossCurrency)) {
+        update.paypalGrossAmount = admin.firestore.FieldValue.delete();
+    }
+
+    // A user is only on the current schema once no legacy salesperson name or amount is left to resolve.
+    const unresolved = (data.salesperson?.fullName && !data.salespersonId && !salespersonId) || (unconvertedGross && !grossCurrency);
+    if (!unresolved && data.schemaVersion !== USER_SCHEMA_VERSION) {
+        update.schemaVersion = USER_SCHEMA_VERSION;
+    }
+    return Object.keys(update).length ? update : null;
+}
+
+/**
+ * normalizeSalesperson: The update that brings a migrated salesperson document onto the current
+ * schema, or null when it already is. A float currentMonthEarnings left by the old webhook handler is
+ * folded into earningsMinor in `legacyCurrency`; without one that is a LegacyCurrencyError.
+ */
+export function normalizeSalesperson(
+    data: admin.firestore.DocumentData,
+    legacyCurrency?: string
+): admin.firestore.UpdateData<admin.firestore.DocumentData> | null {
+    const update: admin.firestore.UpdateData<admin.firestore.DocumentData> = {};
+
+    const legacyEarnings = storedAmounts({}, data.currentMonthEarnings, legacyCurrency);
+    if (!data.earningsMinor) {
+        update.earningsMinor = legacyEarnings;
+    } else {
+        // Increments, so sales credited while the migration runs are kept.
+        Object.entries(legacyEarnings).forEach(([currency, amountMinor]) => {
+            update[`earningsMinor.${currency}`] = admin.firestore.FieldValue.increment(amountMinor);
+        });
+    }
+    if (data.currentMonthEarnings !== undefined) {
+        update.currentMonthEarnings = admin.firestore.FieldValue.delete();
+    }
+    if (typeof data.totalSales !== 'number') {
+        update.totalSales = 0;
+    }
+    if (!data.fullName && (data.firstName || data.lastName)) {
+        update.fullName = [data.firstName, data.lastName].filter(Boolean).join(' ');
+    }
+    return Object.keys(update).length ? update : null;
+}
+
+/**
+ * normalizeArchivedMonth: The update that folds a month archive's float `earnings` into earningsMinor,
+ * or null when it has none. The float is read in the currency it was paid out in, else in
+ * `legacyCurrency`; without either that is a LegacyCurrencyError.
+ */
+export function normalizeArchivedMonth(
+    data: admin.firestore.DocumentData,
+    legacyCurrency?: string
+): admin.firestore.UpdateData<admin.firestore.DocumentData> | null {
+    if (data.earnings === undefined) {
+        return null;
+    }
+    const update: admin.firestore.UpdateData<admin.firestore.DocumentData> = { earnings: admin.firestore.FieldValue.delete() };
+    Object.entries(storedAmounts({}, data.earnings, data.payoutCurrency || legacyCurrency)).forEach(([currency, amountMinor]) => {
+        update[`earningsMinor.${currency}`] = admin.firestore.FieldValue.increment(amountMinor);
+    });
+    return update;
+}
+
+/**
+ * forEachPage: Calls `visit` with every document matched by `query`, NORMALIZE_PAGE_SIZE at a time in
+ * document id order, and flushes `writer` after each page so queued updates never pile up.
+ */
+async function forEachPage(
+    query: admin.firestore.Query,
+    writer: admin.firestore.BulkWriter,
+    visit: (doc: admin.firestore.QueryDocumentSnapshot) => void
+): Promise<void> {
+    let cursor: admin.firestore.QueryDocumentSnapshot | undefined;
+    for (;;) {
+        let page = query.orderBy(admin.firestore.FieldPath.documentId()).limit(NORMALIZE_PAGE_SIZE);
+        if (cursor) {
+            page = page.startAfter(cursor);
+        }
+        const snapshot = await page.get();
+        snapshot.docs.forEach(visit);
+        await writer.flush();
+        if (snapshot.size < NORMALIZE_PAGE_SIZE) {
+            return;
+        }
+        cursor = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+/**
+ * normalizeLegacyDocuments: One-off HTTPS Callable function for admins to rewrite users and
+ * salespersons written by the retired entry points onto the current schema (v2).
+ *
+ * Run migrateSalespersonIds first: users' legacy salesperson names are resolved through the `mergedInto`
+ * it leaves behind. Legacy float amounts are converted as described above; pass `legacyCurrency` for
+ * the ones that record no currency. Users, salespersons and month archives that cannot be resolved
+ * keep their legacy fields and are returned in `unresolvedUsers`, `unresolvedSalespersons` and
+ * `unresolvedArchives`. Collections are read a page at a time and written through a BulkWriter.
+ * Safe to run more than once.
+ */
+export const normalizeLegacyDocuments = onCall<NormalizeLegacyDocumentsData>({ timeoutSeconds: 540 }, async (request) => {
+    const adminUid = await requireAdmin(request, 'normalize legacy documents');
+    const dryRun = request.data?.dryRun === true;
+    const legacyCurrency = request.data?.legacyCurrency;
+    if (legacyCurrency !== undefined && !isCurrencyCode(legacyCurrency)) {
+        throw new HttpsError('invalid-argument', 'legacyCurrency must be an ISO 4217 code.');
+    }
+    const db = admin.firestore();
+    const writer = db.bulkWriter();
+
+    // A first pass checks the precondition, before anything is written, and maps legacy names.
+    let unmigrated = 0;
+    const mergedInto = new Map<string, string>();
+    await forEachPage(db.collection('salespersons'), writer, (doc) => {
+        if (doc.get('schemaVersion') !== SALESPERSON_SCHEMA_VERSION && !doc.get('mergedAt')) {
+            unmigrated++;
+        }
+        if (doc.get('mergedInto')) {
+            mergedInto.set(doc.id, doc.get('mergedInto'));
+        }
+    });
+    if (unmigrated) {
+        await writer.close();
+        throw new HttpsError('failed-precondition',
+            `${unmigrated} salespersons are not fully migrated to generated ids. Run migrateSalespersonIds first.`);
+    }
+
+    let salespersonsNormalized = 0;
+    let archivesNormalized = 0;
+    let usersNormalized = 0;
+    const unresolvedSalespersons: string[] = [];
+    const unresolvedArchives: string[] = [];
+    const unresolvedUsers: string[] = [];
+
+    /** Queues `normalize`'s update of `doc`; one that needs a currency nobody recorded goes to `unresolved`. */
+    const queue = (
+        doc: admin.firestore.QueryDocumentSnapshot,
+        normalize: () => admin.firestore.UpdateData<admin.firestore.DocumentData> | null,
+        unresolved: string[]
+    ): boolean => {
+        let update: admin.firestore.UpdateData<admin.firestore.DocumentData> | null;
+        try {
+            update = normalize();
+        } catch (error) {
+            if (!(error instanceof LegacyCurrencyError)) {
+                throw error;
+            }
+            unresolved.push(doc.ref.path);
+            return false;
+        }
+        if (update && !dryRun) {
+            writer.update(doc.ref, update);
+        }
+        return Boolean(update);
+    };
+
+    await forEachPage(db.collection('salespersons'), writer, (doc) => {
+        if (!doc.get('mergedInto') && queue(doc, () => {
+            const update = normalizeSalesperson(doc.data(), legacyCurrency);
+            return update && { ...update, lastUpdated: admin.firestore.FieldValue.serverTimestamp() };
+        }, unresolvedSalespersons)) {
+            salespersonsNormalized++;
+        }
+    });
+
+    await forEachPage(db.collectionGroup('historicalPayouts'), writer, (doc) => {
+        if (queue(doc, () => normalizeArchivedMonth(doc.data(), legacyCurrency), unresolvedArchives)) {
+            archivesNormalized++;
+        }
+    });
+
+    await forEachPage(db.collection('users'), writer, (doc) => {
+        const legacyName: string | undefined = doc.get('salesperson.fullName');
+        const salespersonId = legacyName ? mergedInto.get(legacyName) || null : null;
+        const update = normalizeUser(doc.data(), salespersonId, legacyCurrency);
+        if ((update?.schemaVersion ?? doc.get('schemaVersion')) !== USER_SCHEMA_VERSION) {
+            unresolvedUsers.push(doc.id);
+        }
+        if (update) {
+            usersNormalized++;
+            if (!dryRun) {
+                writer.update(doc.ref, update);
+            }
+        }
+    });
+
+    await writer.close();
+    const counts = { usersNormalized, salespersonsNormalized, archivesNormalized };
+    if (!dryRun) {
+        await logAuditEvent('schema.normalized', {
+            actor: adminUid,
+            ...counts,
+            legacyCurrency: legacyCurrency || null,
+            unresolvedUsers: unresolvedUsers.length,
+            unresolvedSalespersons: unresolvedSalespersons.length,
+            unresolvedArchives: unresolvedArchives.length
+        });
+    }
+    console.info(`Legacy document normalization ${dryRun ? 'planned' : 'complete'}.`, {
+        by: adminUid,
+        ...counts,
+        unresolvedUsers: unresolvedUsers.length,
+        unresolvedSalespersons: unresolvedSalespersons.length,
+        unresolvedArchives: unresolvedArchives.length
+    });
+    return { dryRun, ...counts, unresolvedUsers, unresolvedSalespersons, unresolvedArchives };
+});
@@ -0,0 +1,307 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireAdmin } from './auth';
+import { client } from './paypalClient';
+import { PAYPAL_SECRETS } from './paypalConfig';
+import { PaymentTier, getTier, invalidateTierCache, tierAmount } from './tiers';
+import { amountMatches } from './reconciliation';
+import { decodeOrderMetadata, encodeOrderMetadata } from './orderMetadata';
+import { SubscriptionRecord } from './webhookHandlers';
+
+/**
+ * Recurring memberships through PayPal Subscriptions (Billing Plans).
+ *
+ *  - createBillingPlan (admin) creates a PayPal plan for a tier, billed once per membership period.
+ *  - createPayPalSubscription (member) starts a subscription and records subscriptions/{subscriptionId},
+ *    which maps PayPal's subscription id back to our user and tier.
+ *  - BILLING.SUBSCRIPTION.* events keep that record's status in sync; PAYMENT.SALE.COMPLETED is one
+ *    billing cycle and goes through applyPayment like any other payment (see handleSaleCompleted in
+ *    webhookHandlers.ts).
+ */
+
+const APP_BASE_URL = 'https://guided-botswana.web.app';
+
+// Shared catalog product every membership plan hangs off; created on first use.
+const PRODUCT_SETTINGS_DOC = 'settings/paypal';
+
+// PayPal billing intervals of a fixed length, with the largest interval_count PayPal accepts for each.
+// MONTH and YEAR are calendar units, so they would drift from a membership granted in days.
+const FIXED_INTERVALS = [
+    { interval_unit: 'WEEK', days: 7, maxCount: 52 },
+    { interval_unit: 'DAY', days: 1, maxCount: 365 },
+];
+
+/**
+ * billingFrequency: Picks the coarsest PayPal billing interval that exactly matches the tier duration,
+ * or null when PayPal cannot bill that often (more than 365 days apart).
+ */
+export function billingFrequency(durationDays: number): { interval_unit: string; interval_count: number } | null {
+    const interval = FIXED_INTERVALS.find(({ days, maxCount }) => durationDays % days === 0 && durationDays / days <= maxCount);
+    return interval ? { interval_unit: interval.interval_unit, interval_count: durationDays / interval.days } : null;
+}
+
+async function ensureCatalogProduct(): Promise<string> {
+    const settingsRef = admin.firestore().doc(PRODUCT_SETTINGS_DOC);
+    const settings = await settingsRef.get();
+    if (settings.get('productId')) {
+        return settings.get('productId');
+    }
+
+    const response = await client.execute({
+        verb: 'POST',
+        path: '/v1/catalogs/products',
+        headers: { 'Content-Type': 'application/json', 'PayPal-Request-Id': 'explore-botswana-membership' },
+        body: {
+            name: 'Explore Botswana Membership',
+            type: 'SERVICE',
+            category: 'TRAVEL_SERVICES'
+        }
+    });
+    const productId = response.result.id;
+    await settingsRef.set({ productId }, { merge: true });
+    console.info(`PayPal catalog product ${productId} created.`);
+    return productId;
+}
+
+async function createPlanForTier(tier: PaymentTier, frequency: { interval_unit: string; interval_count: number }): Promise<string> {
+    const productId = await ensureCatalogProduct();
+    const response = await client.execute({
+        verb: 'POST',
+        path: '/v1/billing/plans',
+        headers: { 'Content-Type': 'application/json', 'Prefer': 'return=representation' },
+        body: {
+            product_id: productId,
+            name: tier.description,
+            status: 'ACTIVE',
+            billing_cycles: [{
+                frequency,
+                tenure_type: 'REGULAR',
+                sequence: 1,
+                total_cycles: 0, // Renews until cancelled.
+                pricing_scheme: {
+                    fixed_price: { value: tier.price, currency_code: tier.currency }
+                }
+            }],
+            payment_preferences: {
+                auto_bill_outstanding: true,
+                payment_failure_threshold: 3
+            }
+        }
+    });
+    return response.result.id;
+}
+
+/**
+ * createBillingPlan: HTTPS Callable function for admins to create the PayPal plan for a tier (v2).
+ * A tier that already has a plan at its current price keeps it; after a price change a new plan is
+ * created for new subscribers, while existing subscriptions stay on the plan they signed up to.
+ */
+export const createBillingPlan = onCall<{ tierId: string }>({ secrets: PAYPAL_SECRETS }, async (request) => {
+    const adminUid = await requireAdmin(request, 'create billing plans');
+    const { tierId } = request.data;
+
+    const tier = tierId ? await getTier(tierId) : undefined;
+    if (!tier || !tier.active) {
+        throw new HttpsError('invalid-argument', 'Unknown or retired payment tier.');
+    }
+
+    const tierRef = admin.firestore().collection('paymentTiers').doc(tier.id);
+    const tierDoc = await tierRef.get();
+    if (tier.paypalPlanId && amountMatches(tierDoc.get('paypalPlanAmount'), tierAmount(tier))) {
+        return { tierId: tier.id, planId: tier.paypalPlanId };
+    }
+
+    const frequency = billingFrequency(tier.membershipDurationDays);
+    if (!frequency) {
+        throw new HttpsError('failed-precondition', 'PayPal cannot bill a membership longer than 365 days as a subscription.');
+    }
+
+    let planId: string;
+    try {
+        planId = await createPlanForTier(tier, frequency);
+    } catch (error: any) {
+        console.error('Error creating PayPal billing plan:', {
+            tierId: tier.id,
+            statusCode: error.statusCode,
+            message: error.message
+        });
+        throw new HttpsError('internal', 'Failed to create PayPal billing plan.');
+    }
+
+    await tierRef.update({
+        paypalPlanId: planId,
+        paypalPlanAmount: tierAmount(tier),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    invalidateTierCache();
+    console.info(`Billing plan ${planId} created for tier ${tier.id}.`, { by: adminUid });
+    return { tierId: tier.id, planId };
+});
+
+/**
+ * createPayPalSubscription: HTTPS Callable function to start a recurring membership (v2).
+ * Returns the PayPal approval URL; the membership starts with the first PAYMENT.SALE.COMPLETED.
+ */
+export const createPayPalSubscription = onCall<{ tierId: string }>({ secrets: PAYPAL_SECRETS }, async (request) => {
+    if (!request.auth || !request.auth.uid) {
+        throw new HttpsError('unauthenticated', 'User must be authenticated to subscribe.');
+    }
+    const userId = request.auth.uid;
+    const { tierId } = request.data;
+
+    const tier = tierId ? await getTier(tierId) : undefined;
+    if (!tier || !tier.active) {
+        throw new HttpsError('invalid-argument', 'Invalid payment tier selected.');
+    }
+    if (!tier.paypalPlanId) {
+        throw new HttpsError('failed-precondition', 'This tier is not available as a subscription.');
+    }
+
+    let subscription: any;
+    try {
+        const response = await client.execute({
+            verb: 'POST',
+            path: '/v1/billing/subscriptions',
+            headers: { 'Content-Type': 'application/json', 'Prefer': 'return=representation' },
+            body: {
+                plan_id: tier.paypalPlanId,
+                custom_id: encodeOrderMetadata({ userId, tierId: tier.id }), // See orderMetadata.ts.
+                application_context: {
+                    brand_name: 'Explore Botswana',
+                    shipping_preference: 'NO_SHIPPING',
+                    user_action: 'SUBSCRIBE_NOW',
+                    return_url: `${APP_BASE_URL}/subscription-success?userId=${userId}&tier=${tier.id}`,
+                    cancel_url: `${APP_BASE_URL}/payment-cancel?userId=${userId}`
+                }
+            }
+        });
+        subscription = response.result;
+    } catch (error: any) {
+        console.error('Error creating PayPal subscription:', {
+            userId,
+            tierId: tier.id,
+            statusCode: error.statusCode,
+            message: error.message
+        });
+        throw new HttpsError('internal', 'Failed to create PayPal subscription.');
+    }
+
+    const tierDoc = await admin.firestore().collection('paymentTiers').doc(tier.id).get();
+    await admin.firestore().collection('subscriptions').doc(subscription.id).set({
+        userId,
+        tierId: tier.id,
+        planId: tier.paypalPlanId,
+        // Recurring payments are reconciled against the price of the plan the user signed up to.
+        amount: tierDoc.get('paypalPlanAmount') || tierAmount(tier),
+        status: subscription.status || 'APPROVAL_PENDING',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const approvalUrl = subscription.links?.find((link: any) => link.rel === 'approve')?.href;
+    console.info(`Subscription ${subscription.id} created for user ${userId}, tier ${tier.id}.`);
+    return { subscriptionId: subscription.id, redirectUrl: approvalUrl };
+});
+
+export type SubscriptionSyncOutcome = 'synced' | 'duplicate_event' | 'stale_event' | 'unknown_user';
+
+// PayPal never reopens a subscription in these states; anything after them is a late redelivery.
+export const FINAL_SUBSCRIPTION_STATUSES = ['CANCELLED', 'EXPIRED'];
+
+export interface SubscriptionState {
+    status?: string;
+    updateTime?: string;        // The resource's update_time, ISO 8601.
+}
+
+/**
+ * isStaleSubscriptionUpdate: Whether `incoming` is older than what is already stored and must not
+ * overwrite it. A subscription in a final status stays there; otherwise the resource's update_time
+ * decides, and an update without one is applied.
+ */
+export function isStaleSubscriptionUpdate(stored: SubscriptionState, incoming: SubscriptionState): boolean {
+    if (stored.status && FINAL_SUBSCRIPTION_STATUSES.includes(stored.status) && incoming.status !== stored.status) {
+        return true;
+    }
+    const storedTime = Date.parse(stored.updateTime || '');
+    const incomingTime = Date.parse(incoming.updateTime || '');
+    return !isNaN(storedTime) && !isNaN(incomingTime) && incomingTime < storedTime;
+}
+
+/**
+ * handleSubscriptionEvent: Syncs BILLING.SUBSCRIPTION.* status onto the subscription and its user.
+ * Cancelled, suspended or expired subscriptions stop renewing; time already paid for is kept and
+ * lapses through the expiry sweep. Each event is applied once (webhookEvents/{eventId}), and one
+ * older than the stored status (see isStaleSubscriptionUpdate) is recorded without applying it.
+ */
+export async function handleSubscriptionEvent(eventType: string, resource: any, eventId: string): Promise<SubscriptionSyncOutcome> {
+    const db = admin.firestore();
+    const subscriptionId: string = resource.id;
+    const subscriptionRef = db.collection('subscriptions').doc(subscriptionId);
+    const eventRef = db.collection('webhookEvents').doc(eventId);
+    const incoming: SubscriptionState = {
+        status: resource.status || eventType.split('.').pop(),
+        updateTime: resource.update_time || undefined
+    };
+
+    const outcome = await db.runTransaction(async (transaction): Promise<SubscriptionSyncOutcome> => {
+        const [eventDoc, subscriptionDoc] = await Promise.all([
+            transaction.get(eventRef),
+            transaction.get(subscriptionRef)
+        ]);
+        if (eventDoc.exists) {
+            return 'duplicate_event';
+        }
+        const userId: string | undefined = subscriptionDoc.get('userId') || decodeOrderMetadata(resource.custom_id)?.userId;
+        if (!userId) {
+            console.warn(`Subscription ${subscriptionId} ${eventType} for an unknown user.`, { eventId });
+            return 'unknown_user';
+        }
+
+        transaction.set(eventRef, {
+            eventType,
+            resourceId: subscriptionId,
+            processedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        const stored: SubscriptionState = { status: subscriptionDoc.get('status'), updateTime: subscriptionDoc.get('statusUpdateTime') };
+        if (isStaleSubscriptionUpdate(stored, incoming)) {
+            console.info(`Subscription ${subscriptionId} stays ${stored.status}; ${eventType} is older.`, { eventId, ...incoming });
+            return 'stale_event';
+        }
+
+        transaction.set(subscriptionRef, {
+            userId,
+            planId: resource.plan_id || subscriptionDoc.get('planId') || null,
+            status: incoming.status,
+            statusUpdateTime: incoming.updateTime || subscriptionDoc.get('statusUpdateTime') || null,
+            lastEventType: eventType,
+            lastEventId: eventId,
+            nextBillingTime: resource.billing_info?.next_billing_time || null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        transaction.set(db.collection('users').doc(userId), {
+            paypalSubscriptionId: subscriptionId,
+            subscriptionStatus: incoming.status
+        }, { merge: true });
+        return 'synced';
+    });
+
+    if (outcome === 'synced') {
+        console.info(`Subscription ${subscriptionId} ${eventType}.`, { status: incoming.status, eventId });
+    }
+    return outcome;
+}
+
+/**
+ * getSubscriptionRecord: What we stored for a subscription when it was created, or null if unknown.
+ */
+export async function getSubscriptionRecord(subscriptionId: string): Promise<SubscriptionRecord | null> {
+    const snapshot = await admin.firestore().collection('subscriptions').doc(subscriptionId).get();
+    if (!snapshot.exists) {
+        return null;
+    }
+    return {
+        userId: snapshot.get('userId') || undefined,
+        tierId: snapshot.get('tierId') || undefined,
+        amount: snapshot.get('amount') || undefined,
+    };
+}
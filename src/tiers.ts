@@ -0,0 +1,331 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { requireAdmin } from './auth';
+import { formatMinorUnits, isBasisPointRate, parseDecimal, toPayPalAmount } from './money';
+import { MAX_TIER_ID_LENGTH } from './orderMetadata';
+
+/**
+ * Membership payment tier catalog.
+ *
+ * Tiers live in the paymentTiers collection (document id = tier id) and are the single source of
+ * price, currency, membership duration and commission rate for checkout and webhook reconciliation.
+ * Reads go through a per-instance cache; admin writes refresh this instance immediately and other
+ * instances within TIER_CACHE_TTL_MS.
+ *
+ * An empty catalog is seeded with LAUNCH_TIERS, the tiers that were hardcoded before the catalog
+ * existed, the first time it is read. A document that does not describe a usable tier is logged and
+ * skipped, so one bad edit never takes checkout down for every tier.
+ */
+
+export interface PaymentTier {
+    id: string;
+    priceMinor: number;         // Integer minor units of `currency`, e.g. 5000.
+    price: string;              // The same as the decimal string PayPal expects, e.g. '50.00'.
+    currency: string;           // ISO 4217 code PayPal can settle in.
+    description: string;
+    membershipDurationDays: number;
+    commissionRate: number;     // Fraction of the gross amount, e.g. 0.2.
+    active: boolean;            // Retired tiers stay readable so in-flight orders still reconcile.
+    paypalPlanId?: string;      // Billing plan for recurring memberships, see createBillingPlan.
+}
+
+const TIER_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Currencies accepted by the PayPal Orders API. BWP is not one of them.
+const PAYPAL_CURRENCIES = [
+    'AUD', 'BRL', 'CAD', 'CNY', 'CZK', 'DKK', 'EUR', 'HKD', 'HUF', 'ILS', 'JPY', 'MYR',
+    'MXN', 'TWD', 'NZD', 'NOK', 'PHP', 'PLN', 'GBP', 'SGD', 'SEK', 'CHF', 'THB', 'USD',
+];
+
+// The tiers checkout offered when they were hardcoded (USD, since PayPal does not settle BWP).
+const LAUNCH_TIER_TERMS = { membershipDurationDays: 14, commissionRate: 0.2, active: true };
+export const LAUNCH_TIERS: { [tierId: string]: admin.firestore.DocumentData } = {
+    local: { priceMinor: 5000, price: '50.00', currency: 'USD', description: 'Local (Botswana Citizens) Membership', ...LAUNCH_TIER_TERMS },
+    sadc: { priceMinor: 10000, price: '100.00', currency: 'USD', description: 'SADC Citizens Membership', ...LAUNCH_TIER_TERMS },
+    global: { priceMinor: 38000, price: '380.00', currency: 'USD', description: 'Access for international users', ...LAUNCH_TIER_TERMS },
+};
+
+let tierCache: { tiers: Map<string, PaymentTier>; loadedAt: number } | null = null;
+
+/**
+ * parseTier: The tier stored as `data`, or null (with the reason logged) when it is not usable.
+ */
+export function parseTier(tierId: string, data: admin.firestore.DocumentData): PaymentTier | null {
+    const invalid = (reason: string): null => {
+        console.error(`Skipping payment tier ${tierId}: ${reason}.`);
+        return null;
+    };
+    if (!PAYPAL_CURRENCIES.includes(data.currency)) {
+        return invalid(`currency ${data.currency} is not one PayPal supports`);
+    }
+    // Tiers created before minor units only have the decimal price.
+    let priceMinor: number | null = data.priceMinor ?? null;
+    if (priceMinor === null && typeof data.price === 'string') {
+        priceMinor = parseDecimal(data.price, data.currency);
+    }
+    if (!Number.isSafeInteger(priceMinor) || priceMinor! <= 0) {
+        return invalid(`price ${data.priceMinor ?? data.price} is not a positive amount`);
+    }
+    if (!Number.isInteger(data.membershipDurationDays) || data.membershipDurationDays <= 0) {
+        return invalid('membershipDurationDays is not a positive integer');
+    }
+    if (!isBasisPointRate(data.commissionRate)) {
+        return invalid('commissionRate is not a fraction between 0 and 1');
+    }
+    if (typeof data.description !== 'string' || !data.description) {
+        return invalid('description is missing');
+    }
+    return {
+        id: tierId,
+        priceMinor: priceMinor!,
+        price: formatMinorUnits(priceMinor!, data.currency),
+        currency: data.currency,
+        description: data.description,
+        membershipDurationDays: data.membershipDurationDays,
+        commissionRate: data.commissionRate,
+        active: data.active !== false,
+        paypalPlanId: data.paypalPlanId || undefined,
+    };
+}
+
+/**
+ * seedLaunchTiers: Creates the LAUNCH_TIERS documents. Existing documents are left alone, so
+ * concurrent instances seeding at once are harmless.
+ */
+async function seedLaunchTiers(): Promise<void> {
+    const tiers = admin.firestore().collection('paymentTiers');
+    await Promise.all(Object.entries(LAUNCH_TIERS).map(async ([tierId, tier]) => {
+        try {
+            await tiers.doc(tierId).create({
+                ...tier,
+                createdBy: 'seed',
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error: any) {
+            if (error.code !== 6) { // ALREADY_EXISTS
+                throw error;
+            }
+        }
+    }));
+    console.info(`Seeded the empty payment tier catalog with ${Object.keys(LAUNCH_TIERS).join(', ')}.`);
+}
+
+async function loadTiers(): Promise<Map<string, PaymentTier>> {
+    if (tierCache && Date.now() - tierCache.loadedAt < TIER_CACHE_TTL_MS) {
+        return tierCache.tiers;
+    }
+    const collection = admin.firestore().collection('paymentTiers');
+    let snapshot = await collection.get();
+    if (snapshot.empty) {
+        await seedLaunchTiers();
+        snapshot = await collection.get();
+    }
+    const tiers = new Map<string, PaymentTier>();
+    snapshot.forEach((doc) => {
+        const tier = parseTier(doc.id, doc.data());
+        if (tier) {
+            tiers.set(doc.id, tier);
+        }
+    });
+    tierCache = { tiers, loadedAt: Date.now() };
+    return tiers;
+}
+
+/**
+ * invalidateTierCache: Forces the next read to go to Firestore.
+ */
+export function invalidateTierCache(): void {
+    tierCache = null;
+}
+
+/**
+ * getTier: Looks up a tier by id, including retired tiers. Returns undefined for unknown ids.
+ */
+export async function getTier(tierId: string): Promise<PaymentTier | undefined> {
+    return (await loadTiers()).get(tierId);
+}
+
+/**
+ * listActiveTiers: Tiers currently offered at checkout.
+ */
+export async function listActiveTiers(): Promise<PaymentTier[]> {
+    return Array.from((await loadTiers()).values()).filter((tier) => tier.active);
+}
+
+/**
+ * tierAmount: The tier's price as a PayPal amount object.
+ */
+export function tierAmount(tier: PaymentTier): { currency_code: string; value: string } {
+    return toPayPalAmount({ amountMinor: tier.priceMinor, currency: tier.currency });
+}
+
+// Interface for the tier fields admins may set through the callables below
+interface TierInput {
+    tierId: string;
+    price?: string;
+    currency?: string;
+    description?: string;
+    membershipDurationDays?: number;
+    commissionRate?: number;
+}
+
+/**
+ * Validates the supplied fields and returns them normalised for Firestore.
+ * With `requireAll` every field must be present (tier creation).
+ */
+function validateTierInput(input: TierInput, requireAll: boolean): { [key: string]: string | number } {
+    const fields: { [key: string]: string | number } = {};
+
+    // A price only means something in its currency, so the two always change together.
+    if ((input.price === undefined) !== (input.currency === undefined)) {
+        throw new HttpsError('invalid-argument', 'price and currency must be set together.');
+    }
+    if (input.currency !== undefined) {
+        if (!PAYPAL_CURRENCIES.includes(input.currency)) {
+            throw new HttpsError('invalid-argument', `currency must be one PayPal supports (got ${input.currency}).`);
+        }
+        const priceMinor = typeof input.price === 'string' ? parseDecimal(input.price, input.currency) : null;
+        if (priceMinor === null || priceMinor <= 0) {
+            throw new HttpsError('invalid-argument', `price must be a positive ${input.currency} amount such as "${formatMinorUnits(5000, input.currency)}".`);
+        }
+        fields.priceMinor = priceMinor;
+        fields.price = formatMinorUnits(priceMinor, input.currency);
+        fields.currency = input.currency;
+    }
+    if (input.description !== undefined) {
+        if (typeof input.description !== 'string' || !input.description.trim() || input.description.length > 127) {
+            throw new HttpsError('invalid-argument', 'description must be 1-127 characters.');
+        }
+        fields.description = input.description.trim();
+    }
+    if (input.membershipDurationDays !== undefined) {
+        if (!Number.isInteger(input.membershipDurationDays) || input.membershipDurationDays <= 0) {
+            throw new HttpsError('invalid-argument', 'membershipDurationDays must be a positive integer.');
+        }
+        fields.membershipDurationDays = input.membershipDurationDays;
+    }
+    if (input.commissionRate !== undefined) {
+        if (!isBasisPointRate(input.commissionRate)) {
+            throw new HttpsError('invalid-argument', 'commissionRate must be a fraction between 0 and 1 with at most four decimal places.');
+        }
+        fields.commissionRate = input.commissionRate;
+    }
+
+    if (requireAll) {
+        const missing = ['price', 'currency', 'description', 'membershipDurationDays', 'commissionRate']
+            .filter((field) => fields[field] === undefined);
+        if (missing.length) {
+            throw new HttpsError('invalid-argument', `Missing tier fields: ${missing.join(', ')}.`);
+        }
+    }
+    return fields;
+}
+
+const TIER_ID_PATTERN = new RegExp(`^[a-z0-9_-]{1,${MAX_TIER_ID_LENGTH}}$`);
+
+function assertTierId(tierId: unknown): string {
+    if (typeof tierId !== 'string' || !TIER_ID_PATTERN.test(tierId)) {
+        throw new HttpsError('invalid-argument', `tierId must be 1-${MAX_TIER_ID_LENGTH} lowercase letters, digits, "-" or "_".`);
+    }
+    return tierId;
+}
+
+/**
+ * createPaymentTier: HTTPS Callable function for admins to add a tier (v2).
+ */
+export const createPaymentTier = onCall<TierInput>(async (request) => {
+    const adminUid = await requireAdmin(request, 'create payment tiers');
+    const tierId = assertTierId(request.data.tierId);
+    const fields = validateTierInput(request.data, true);
+
+    const tierRef = admin.firestore().collection('paymentTiers').doc(tierId);
+    try {
+        await tierRef.create({
+            ...fields,
+            active: true,
+            createdBy: adminUid,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error: any) {
+        if (error.code === 6) { // ALREADY_EXISTS
+            throw new HttpsError('already-exists', `Tier ${tierId} already exists.`);
+        }
+        throw error;
+    }
+
+    invalidateTierCache();
+    console.info(`Payment tier ${tierId} created.`, { by: adminUid, ...fields });
+    return { tierId };
+});
+
+/**
+ * updatePaymentTier: HTTPS Callable function for admins to change a tier's fields (v2).
+ * Orders already created keep the amount they were created with.
+ */
+export const updatePaymentTier = onCall<TierInput>(async (request) => {
+    const adminUid = await requireAdmin(request, 'update payment tiers');
+    const tierId = assertTierId(request.data.tierId);
+    const fields = validateTierInput(request.data, false);
+    if (!Object.keys(fields).length) {
+        throw new HttpsError('invalid-argument', 'No tier fields to update.');
+    }
+
+    const tierRef = admin.firestore().collection('paymentTiers').doc(tierId);
+    try {
+        await tierRef.update({
+            ...fields,
+            updatedBy: adminUid,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error: any) {
+        if (error.code === 5) { // NOT_FOUND
+            throw new HttpsError('not-found', `Tier ${tierId} does not exist.`);
+        }
+        throw error;
+    }
+
+    invalidateTierCache();
+    console.info(`Payment tier ${tierId} updated.`, { by: adminUid, ...fields });
+    return { tierId };
+});
+
+/**
+ * retirePaymentTier: HTTPS Callable function for admins to stop offering a tier (v2).
+ * The document is kept so payments for orders created earlier still reconcile.
+ */
+export const retirePaymentTier = onCall<{ tierId: string }>(async (request) => {
+    const adminUid = await requireAdmin(request, 'retire payment tiers');
+    const tierId = assertTierId(request.data.tierId);
+
+    const tierRef = admin.firestore().collection('paymentTiers').doc(tierId);
+    try {
+        await tierRef.update({
+            active: false,
+            retiredBy: adminUid,
+            retiredAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error: any) {
+        if (error.code === 5) { // NOT_FOUND
+            throw new HttpsError('not-found', `Tier ${tierId} does not exist.`);
+        }
+        throw error;
+    }
+
+    invalidateTierCache();
+    console.info(`Payment tier ${tierId} retired.`, { by: adminUid });
+    return { tierId, active: false };
+});
+
+/**
+ * listPaymentTiers: HTTPS Callable function returning the tiers offered at checkout (v2).
+ */
+export const listPaymentTiers = onCall(async () => {
+    const tiers = await listActiveTiers();
+    return {
+        tiers: tiers.map(({ id, price, currency, description, membershipDurationDays }) =>
+            ({ id, price, currency, description, membershipDurationDays }))
+    };
+});
@@ -0,0 +1,264 @@
+import * as admin from 'firebase-admin';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { requireAdmin } from './auth';
+import { addAuditEntry } from './audit';
+import { WebhookEvent, processWebhookEvent } from './webhookProcessing';
+import { parseWebhookEvent } from './webhookHandlers';
+
+/**
+ * Dead-letter queue for PayPal webhook events: webhookFailures/{eventId}.
+ *
+ * A verified event whose processing throws in the Pub/Sub consumer (see webhookQueue.ts) is stored
+ * with its raw body, headers, error and attempt count, and the message is acknowledged so Pub/Sub
+ * stops redelivering it; from then on retries are ours. retryWebhookFailures re-runs due events with
+ * exponential backoff (RETRY_BASE_MS doubling per attempt) and parks an event after MAX_ATTEMPTS. Admins list, inspect and replay events with the
+ * callables below. Retries and replays go through processWebhookEvent, the same code as live
+ * deliveries, and are not re-verified: the signature was checked when the event first arrived.
+ *
+ * A queued message that cannot even be decoded is stored parked, under message-{messageId}, since no
+ * retry can fix it.
+ *
+ * Status: 'retrying' (waiting for nextAttemptAt) -> 'resolved' | 'parked'.
+ */
+
+export type WebhookFailureStatus = 'retrying' | 'parked' | 'resolved';
+
+export const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 2 * 60 * 1000;
+const RETRY_PAGE_SIZE = 50;
+const LIST_PAGE_SIZE = 50;
+
+// Headers worth keeping for debugging and re-verification; anything else (auth, cookies) is dropped.
+const KEPT_HEADERS = /^(paypal-|content-type$|user-agent$|correlation-id$)/i;
+
+/**
+ * pickWebhookHeaders: The request headers worth keeping with an event, with lower-cased names.
+ */
+export function pickWebhookHeaders(headers: { [name: string]: unknown }): { [name: string]: unknown } {
+    const kept: { [name: string]: unknown } = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        if (KEPT_HEADERS.test(name)) {
+            kept[name.toLowerCase()] = value;
+        }
+    });
+    return kept;
+}
+
+/**
+ * retryDelayMs: Backoff before the attempt after `attempts` failures: 2, 4, 8, 16 minutes.
+ */
+export function retryDelayMs(attempts: number): number {
+    return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+function describeError(error: any): { message: string; stack: string | null } {
+    return {
+        message: error?.message || String(error),
+        stack: error?.stack || null
+    };
+}
+
+/**
+ * recordWebhookFailure: Stores a delivery whose processing failed, scheduling its first retry.
+ * A redelivery of an event already in the queue counts as one more attempt.
+ */
+export async function recordWebhookFailure(
+    event: WebhookEvent,
+    rawBody: string,
+    headers: { [name: string]: unknown },
+    error: any
+): Promise<void> {
+    const db = admin.firestore();
+    const failureRef = db.collection('webhookFailures').doc(event.id);
+    const keptHeaders = pickWebhookHeaders(headers);
+
+    await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(failureRef);
+        const attempts = (existing.get('attempts') || 0) + 1;
+        const parked = attempts >= MAX_ATTEMPTS;
+        transaction.set(failureRef, {
+            eventId: event.id,
+            eventType: event.event_type,
+            resourceId: event.resource?.id || null,
+            rawBody,
+            headers: keptHeaders,
+            error: describeError(error),
+            attempts,
+            status: parked ? 'parked' : 'retrying',
+            nextAttemptAt: parked ? null : admin.firestore.Timestamp.fromMillis(Date.now() + retryDelayMs(attempts)),
+            firstFailedAt: existing.get('firstFailedAt') || admin.firestore.FieldValue.serverTimestamp(),
+            lastFailedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    });
+    console.warn(`Webhook event ${event.id} queued for retry.`, { eventType: event.event_type, error: describeError(error).message });
+}
+
+/**
+ * recordUndecodableMessage: Parks a queued message the consumer could not decode into an event.
+ */
+export async function recordUndecodableMessage(messageId: string, rawBody: string, error: any): Promise<void> {
+    await admin.firestore().collection('webhookFailures').doc(`message-${messageId}`).set({
+        eventId: null,
+        eventType: null,
+        resourceId: null,
+        messageId,
+        rawBody,
+        headers: {},
+        error: describeError(error),
+        attempts: 1,
+        status: 'parked',
+        nextAttemptAt: null,
+        firstFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+        parkedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.error(`Undecodable webhook message ${messageId} parked.`, { error: describeError(error).message });
+}
+
+/**
+ * attemptFailure: Re-runs a stored event and records the outcome. Returns the resulting status.
+ */
+async function attemptFailure(failureDoc: admin.firestore.DocumentSnapshot, actor: string): Promise<WebhookFailureStatus> {
+    const attempts = (failureDoc.get('attempts') || 0) + 1;
+    try {
+        await processWebhookEvent(parseWebhookEvent(JSON.parse(failureDoc.get('rawBody'))));
+    } catch (error: any) {
+        // Admin replays never re-park automatically; the event stays parked until one succeeds.
+        const parked = actor !== 'system' || attempts >= MAX_ATTEMPTS;
+        await failureDoc.ref.update({
+            attempts,
+            error: describeError(error),
+            status: parked ? 'parked' : 'retrying',
+            nextAttemptAt: parked ? null : admin.firestore.Timestamp.fromMillis(Date.now() + retryDelayMs(attempts)),
+            lastFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+            ...(parked && actor === 'system' ? { parkedAt: admin.firestore.FieldValue.serverTimestamp() } : {})
+        });
+        console.warn(`Webhook event ${failureDoc.id} failed attempt ${attempts}.`, { actor, parked, error: error.message });
+        return parked ? 'parked' : 'retrying';
+    }
+
+    const batch = admin.firestore().batch();
+    batch.update(failureDoc.ref, {
+        attempts,
+        status: 'resolved',
+        nextAttemptAt: null,
+        resolvedBy: actor,
+        resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    addAuditEntry(batch, 'webhook.replayed', { actor, subjectId: failureDoc.id, eventType: failureDoc.get('eventType'), attempts });
+    await batch.commit();
+    console.info(`Webhook event ${failureDoc.id} processed on attempt ${attempts}.`, { actor });
+    return 'resolved';
+}
+
+/**
+ * retryWebhookFailures: Scheduled function that retries queued webhook events whose backoff has elapsed (v2).
+ * Needs a composite index on webhookFailures (status ASC, nextAttemptAt ASC).
+ */
+export const retryWebhookFailures = onSchedule({
+    schedule: 'every 5 minutes',
+    timeZone: 'Africa/Johannesburg'
+}, async () => {
+    const snapshot = await admin.firestore().collection('webhookFailures')
+        .where('status', '==', 'retrying')
+        .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+        .orderBy('nextAttemptAt')
+        .limit(RETRY_PAGE_SIZE)
+        .get();
+    if (snapshot.empty) {
+        return;
+    }
+
+    const outcomes: { [status: string]: number } = {};
+    for (const doc of snapshot.docs) {
+        const status = await attemptFailure(doc, 'system');
+        outcomes[status] = (outcomes[status] || 0) + 1;
+    }
+    console.info(`Webhook retry run complete: ${snapshot.size} events attempted.`, outcomes);
+});
+
+function summarizeFailure(doc: admin.firestore.DocumentSnapshot): admin.firestore.DocumentData {
+    return {
+        eventId: doc.id,
+        eventType: doc.get('eventType'),
+        resourceId: doc.get('resourceId'),
+        status: doc.get('status'),
+        attempts: doc.get('attempts'),
+        error: doc.get('error')?.message || null,
+        nextAttemptAt: doc.get('nextAttemptAt')?.toDate().toISOString() || null,
+        firstFailedAt: doc.get('firstFailedAt')?.toDate().toISOString() || null,
+        lastFailedAt: doc.get('lastFailedAt')?.toDate().toISOString() || null
+    };
+}
+
+/**
+ * listWebhookFailures: HTTPS Callable function for admins to page through queued webhook events (v2).
+ * Newest failures first; pass the returned nextCursor to get the next page.
+ */
+export const listWebhookFailures = onCall<{ status?: WebhookFailureStatus; cursor?: string }>(async (request) => {
+    await requireAdmin(request, 'list webhook failures');
+    const { status, cursor } = request.data || {};
+    const failures = admin.firestore().collection('webhookFailures');
+
+    let query: admin.firestore.Query = failures;
+    if (status) {
+        query = query.where('status', '==', status);
+    }
+    query = query.orderBy('lastFailedAt', 'desc').limit(LIST_PAGE_SIZE);
+    if (cursor) {
+        const cursorDoc = await failures.doc(cursor).get();
+        if (cursorDoc.exists) {
+            query = query.startAfter(cursorDoc);
+        }
+    }
+
+    const snapshot = await query.get();
+    return {
+        failures: snapshot.docs.map(summarizeFailure),
+        nextCursor: snapshot.size === LIST_PAGE_SIZE ? snapshot.docs[snapshot.size - 1].id : null
+    };
+});
+
+/**
+ * getWebhookFailure: HTTPS Callable function for admins to inspect one queued event in full (v2).
+ */
+export const getWebhookFailure = onCall<{ eventId: string }>(async (request) => {
+    await requireAdmin(request, 'inspect webhook failures');
+    const { eventId } = request.data;
+    if (!eventId) {
+        throw new HttpsError('invalid-argument', 'eventId is required.');
+    }
+    const doc = await admin.firestore().collection('webhookFailures').doc(eventId).get();
+    if (!doc.exists) {
+        throw new HttpsError('not-found', `No webhook failure for event ${eventId}.`);
+    }
+    return {
+        ...summarizeFailure(doc),
+        rawBody: doc.get('rawBody'),
+        headers: doc.get('headers'),
+        errorStack: doc.get('error')?.stack || null
+    };
+});
+
+/**
+ * replayWebhookFailure: HTTPS Callable function for admins to re-run a queued event now (v2).
+ */
+export const replayWebhookFailure = onCall<{ eventId: string }>(async (request) => {
+    const adminUid = await requireAdmin(request, 'replay webhook events');
+    const { eventId } = request.data;
+    if (!eventId) {
+        throw new HttpsError('invalid-argument', 'eventId is required.');
+    }
+    const doc = await admin.firestore().collection('webhookFailures').doc(eventId).get();
+    if (!doc.exists) {
+        throw new HttpsError('not-found', `No webhook failure for event ${eventId}.`);
+    }
+    if (doc.get('status') === 'resolved') {
+        throw new HttpsError('failed-precondition', `Event ${eventId} has already been processed.`);
+    }
+
+    const status = await attemptFailure(doc, adminUid);
+    const updated = await doc.ref.get();
+    return { eventId, status, attempts: updated.get('attempts'), error: status === 'resolved' ? null : updated.get('error')?.message };
+});
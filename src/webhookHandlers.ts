@@ -0,0 +1,414 @@
+import { PaymentTier, tierAmount } from './tiers';
+import { DenialOutcome, PaymentDenial, PaymentDetails, PaymentOutcome } from './payments';
+import { ExpectedOrder, PaymentDiscrepancy, amountMatches } from './reconciliation';
+import { ReversalDetails, ReversalOutcome, captureIdFromLinks } from './reversals';
+import { orderMetadataFromResource, decodeOrderMetadata } from './orderMetadata';
+import { moneyFromPayPal } from './money';
+import { OrderStatus, OrderTransition, OrderTransitionOutcome } from './orders';
+import { SubscriptionSyncOutcome } from './subscriptions';
+
+/**
+ * PayPal webhook domain logic: one handler per event type.
+ *
+ * A handler takes a parsed, verified event and a WebhookRepository, decides what the event means
+ * (which order, user and amount, whether it reconciles) and asks the repository to persist the
+ * result. Handlers hold no Firestore, PayPal or clock dependencies of their own, so they can be
+ * exercised with an in-memory repository; webhookProcessing.ts supplies the Firestore one.
+ *
+ * Every handler resolves with a short outcome string ('applied', 'duplicate_event', 'discrepancy',
+ * ...) for logs and tests, and throws only for failures worth retrying.
+ */
+
+export interface WebhookEvent {
+    id: string;
+    event_type: string;
+    resource: any;
+}
+
+export class MalformedWebhookError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'MalformedWebhookError';
+    }
+}
+
+/**
+ * parseWebhookEvent: Checks a decoded webhook body has the fields every handler relies on.
+ */
+export function parseWebhookEvent(body: unknown): WebhookEvent {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new MalformedWebhookError('Webhook body is not a JSON object.');
+    }
+    const event = body as { [key: string]: unknown };
+    if (typeof event.id !== 'string' || !event.id) {
+        throw new MalformedWebhookError('Webhook event has no id.');
+    }
+    if (typeof event.event_type !== 'string' || !event.event_type) {
+        throw new MalformedWebhookError('Webhook event has no event_type.');
+    }
+    if (!event.resource || typeof event.resource !== 'object') {
+        throw new MalformedWebhookError('Webhook event has no resource.');
+    }
+    return { id: event.id, event_type: event.event_type, resource: event.resource };
+}
+
+export interface SubscriptionRecord {
+    userId?: string;
+    tierId?: string;
+    amount?: { currency_code: string; value: string };
+}
+
+export interface DisputeRecord {
+    disputeId: string;
+    captureId?: string;
+    status?: string;
+    reason?: string;
+    disputeAmount?: unknown;
+    outcomeCode?: string;
+    eventType: string;
+    eventId: string;
+}
+
+/**
+ * WebhookRepository: Everything the handlers read or write.
+ */
+export interface WebhookRepository {
+    getExpectedOrder(orderId: string): Promise<ExpectedOrder | null>;
+    getSubscription(subscriptionId: string): Promise<SubscriptionRecord | null>;
+    getTier(tierId: string): Promise<PaymentTier | undefined>;
+    advanceOrder(orderId: string, status: OrderStatus, transition: OrderTransition): Promise<OrderTransitionOutcome>;
+    captureOrder(orderId: string): Promise<any>;
+    applyPayment(details: PaymentDetails): Promise<PaymentOutcome>;
+    recordPaymentDenial(denial: PaymentDenial): Promise<DenialOutcome>;
+    recordPaymentDiscrepancy(discrepancy: PaymentDiscrepancy): Promise<boolean>;
+    applyReversal(details: ReversalDetails): Promise<ReversalOutcome>;
+    recordDispute(dispute: DisputeRecord): Promise<void>;
+    syncSubscription(eventType: string, resource: any, eventId: string): Promise<SubscriptionSyncOutcome>;
+    trackPayout(eventType: string, resource: any, eventId: string): Promise<void>;
+}
+
+export type WebhookHandler = (event: WebhookEvent, repository: WebhookRepository) => Promise<string>;
+
+interface CompletedPayment {
+    orderId: string;
+    userId: string;
+    amount: any;
+    payerEmail?: string;
+    captureId?: string;
+    resourceId: string;
+}
+
+/**
+ * applyCompletedPayment: Reconciles a completed payment against its order record and applies it, or
+ * parks it as a discrepancy.
+ */
+async function applyCompletedPayment(event: WebhookEvent, payment: CompletedPayment, repository: WebhookRepository): Promise<string> {
+    const { id: eventId, event_type: eventType } = event;
+    const { orderId, userId, amount, payerEmail } = payment;
+    const expectedOrder = await repository.getExpectedOrder(orderId);
+    const expectedTier = expectedOrder ? await repository.getTier(expectedOrder.tierId) : undefined;
+    if (!expectedOrder || !expectedTier || !amountMatches(amount, expectedOrder.amount)) {
+        await repository.recordPaymentDiscrepancy({
+            orderId,
+            userId,
+            tierId: expectedOrder?.tierId,
+            reason: !expectedOrder ? 'unknown_order' : !expectedTier ? 'unknown_tier' : 'amount_mismatch',
+            expected: expectedOrder?.amount,
+            received: amount,
+            payerEmail,
+            source: 'webhook',
+            eventId
+        });
+        return 'discrepancy';
+    }
+
+    return repository.applyPayment({
+        orderId,
+        userId,
+        gross: moneyFromPayPal(amount)!, // amountMatches has checked it parses.
+        payerEmail,
+        source: 'webhook',
+        eventId,
+        eventType,
+        resourceId: payment.resourceId,
+        captureId: payment.captureId,
+        tier: expectedTier
+    });
+}
+
+/**
+ * captureApprovedOrder: CHECKOUT.ORDER.APPROVED. A buyer who approves may never come back to
+ * capturePayPalOrder, so the order is captured here (the same capture, see orders.ts captureOrder)
+ * once it checks out against its order record, and the capture is applied like any completed payment.
+ */
+async function captureApprovedOrder(event: WebhookEvent, orderId: string, userId: string | undefined, repository: WebhookRepository): Promise<string> {
+    const { id: eventId, event_type: eventType, resource } = event;
+    await repository.advanceOrder(orderId, 'APPROVED', { source: 'webhook', eventId });
+
+    const expectedOrder = await repository.getExpectedOrder(orderId);
+    if (expectedOrder?.status === 'CAPTURED' || expectedOrder?.status === 'REFUNDED') {
+        return 'already_captured';
+    }
+    if (!userId || !expectedOrder || expectedOrder.userId !== userId) {
+        // Without an order record nothing vouches for the amount; capturePayPalOrder handles these.
+        console.warn(`Approved order ${orderId} does not match an order record; not capturing it.`, { eventId, userId });
+        return 'awaiting_capture';
+    }
+    if (!amountMatches(resource.purchase_units?.[0]?.amount, expectedOrder.amount)) {
+        console.warn(`Approved order ${orderId} is for the wrong amount; not capturing it.`, { eventId, amount: resource.purchase_units?.[0]?.amount });
+        return 'amount_mismatch';
+    }
+
+    const order = await repository.captureOrder(orderId);
+    const capture = order?.purchase_units?.[0]?.payments?.captures?.[0];
+    if (capture?.status === 'DECLINED' || capture?.status === 'FAILED') {
+        return repository.recordPaymentDenial({
+            orderId,
+            userId,
+            captureId: capture.id,
+            reason: capture.status_details?.reason || capture.status,
+            source: 'webhook',
+            eventId,
+            eventType
+        });
+    }
+    if (capture?.status !== 'COMPLETED') {
+        // PENDING captures complete later with PAYMENT.CAPTURE.COMPLETED.
+        return 'capture_pending';
+    }
+    return applyCompletedPayment(event, {
+        orderId,
+        userId,
+        amount: capture.amount,
+        payerEmail: order.payer?.email_address,
+        captureId: capture.id,
+        resourceId: resource.id
+    }, repository);
+}
+
+/**
+ * handleOrderEvent: CHECKOUT.ORDER.APPROVED / COMPLETED and PAYMENT.CAPTURE.COMPLETED.
+ * An approved order is captured (see captureApprovedOrder); a completed payment is reconciled against
+ * the order record and applied, or parked as a discrepancy.
+ */
+export const handleOrderEvent: WebhookHandler = async (event, repository) => {
+    const { id: eventId, event_type: eventType, resource } = event;
+    // Capture resources carry their own id; the order they belong to is in related_ids.
+    const orderId: string = resource.supplementary_data?.related_ids?.order_id || resource.id;
+    const userId = orderMetadataFromResource(resource)?.userId;
+    const payerEmail: string | undefined = resource.payer?.email_address;
+    const amount = resource.purchase_units?.[0]?.amount || resource.amount;
+
+    console.info(`Payment ${resource.status} via webhook for Order ID: ${orderId}, User ID: ${userId}`, { eventId, amount, payerEmail });
+
+    if (resource.status === 'APPROVED') {
+        return captureApprovedOrder(event, orderId, userId, repository);
+    }
+    if (resource.status !== 'COMPLETED') {
+        return 'ignored';
+    }
+    if (!userId) {
+        console.warn(`Completed payment for order ${orderId} carries no user.`, { eventId });
+        return 'missing_user';
+    }
+
+    return applyCompletedPayment(event, {
+        orderId,
+        userId,
+        amount,
+        payerEmail,
+        captureId: eventType === 'PAYMENT.CAPTURE.COMPLETED'
+            ? resource.id
+            : resource.purchase_units?.[0]?.payments?.captures?.[0]?.id,
+        resourceId: resource.id
+    }, repository);
+};
+
+/**
+ * handleCaptureReversed: PAYMENT.CAPTURE.REFUNDED / REVERSED. The resource is the refund; the
+ * capture it returns money from is in its 'up' link.
+ */
+export const handleCaptureReversed: WebhookHandler = async (event, repository) => {
+    const { id: eventId, event_type: eventType, resource } = event;
+    return repository.applyReversal({
+        reversalId: resource.id,
+        kind: eventType === 'PAYMENT.CAPTURE.REFUNDED' ? 'refund' : 'reversal',
+        orderId: resource.supplementary_data?.related_ids?.order_id,
+        captureId: captureIdFromLinks(resource),
+        amount: resource.amount,
+        eventId,
+        eventType
+    });
+};
+
+/**
+ * handleCaptureDenied: PAYMENT.CAPTURE.DENIED marks the attempt (and, unless already paid, the user) denied.
+ */
+export const handleCaptureDenied: WebhookHandler = async (event, repository) => {
+    const { id: eventId, event_type: eventType, resource } = event;
+    const orderId: string = resource.supplementary_data?.related_ids?.order_id || resource.id;
+    const userId = orderMetadataFromResource(resource)?.userId;
+    const reason: string | undefined = resource.status_details?.reason;
+    console.warn('Payment Capture Denied:', { orderId, userId, reason });
+    if (!userId) {
+        return 'missing_user';
+    }
+    return repository.recordPaymentDenial({
+        orderId,
+        userId,
+        captureId: resource.id,
+        reason,
+        source: 'webhook',
+        eventId,
+        eventType
+    });
+};
+
+/**
+ * handleDisputeEvent: CUSTOMER.DISPUTE.*. Every dispute is recorded; one resolved in the buyer's
+ * favour is applied as a chargeback.
+ */
+export const handleDisputeEvent: WebhookHandler = async (event, repository) => {
+    const { id: eventId, event_type: eventType, resource } = event;
+    const disputeId: string | undefined = resource.dispute_id || resource.id;
+    if (!disputeId) {
+        console.warn('Dispute event without a dispute id.', { eventId, eventType });
+        return 'missing_dispute';
+    }
+    const captureId: string | undefined = resource.disputed_transactions?.[0]?.seller_transaction_id;
+    const outcomeCode: string | undefined = resource.dispute_outcome?.outcome_code;
+
+    await repository.recordDispute({
+        disputeId,
+        captureId,
+        status: resource.status,
+        reason: resource.reason,
+        disputeAmount: resource.dispute_amount,
+        outcomeCode,
+        eventType,
+        eventId
+    });
+
+    if (eventType !== 'CUSTOMER.DISPUTE.RESOLVED' || outcomeCode !== 'RESOLVED_BUYER_FAVOUR') {
+        return 'recorded';
+    }
+    return repository.applyReversal({
+        reversalId: disputeId,
+        kind: 'chargeback',
+        captureId,
+        amount: resource.dispute_outcome?.amount_refunded || resource.dispute_amount,
+        eventId,
+        eventType
+    });
+};
+
+/**
+ * handleSubscriptionStatus: BILLING.SUBSCRIPTION.* keeps the subscription and its user in sync.
+ * Redeliveries and events older than the stored status are not applied.
+ */
+export const handleSubscriptionStatus: WebhookHandler = async (event, repository) => {
+    return repository.syncSubscription(event.event_type, event.resource, event.id);
+};
+
+/**
+ * handleSaleCompleted: PAYMENT.SALE.COMPLETED is one billing cycle of a subscription. It is reconciled
+ * against the price of the plan the user signed up to and applied like any other payment.
+ */
+export const handleSaleCompleted: WebhookHandler = async (event, repository) => {
+    const { id: eventId, event_type: eventType, resource } = event;
+    const subscriptionId: string | undefined = resource.billing_agreement_id;
+    if (!subscriptionId) {
+        console.info(`Sale ${resource.id} is not part of a subscription; ignoring.`, { eventId });
+        return 'ignored';
+    }
+
+    const subscription = await repository.getSubscription(subscriptionId);
+    const metadata = decodeOrderMetadata(resource.custom);
+    const userId = subscription?.userId || metadata?.userId;
+    const tierId = subscription?.tierId || metadata?.tierId;
+    // Sales use { total, currency } rather than the { value, currency_code } of the Orders API.
+    const received = { currency_code: resource.amount?.currency, value: resource.amount?.total };
+
+    const tier = tierId ? await repository.getTier(tierId) : undefined;
+    const expected = subscription?.amount || (tier ? tierAmount(tier) : undefined);
+    if (!userId || !tier || !expected || !amountMatches(received, expected)) {
+        await repository.recordPaymentDiscrepancy({
+            orderId: resource.id,
+            userId,
+            tierId,
+            reason: !subscription && !metadata ? 'unknown_order'
+                : !userId ? 'unknown_user'
+                    : !tier ? 'unknown_tier'
+                        : !subscription ? 'unknown_order' : 'amount_mismatch',
+            expected,
+            received,
+            source: 'webhook',
+            eventId
+        });
+        return 'discrepancy';
+    }
+
+    return repository.applyPayment({
+        orderId: resource.id,
+        userId,
+        gross: moneyFromPayPal(received)!,
+        source: 'subscription',
+        eventId,
+        eventType,
+        resourceId: resource.id,
+        captureId: resource.id,
+        subscriptionId,
+        tier
+    });
+};
+
+/**
+ * handlePayoutEvent: PAYMENT.PAYOUTSBATCH.* and PAYMENT.PAYOUTS-ITEM.* track salesperson payouts.
+ */
+export const handlePayoutEvent: WebhookHandler = async (event, repository) => {
+    await repository.trackPayout(event.event_type, event.resource, event.id);
+    return 'tracked';
+};
+
+export const WEBHOOK_HANDLERS: { [eventType: string]: WebhookHandler } = {
+    'CHECKOUT.ORDER.APPROVED': handleOrderEvent,
+    'CHECKOUT.ORDER.COMPLETED': handleOrderEvent,
+    'PAYMENT.CAPTURE.COMPLETED': handleOrderEvent,
+    'PAYMENT.CAPTURE.REFUNDED': handleCaptureReversed,
+    'PAYMENT.CAPTURE.REVERSED': handleCaptureReversed,
+    'PAYMENT.CAPTURE.DENIED': handleCaptureDenied,
+    'CUSTOMER.DISPUTE.CREATED': handleDisputeEvent,
+    'CUSTOMER.DISPUTE.UPDATED': handleDisputeEvent,
+    'CUSTOMER.DISPUTE.RESOLVED': handleDisputeEvent,
+    'BILLING.SUBSCRIPTION.ACTIVATED': handleSubscriptionStatus,
+    'BILLING.SUBSCRIPTION.CANCELLED': handleSubscriptionStatus,
+    'BILLING.SUBSCRIPTION.SUSPENDED': handleSubscriptionStatus,
+    'BILLING.SUBSCRIPTION.EXPIRED': handleSubscriptionStatus,
+    'PAYMENT.SALE.COMPLETED': handleSaleCompleted,
+    'PAYMENT.PAYOUTSBATCH.PROCESSING': handlePayoutEvent,
+    'PAYMENT.PAYOUTSBATCH.SUCCESS': handlePayoutEvent,
+    'PAYMENT.PAYOUTSBATCH.DENIED': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.SUCCEEDED': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.FAILED': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.BLOCKED': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.CANCELED': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.DENIED': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.HELD': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.REFUNDED': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.RETURNED': handlePayoutEvent,
+    'PAYMENT.PAYOUTS-ITEM.UNCLAIMED': handlePayoutEvent,
+};
+
+/**
+ * dispatchWebhookEvent: Runs the handler for `event`'s type; 'unhandled' for types we do not act on.
+ */
+export async function dispatchWebhookEvent(event: WebhookEvent, repository: WebhookRepository): Promise<string> {
+    const handler = WEBHOOK_HANDLERS[event.event_type];
+    if (!handler) {
+        console.info(`Unhandled webhook event type: ${event.event_type}.`);
+        return 'unhandled';
+    }
+    const outcome = await handler(event, repository);
+    console.info(`${event.event_type} ${event.id}: ${outcome}.`);
+    return outcome;
+}
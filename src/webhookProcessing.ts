@@ -0,0 +1,65 @@
+import { getTier } from './tiers';
+import { applyPayment, recordPaymentDenial } from './payments';
+import { getExpectedOrder, recordPaymentDiscrepancy } from './reconciliation';
+import { advanceOrder, captureOrder } from './orders';
+import { getSubscriptionRecord, handleSubscriptionEvent } from './subscriptions';
+import { handlePayoutEvent } from './payouts';
+import { applyReversal, recordDispute } from './reversals';
+import { WebhookEvent, WebhookRepository, dispatchWebhookEvent } from './webhookHandlers';
+
+/**
+ * Business handling of verified PayPal webhook events, backed by Firestore.
+ *
+ * paypalWebhookConsumer calls processWebhookEvent for each queued event; the webhookFailures retry
+ * job and admin replay call it again with the stored event, so every path runs the same handlers
+ * (webhookHandlers.ts). Each handler is idempotent (event and order ledgers), so replays are safe.
+ *
+ * Some outcomes mean an event arrived before what it applies to, e.g. a refund delivered ahead of the
+ * capture it returns. processWebhookEvent throws WebhookNotReadyError for those, so they are retried
+ * rather than dropped.
+ */
+
+export { WebhookEvent } from './webhookHandlers';
+
+// Handler outcomes that a later attempt may turn into 'applied'.
+const NOT_READY_OUTCOMES = ['payment_not_found'];
+
+export class WebhookNotReadyError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'WebhookNotReadyError';
+    }
+}
+
+/**
+ * firestoreWebhookRepository: The WebhookRepository the deployed functions use.
+ */
+export const firestoreWebhookRepository: WebhookRepository = {
+    getExpectedOrder,
+    getSubscription: getSubscriptionRecord,
+    getTier,
+    advanceOrder,
+    captureOrder,
+    applyPayment,
+    recordPaymentDenial,
+    recordPaymentDiscrepancy,
+    applyReversal,
+    recordDispute,
+    syncSubscription: handleSubscriptionEvent,
+    trackPayout: handlePayoutEvent,
+};
+
+/**
+ * processWebhookEvent: Applies one verified PayPal event. Throws on failures worth retrying,
+ * including a WebhookNotReadyError for an event that came too early.
+ */
+export async function processWebhookEvent(
+    event: WebhookEvent,
+    repository: WebhookRepository = firestoreWebhookRepository
+): Promise<string> {
+    const outcome = await dispatchWebhookEvent(event, repository);
+    if (NOT_READY_OUTCOMES.includes(outcome)) {
+        throw new WebhookNotReadyError(`${event.event_type} ${event.id} came before what it applies to (${outcome}).`);
+    }
+    return outcome;
+}
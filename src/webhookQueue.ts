@@ -0,0 +1,77 @@
+import { PubSub } from '@google-cloud/pubsub';
+import { onMessagePublished } from 'firebase-functions/v2/pubsub';
+import { WebhookEvent, processWebhookEvent } from './webhookProcessing';
+import { parseWebhookEvent } from './webhookHandlers';
+import { pickWebhookHeaders, recordUndecodableMessage, recordWebhookFailure } from './webhookFailures';
+
+/**
+ * PayPal webhook pipeline: receive, queue, consume.
+ *
+ *  1. paypalWebhookHandler (HTTPS, index.ts) verifies the signature, checks the event has an id,
+ *     event_type and resource, publishes it to WEBHOOK_TOPIC and answers PayPal straight away.
+ *  2. paypalWebhookConsumer is the only place webhook business logic runs (processWebhookEvent).
+ *     An event that fails, or arrives before what it depends on (see webhookProcessing.ts), is handed
+ *     to the dead-letter queue (webhookFailures.ts) and acknowledged, and so is a message that cannot
+ *     be decoded; Pub/Sub only redelivers when even that fails. Delivery is at-least-once, which the event and
+ *     order ledgers already absorb.
+ */
+
+export const WEBHOOK_TOPIC = 'paypal-webhooks';
+
+export interface QueuedWebhook {
+    rawBody: string;            // Exactly what PayPal sent, as verified.
+    headers: { [name: string]: unknown };
+    receivedAt: string;         // ISO 8601.
+}
+
+let pubsub: PubSub | null = null;
+
+/**
+ * publishWebhookEvent: Queues a verified event for the consumer. Resolves with the message id.
+ */
+export async function publishWebhookEvent(event: WebhookEvent, rawBody: string, headers: { [name: string]: unknown }): Promise<string> {
+    pubsub = pubsub || new PubSub();
+    const message: QueuedWebhook = {
+        rawBody,
+        headers: pickWebhookHeaders(headers),
+        receivedAt: new Date().toISOString()
+    };
+    return pubsub.topic(WEBHOOK_TOPIC).publishMessage({
+        json: message,
+        attributes: { eventId: event.id, eventType: event.event_type }
+    });
+}
+
+/**
+ * paypalWebhookConsumer: Pub/Sub function that applies queued PayPal webhook events (v2).
+ */
+export const paypalWebhookConsumer = onMessagePublished<QueuedWebhook>({
+    topic: WEBHOOK_TOPIC,
+    retry: true // Only reached when an event could not be stored in webhookFailures.
+}, async (cloudEvent) => {
+    const { message } = cloudEvent.data;
+    let queued: QueuedWebhook;
+    let event: WebhookEvent;
+    try {
+        // The json getter throws on a body that is not JSON.
+        queued = message.json;
+        event = parseWebhookEvent(JSON.parse(queued.rawBody));
+    } catch (error: any) {
+        // The receiver only publishes well-formed events; anything else can never succeed, so park it.
+        console.error('paypalWebhookConsumer: malformed message.', { messageId: message.messageId, error: error.message });
+        await recordUndecodableMessage(message.messageId, Buffer.from(message.data || '', 'base64').toString(), error);
+        return;
+    }
+    console.info(`paypalWebhookConsumer: processing ${event.event_type}.`, {
+        eventId: event.id,
+        messageId: message.messageId,
+        receivedAt: queued.receivedAt
+    });
+
+    try {
+        await processWebhookEvent(event);
+    } catch (error: any) {
+        console.error('paypalWebhookConsumer: error processing PayPal webhook:', error);
+        await recordWebhookFailure(event, queued.rawBody, queued.headers, error);
+    }
+});
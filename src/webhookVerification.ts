@@ -0,0 +1,237 @@
+import * as crypto from 'crypto';
+import { WebhookVerificationMode, loadPayPalWebhookConfig } from './paypalConfig';
+
+/**
+ * PayPal webhook signature verification.
+ *
+ * Two strategies are supported:
+ *  - 'api':     ask PayPal to verify the delivery via /v1/notifications/verify-webhook-signature.
+ *  - 'offline': recompute the signed message (transmission id | time | webhook id | CRC32 of body)
+ *               and check the RSA signature against PayPal's signing cert, which is cached in memory.
+ *
+ * The strategy is picked with the PAYPAL_WEBHOOK_VERIFICATION param (defaults to 'api') and
+ * PAYPAL_WEBHOOK_ID must be the id of the webhook registered in the PayPal Developer Dashboard;
+ * both are declared in paypalConfig.ts.
+ *
+ * Either way the PAYPAL-TRANSMISSION-TIME header (which is part of the signed message) is checked too.
+ * PayPal's automatic retries (for up to 3 days) and resends from the Developer Dashboard (of events up
+ * to 30 days old) can carry the original transmission time, so the window has to let those in:
+ * a delivery may be up to MAX_TRANSMISSION_AGE_MS old, and at most MAX_TRANSMISSION_SKEW_MS ahead of
+ * our clock. Replays inside the window are harmless, since every handler dedupes on the event id
+ * (see applyPayment and handleSubscriptionEvent); the window only bounds how long a captured delivery
+ * stays usable at all.
+ */
+
+export type VerificationMode = WebhookVerificationMode;
+
+export interface TransmissionHeaders {
+    transmissionId: string;
+    transmissionTime: string;
+    transmissionSig: string;
+    certUrl: string;
+    authAlgo: string;
+}
+
+export class WebhookVerificationError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'WebhookVerificationError';
+    }
+}
+
+// Hosts PayPal serves its webhook signing certs from. The PAYPAL_CERT_HOSTS param replaces this list,
+// which is how a local fake cert server is allowed during emulator testing.
+const DEFAULT_CERT_HOSTS = ['api.paypal.com', 'api-m.paypal.com', 'api.sandbox.paypal.com', 'api-m.sandbox.paypal.com'];
+const CERT_CACHE_TTL_MS = 60 * 60 * 1000;
+export const MAX_TRANSMISSION_AGE_MS = 31 * 24 * 60 * 60 * 1000;
+export const MAX_TRANSMISSION_SKEW_MS = 5 * 60 * 1000;
+
+const certCache = new Map<string, { pem: string; fetchedAt: number }>();
+
+/**
+ * Reads the PAYPAL-TRANSMISSION-* headers. Header lookups are case-insensitive (Express lowercases them).
+ */
+export function extractTransmissionHeaders(headers: { [key: string]: string | string[] | undefined }): TransmissionHeaders {
+    const read = (name: string): string => {
+        const value = headers[name.toLowerCase()];
+        const single = Array.isArray(value) ? value[0] : value;
+        if (!single) {
+            throw new WebhookVerificationError(`Missing ${name.toUpperCase()} header.`);
+        }
+        return single;
+    };
+
+    return {
+        transmissionId: read('paypal-transmission-id'),
+        transmissionTime: read('paypal-transmission-time'),
+        transmissionSig: read('paypal-transmission-sig'),
+        certUrl: read('paypal-cert-url'),
+        authAlgo: read('paypal-auth-algo'),
+    };
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * crc32: Standard (IEEE 802.3) CRC32 of a buffer, as an unsigned integer.
+ */
+export function crc32(data: Buffer): number {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function assertTrustedCertUrl(certUrl: string): URL {
+    let url: URL;
+    try {
+        url = new URL(certUrl);
+    } catch {
+        throw new WebhookVerificationError(`Malformed cert URL: ${certUrl}`);
+    }
+
+    const allowedHosts = loadPayPalWebhookConfig().certHosts || DEFAULT_CERT_HOSTS;
+    if (!allowedHosts.includes(url.host.toLowerCase())) {
+        throw new WebhookVerificationError(`Cert URL host is not trusted: ${url.host}`);
+    }
+    // Plain HTTP is only acceptable for a loopback fake cert server.
+    const isLoopback = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLoopback)) {
+        throw new WebhookVerificationError(`Cert URL must use HTTPS: ${certUrl}`);
+    }
+    return url;
+}
+
+async function fetchSigningCert(certUrl: string): Promise<string> {
+    const cached = certCache.get(certUrl);
+    if (cached && Date.now() - cached.fetchedAt < CERT_CACHE_TTL_MS) {
+        return cached.pem;
+    }
+
+    const url = assertTrustedCertUrl(certUrl);
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new WebhookVerificationError(`Failed to download signing cert (${response.status}).`);
+    }
+    const pem = await response.text();
+
+    let cert: crypto.X509Certificate;
+    try {
+        cert = new crypto.X509Certificate(pem);
+    } catch {
+        throw new WebhookVerificationError('Signing cert is not a valid X.509 certificate.');
+    }
+    const now = Date.now();
+    if (now < Date.parse(cert.validFrom) || now > Date.parse(cert.validTo)) {
+        throw new WebhookVerificationError('Signing cert is outside its validity period.');
+    }
+
+    certCache.set(certUrl, { pem, fetchedAt: now });
+    return pem;
+}
+
+/**
+ * assertFreshTransmission: Rejects a delivery whose transmission time is unparseable, more than
+ * MAX_TRANSMISSION_AGE_MS before `now` or more than MAX_TRANSMISSION_SKEW_MS after it.
+ */
+export function assertFreshTransmission(transmissionTime: string, now: number = Date.now()): void {
+    const sentAt = Date.parse(transmissionTime);
+    if (Number.isNaN(sentAt)) {
+        throw new WebhookVerificationError(`Malformed transmission time: ${transmissionTime}`);
+    }
+    if (now - sentAt > MAX_TRANSMISSION_AGE_MS || sentAt - now > MAX_TRANSMISSION_SKEW_MS) {
+        throw new WebhookVerificationError(`Transmission time ${transmissionTime} is outside the allowed window.`);
+    }
+}
+
+/**
+ * clearCertCache: Drops cached signing certs. Mainly useful when pointing at a fake cert server.
+ */
+export function clearCertCache(): void {
+    certCache.clear();
+}
+
+/**
+ * verifyWebhookOffline: Checks the transmission signature locally against PayPal's signing cert.
+ * Throws WebhookVerificationError if the signature does not match.
+ */
+export async function verifyWebhookOffline(rawBody: Buffer, headers: TransmissionHeaders, webhookId: string): Promise<void> {
+    if (headers.authAlgo !== 'SHA256withRSA') {
+        throw new WebhookVerificationError(`Unsupported auth algorithm: ${headers.authAlgo}`);
+    }
+
+    const pem = await fetchSigningCert(headers.certUrl);
+    const message = `${headers.transmissionId}|${headers.transmissionTime}|${webhookId}|${crc32(rawBody)}`;
+    const signature = Buffer.from(headers.transmissionSig, 'base64');
+
+    const valid = crypto.verify('sha256', Buffer.from(message), pem, signature);
+    if (!valid) {
+        throw new WebhookVerificationError('Transmission signature does not match.');
+    }
+}
+
+/**
+ * verifyWebhookViaApi: Asks PayPal to verify the delivery. `client` is the PayPalHttpClient
+ * used elsewhere; it takes care of the OAuth token.
+ */
+export async function verifyWebhookViaApi(
+    client: { execute(req: any): Promise<any> },
+    headers: TransmissionHeaders,
+    webhookId: string,
+    event: unknown
+): Promise<void> {
+    const response = await client.execute({
+        verb: 'POST',
+        path: '/v1/notifications/verify-webhook-signature',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+            auth_algo: headers.authAlgo,
+            cert_url: headers.certUrl,
+            transmission_id: headers.transmissionId,
+            transmission_sig: headers.transmissionSig,
+            transmission_time: headers.transmissionTime,
+            webhook_id: webhookId,
+            webhook_event: event,
+        },
+    });
+
+    if (response.result?.verification_status !== 'SUCCESS') {
+        throw new WebhookVerificationError(`PayPal reported verification_status=${response.result?.verification_status}.`);
+    }
+}
+
+/**
+ * verifyWebhookRequest: Verifies an incoming webhook request using the configured strategy.
+ * Resolves when the event is authentic, throws WebhookVerificationError otherwise (and a
+ * PayPalConfigError when verification is not configured).
+ */
+export async function verifyWebhookRequest(
+    req: { headers: { [key: string]: string | string[] | undefined }; rawBody?: Buffer; body: unknown },
+    client: { execute(req: any): Promise<any> }
+): Promise<void> {
+    // Our misconfiguration, not a bad delivery: a PayPalConfigError becomes a 500 and PayPal retries.
+    const { webhookId, verification } = loadPayPalWebhookConfig();
+
+    const headers = extractTransmissionHeaders(req.headers);
+    assertFreshTransmission(headers.transmissionTime);
+
+    if (verification === 'offline') {
+        if (!req.rawBody) {
+            throw new WebhookVerificationError('Raw request body is unavailable; cannot compute CRC32.');
+        }
+        await verifyWebhookOffline(req.rawBody, headers, webhookId);
+        return;
+    }
+    await verifyWebhookViaApi(client, headers, webhookId, req.body);
+}
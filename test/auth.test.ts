@@ -0,0 +1,67 @@
+import * as admin from 'firebase-admin';
+import { CallableRequest } from 'firebase-functions/v2/https';
+import { getCaller, requireAdmin, setRoleClaims } from '../src/auth';
+import { logAuditEvent } from '../src/audit';
+
+jest.mock('../src/audit', () => ({ logAuditEvent: jest.fn(async () => undefined) }));
+
+function request(claims?: { [claim: string]: unknown }): CallableRequest<unknown> {
+    return { data: {}, auth: claims ? { uid: 'u1', token: claims } : undefined } as any;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.mocked(logAuditEvent).mockClear();
+});
+
+describe('getCaller', () => {
+    it('reads the role and salespersonId claims', () => {
+        expect(getCaller(request({ role: 'salesperson', salespersonId: 'sp1' }))).toEqual({ uid: 'u1', role: 'salesperson', salespersonId: 'sp1' });
+    });
+
+    it('treats the legacy admin claim as the admin role', () => {
+        expect(getCaller(request({ admin: true }))?.role).toBe('admin');
+    });
+
+    it('prefers a role claim over the legacy admin claim', () => {
+        expect(getCaller(request({ admin: true, role: 'member' }))?.role).toBe('member');
+    });
+
+    it('reads missing or unknown claims as member', () => {
+        expect(getCaller(request({}))?.role).toBe('member');
+        expect(getCaller(request({ role: 'owner', admin: 'yes' }))?.role).toBe('member');
+    });
+
+    it('returns null for anonymous requests', () => {
+        expect(getCaller(request())).toBeNull();
+    });
+});
+
+describe('requireAdmin', () => {
+    it('admits admins appointed with the legacy claim', async () => {
+        await expect(requireAdmin(request({ admin: true }), 'grant roles')).resolves.toBe('u1');
+    });
+
+    it('denies members and audits the attempt', async () => {
+        await expect(requireAdmin(request({}), 'grant roles')).rejects.toMatchObject({ code: 'permission-denied' });
+        expect(logAuditEvent).toHaveBeenCalledWith('authorization.denied', expect.objectContaining({ actor: 'u1', attemptedAction: 'grant roles' }));
+    });
+});
+
+describe('setRoleClaims', () => {
+    it('replaces the legacy admin claim with a role and keeps unrelated claims', async () => {
+        const setCustomUserClaims = jest.fn(async () => undefined);
+        jest.spyOn(admin, 'auth').mockReturnValue({
+            getUser: async () => ({ uid: 'u2', customClaims: { admin: true, beta: true } }),
+            setCustomUserClaims,
+        } as any);
+
+        await setRoleClaims('u2', { role: 'member' }, 'u1');
+        expect(setCustomUserClaims).toHaveBeenCalledWith('u2', { beta: true, role: 'member' });
+        expect(logAuditEvent).toHaveBeenCalledWith('role.changed', expect.objectContaining({ subjectId: 'u2', previousRole: 'admin', role: 'member' }));
+    });
+});
@@ -0,0 +1,272 @@
+/**
+ * PayPal webhook payloads for every event type we handle, trimmed from PayPal's sandbox deliveries
+ * (HATEOAS links other than 'up' and most payer fields dropped). All of them describe one purchase:
+ * USER_ID buying the 'local' tier (50.00 USD) in ORDER_ID, captured as CAPTURE_ID.
+ */
+
+export const USER_ID = 'u1AbCdEfGhIjKlMnOpQrStUvWx12';
+export const SALESPERSON_ID = 'sp-gaborone-01';
+export const TIER_ID = 'local';
+export const ORDER_ID = '5O190127TN364715T';
+export const CAPTURE_ID = '3C679366HH908993F';
+export const REFUND_ID = '1JU08902781691411';
+export const DISPUTE_ID = 'PP-D-27803';
+export const SUBSCRIPTION_ID = 'I-BW452GLLEP1G';
+export const SALE_ID = '80021663DE681814L';
+export const PLAN_ID = 'P-5ML4271244454362WXNWU5NQ';
+export const SENDER_BATCH_ID = 'eb-2026-09';
+export const PAYOUT_BATCH_ID = '5UXD2E8A7EBQJ';
+export const SENDER_ITEM_ID = `${SALESPERSON_ID}_2026-09_USD`;
+
+export const CUSTOM_ID = `eb1:${USER_ID}:${TIER_ID}`;
+export const AMOUNT = { currency_code: 'USD', value: '50.00' };
+
+let sequence = 0;
+
+function envelope(eventType: string, resourceType: string, resource: any, summary: string): any {
+    sequence += 1;
+    return {
+        id: `WH-${String(sequence).padStart(4, '0')}-${eventType.replace(/[^A-Z]/g, '').slice(0, 12)}`,
+        create_time: '2026-10-01T09:15:00.000Z',
+        resource_type: resourceType,
+        event_type: eventType,
+        summary,
+        resource,
+        event_version: '1.0',
+        resource_version: '2.0',
+    };
+}
+
+function order(status: string): any {
+    return {
+        id: ORDER_ID,
+        intent: 'CAPTURE',
+        status,
+        purchase_units: [{
+            reference_id: 'default',
+            custom_id: CUSTOM_ID,
+            description: 'Explore Botswana local membership',
+            amount: AMOUNT,
+            payee: { email_address: 'payments@explorebotswana.example', merchant_id: 'X5XAHHCG636FA' },
+            ...(status === 'COMPLETED' ? {
+                payments: { captures: [{ id: CAPTURE_ID, status: 'COMPLETED', amount: AMOUNT, final_capture: true }] }
+            } : {}),
+        }],
+        payer: { payer_id: 'QYR5Z8XDVJNXQ', email_address: 'buyer@example.com', name: { given_name: 'Kabo', surname: 'Molefe' } },
+        create_time: '2026-10-01T09:10:00Z',
+        update_time: '2026-10-01T09:15:00Z',
+    };
+}
+
+/**
+ * capturedOrder: The order PayPal returns for a capture of ORDER_ID that ended `captureStatus`.
+ */
+export function capturedOrder(captureStatus = 'COMPLETED'): any {
+    const captured = order('COMPLETED');
+    captured.purchase_units[0].payments.captures[0].status = captureStatus;
+    return captured;
+}
+
+function capture(status: string, extra: any = {}): any {
+    return {
+        id: CAPTURE_ID,
+        status,
+        amount: AMOUNT,
+        custom_id: CUSTOM_ID,
+        final_capture: true,
+        seller_protection: { status: 'ELIGIBLE', dispute_categories: ['ITEM_NOT_RECEIVED', 'UNAUTHORIZED_TRANSACTION'] },
+        supplementary_data: { related_ids: { order_id: ORDER_ID } },
+        create_time: '2026-10-01T09:15:00Z',
+        update_time: '2026-10-01T09:15:00Z',
+        ...extra,
+    };
+}
+
+function refund(status: string): any {
+    return {
+        id: REFUND_ID,
+        status,
+        amount: { currency_code: 'USD', value: '20.00' },
+        custom_id: CUSTOM_ID,
+        supplementary_data: { related_ids: { order_id: ORDER_ID } },
+        links: [
+            { rel: 'self', method: 'GET', href: `https://api.sandbox.paypal.com/v2/payments/refunds/${REFUND_ID}` },
+            { rel: 'up', method: 'GET', href: `https://api.sandbox.paypal.com/v2/payments/captures/${CAPTURE_ID}` },
+        ],
+    };
+}
+
+function dispute(status: string, outcome?: string): any {
+    return {
+        dispute_id: DISPUTE_ID,
+        status,
+        reason: 'MERCHANDISE_OR_SERVICE_NOT_RECEIVED',
+        dispute_amount: AMOUNT,
+        dispute_life_cycle_stage: outcome ? 'CHARGEBACK' : 'INQUIRY',
+        disputed_transactions: [{ seller_transaction_id: CAPTURE_ID, buyer_transaction_id: '0XG01617DG8472419', custom: CUSTOM_ID }],
+        ...(outcome ? { dispute_outcome: { outcome_code: outcome, amount_refunded: AMOUNT } } : {}),
+        create_time: '2026-10-03T11:00:00.000Z',
+        update_time: '2026-10-05T11:00:00.000Z',
+    };
+}
+
+function subscription(status: string, updateTime: string): any {
+    return {
+        id: SUBSCRIPTION_ID,
+        plan_id: PLAN_ID,
+        status,
+        custom_id: CUSTOM_ID,
+        quantity: '1',
+        subscriber: { email_address: 'buyer@example.com', payer_id: 'QYR5Z8XDVJNXQ' },
+        billing_info: {
+            next_billing_time: '2026-11-01T10:00:00Z',
+            last_payment: { amount: { currency_code: 'USD', value: '50.00' }, time: '2026-10-01T10:00:00Z' },
+            failed_payments_count: 0,
+        },
+        create_time: '2026-10-01T09:00:00Z',
+        update_time: updateTime,
+    };
+}
+
+function payoutsBatch(status: string): any {
+    return {
+        batch_header: {
+            payout_batch_id: PAYOUT_BATCH_ID,
+            batch_status: status,
+            sender_batch_header: { sender_batch_id: SENDER_BATCH_ID, email_subject: 'Explore Botswana commission' },
+            amount: { currency: 'USD', value: '10.00' },
+            fees: { currency: 'USD', value: '0.25' },
+        },
+    };
+}
+
+function payoutsItem(transactionStatus: string, errors?: any): any {
+    return {
+        payout_item_id: '8AELMXH8UB2P8',
+        transaction_id: transactionStatus === 'SUCCESS' ? '0C413693MN970190K' : undefined,
+        transaction_status: transactionStatus,
+        payout_batch_id: PAYOUT_BATCH_ID,
+        payout_item_fee: { currency: 'USD', value: '0.25' },
+        payout_item: {
+            recipient_type: 'EMAIL',
+            amount: { currency: 'USD', value: '10.00' },
+            receiver: 'salesperson@example.com',
+            sender_item_id: SENDER_ITEM_ID,
+        },
+        ...(errors ? { errors } : {}),
+    };
+}
+
+const PAYOUT_ITEM_STATUSES: { [eventType: string]: string } = {
+    'PAYMENT.PAYOUTS-ITEM.SUCCEEDED': 'SUCCESS',
+    'PAYMENT.PAYOUTS-ITEM.FAILED': 'FAILED',
+    'PAYMENT.PAYOUTS-ITEM.BLOCKED': 'BLOCKED',
+    'PAYMENT.PAYOUTS-ITEM.CANCELED': 'RETURNED',
+    'PAYMENT.PAYOUTS-ITEM.DENIED': 'DENIED',
+    'PAYMENT.PAYOUTS-ITEM.HELD': 'ONHOLD',
+    'PAYMENT.PAYOUTS-ITEM.REFUNDED': 'REFUNDED',
+    'PAYMENT.PAYOUTS-ITEM.RETURNED': 'RETURNED',
+    'PAYMENT.PAYOUTS-ITEM.UNCLAIMED': 'UNCLAIMED',
+};
+
+/**
+ * paypalEvent: A fresh delivery (new event id) of `eventType`.
+ */
+export function paypalEvent(eventType: string): any {
+    switch (eventType) {
+    case 'CHECKOUT.ORDER.APPROVED':
+        return envelope(eventType, 'checkout-order', order('APPROVED'), 'An order has been approved by buyer');
+    case 'CHECKOUT.ORDER.COMPLETED':
+        return envelope(eventType, 'checkout-order', order('COMPLETED'), 'Checkout Order Completed');
+    case 'PAYMENT.CAPTURE.COMPLETED':
+        return envelope(eventType, 'capture', capture('COMPLETED'), 'Payment completed for $ 50.00 USD');
+    case 'PAYMENT.CAPTURE.DENIED':
+        return envelope(eventType, 'capture', capture('DECLINED', { status_details: { reason: 'BUYER_COMPLAINT' } }), 'Payment denied for $ 50.00 USD');
+    case 'PAYMENT.CAPTURE.REFUNDED':
+        return envelope(eventType, 'refund', refund('COMPLETED'), 'A $ 20.00 USD capture payment was refunded');
+    case 'PAYMENT.CAPTURE.REVERSED':
+        return envelope(eventType, 'refund', refund('COMPLETED'), 'A $ 20.00 USD capture payment was reversed');
+    case 'CUSTOMER.DISPUTE.CREATED':
+        return envelope(eventType, 'dispute', dispute('OPEN'), 'A new dispute opened with Case # PP-D-27803');
+    case 'CUSTOMER.DISPUTE.UPDATED':
+        return envelope(eventType, 'dispute', dispute('UNDER_REVIEW'), 'A dispute was updated with Case # PP-D-27803');
+    case 'CUSTOMER.DISPUTE.RESOLVED':
+        return envelope(eventType, 'dispute', dispute('RESOLVED', 'RESOLVED_BUYER_FAVOUR'), 'A dispute was resolved with case # PP-D-27803');
+    case 'BILLING.SUBSCRIPTION.ACTIVATED':
+        return envelope(eventType, 'subscription', subscription('ACTIVE', '2026-10-01T09:05:00Z'), 'Subscription activated');
+    case 'BILLING.SUBSCRIPTION.CANCELLED':
+        return envelope(eventType, 'subscription', subscription('CANCELLED', '2026-10-20T08:00:00Z'), 'Subscription cancelled');
+    case 'BILLING.SUBSCRIPTION.SUSPENDED':
+        return envelope(eventType, 'subscription', subscription('SUSPENDED', '2026-10-15T08:00:00Z'), 'Subscription suspended');
+    case 'BILLING.SUBSCRIPTION.EXPIRED':
+        return envelope(eventType, 'subscription', subscription('EXPIRED', '2026-11-01T10:00:00Z'), 'Subscription expired');
+    case 'PAYMENT.SALE.COMPLETED':
+        return envelope(eventType, 'sale', {
+            id: SALE_ID,
+            state: 'completed',
+            amount: { total: '50.00', currency: 'USD', details: { subtotal: '50.00' } },
+            payment_mode: 'INSTANT_TRANSFER',
+            protection_eligibility: 'ELIGIBLE',
+            billing_agreement_id: SUBSCRIPTION_ID,
+            custom: CUSTOM_ID,
+            transaction_fee: { value: '2.04', currency: 'USD' },
+            create_time: '2026-10-01T10:00:00Z',
+        }, 'Payment completed for $ 50.0 USD');
+    case 'PAYMENT.PAYOUTSBATCH.PROCESSING':
+    case 'PAYMENT.PAYOUTSBATCH.SUCCESS':
+    case 'PAYMENT.PAYOUTSBATCH.DENIED':
+        return envelope(eventType, 'payouts', payoutsBatch(eventType.split('.').pop()!), `Payouts batch is ${eventType.split('.').pop()!.toLowerCase()}`);
+    default:
+        if (PAYOUT_ITEM_STATUSES[eventType]) {
+            const transactionStatus = PAYOUT_ITEM_STATUSES[eventType];
+            const errors = transactionStatus === 'SUCCESS' || transactionStatus === 'ONHOLD' || transactionStatus === 'UNCLAIMED'
+                ? undefined
+                : { name: 'RECEIVER_UNREGISTERED', message: 'Receiver is unregistered' };
+            return envelope(eventType, 'payouts_item', payoutsItem(transactionStatus, errors), `A payout item is ${transactionStatus.toLowerCase()}`);
+        }
+        throw new Error(`No fixture for ${eventType}.`);
+    }
+}
+
+/**
+ * HANDLED_EVENT_TYPES: Every event type with a fixture; must match WEBHOOK_HANDLERS.
+ */
+export const HANDLED_EVENT_TYPES = [
+    'CHECKOUT.ORDER.APPROVED',
+    'CHECKOUT.ORDER.COMPLETED',
+    'PAYMENT.CAPTURE.COMPLETED',
+    'PAYMENT.CAPTURE.REFUNDED',
+    'PAYMENT.CAPTURE.REVERSED',
+    'PAYMENT.CAPTURE.DENIED',
+    'CUSTOMER.DISPUTE.CREATED',
+    'CUSTOMER.DISPUTE.UPDATED',
+    'CUSTOMER.DISPUTE.RESOLVED',
+    'BILLING.SUBSCRIPTION.ACTIVATED',
+    'BILLING.SUBSCRIPTION.CANCELLED',
+    'BILLING.SUBSCRIPTION.SUSPENDED',
+    'BILLING.SUBSCRIPTION.EXPIRED',
+    'PAYMENT.SALE.COMPLETED',
+    'PAYMENT.PAYOUTSBATCH.PROCESSING',
+    'PAYMENT.PAYOUTSBATCH.SUCCESS',
+    'PAYMENT.PAYOUTSBATCH.DENIED',
+    ...Object.keys(PAYOUT_ITEM_STATUSES),
+];
+
+/**
+ * MALFORMED_BODIES: Bodies a verified-looking delivery could still carry that no handler can use.
+ */
+export const MALFORMED_BODIES: [string, unknown][] = [
+    ['null', null],
+    ['a string', 'CHECKOUT.ORDER.COMPLETED'],
+    ['an array', [paypalEventBody()]],
+    ['no id', { event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: capture('COMPLETED') }],
+    ['an empty id', { id: '', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: capture('COMPLETED') }],
+    ['no event_type', { id: 'WH-MALFORMED-1', resource: capture('COMPLETED') }],
+    ['a numeric event_type', { id: 'WH-MALFORMED-2', event_type: 42, resource: capture('COMPLETED') }],
+    ['no resource', { id: 'WH-MALFORMED-3', event_type: 'PAYMENT.CAPTURE.COMPLETED' }],
+    ['a string resource', { id: 'WH-MALFORMED-4', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: CAPTURE_ID }],
+];
+
+function paypalEventBody(): any {
+    return { id: 'WH-MALFORMED-0', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: capture('COMPLETED') };
+}
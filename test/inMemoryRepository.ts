@@ -0,0 +1,164 @@
+import { PaymentTier } from '../src/tiers';
+import { DenialOutcome, PaymentDenial, PaymentDetails, PaymentOutcome } from '../src/payments';
+import { ExpectedOrder, PaymentDiscrepancy } from '../src/reconciliation';
+import { ReversalDetails, ReversalOutcome } from '../src/reversals';
+import { OrderStatus, OrderTransition, OrderTransitionOutcome, canTransitionOrder } from '../src/orders';
+import { moneyFromPayPal } from '../src/money';
+import { SubscriptionState, SubscriptionSyncOutcome, isStaleSubscriptionUpdate } from '../src/subscriptions';
+import { DisputeRecord, SubscriptionRecord, WebhookRepository } from '../src/webhookHandlers';
+
+/**
+ * InMemoryWebhookRepository: A WebhookRepository over plain maps with the same idempotency rules as
+ * the Firestore one (event ledger, one payment per order, one reversal per reversal id) and the same
+ * order lifecycle, recording every write so tests can assert on it.
+ */
+export class InMemoryWebhookRepository implements WebhookRepository {
+    orders = new Map<string, ExpectedOrder>();
+    orderTransitions: { orderId: string; to: OrderStatus; transition: OrderTransition }[] = [];
+    subscriptions = new Map<string, SubscriptionRecord>();
+    tiers = new Map<string, PaymentTier>();
+    users = new Map<string, { paymentStatus?: string }>();
+    // What PayPal returns when each order is captured; captureRequests lists the orders captured.
+    paypalOrders = new Map<string, any>();
+    captureRequests: string[] = [];
+
+    processedEvents = new Set<string>();
+    payments = new Map<string, PaymentDetails>();
+    denials: PaymentDenial[] = [];
+    discrepancies = new Map<string, PaymentDiscrepancy>();
+    reversals = new Map<string, ReversalDetails>();
+    disputes: DisputeRecord[] = [];
+    subscriptionEvents: { eventType: string; resource: any; eventId: string }[] = [];
+    subscriptionStates = new Map<string, SubscriptionState>();
+    payoutEvents: { eventType: string; resource: any; eventId: string }[] = [];
+
+    async getExpectedOrder(orderId: string): Promise<ExpectedOrder | null> {
+        return this.orders.get(orderId) || null;
+    }
+
+    async getSubscription(subscriptionId: string): Promise<SubscriptionRecord | null> {
+        return this.subscriptions.get(subscriptionId) || null;
+    }
+
+    async getTier(tierId: string): Promise<PaymentTier | undefined> {
+        return this.tiers.get(tierId);
+    }
+
+    async advanceOrder(orderId: string, status: OrderStatus, transition: OrderTransition): Promise<OrderTransitionOutcome> {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            return 'order_not_found';
+        }
+        if (!canTransitionOrder(order.status, status)) {
+            return 'ignored';
+        }
+        order.status = status;
+        this.orderTransitions.push({ orderId, to: status, transition });
+        return 'advanced';
+    }
+
+    async captureOrder(orderId: string): Promise<any> {
+        this.captureRequests.push(orderId);
+        const order = this.paypalOrders.get(orderId);
+        if (!order) {
+            throw new Error(`PayPal does not know order ${orderId}.`);
+        }
+        return order;
+    }
+
+    async applyPayment(details: PaymentDetails): Promise<PaymentOutcome> {
+        if (details.eventId && this.processedEvents.has(details.eventId)) {
+            return 'duplicate_event';
+        }
+        if (this.payments.has(details.orderId)) {
+            this.markProcessed(details.eventId);
+            return 'duplicate_order';
+        }
+        const user = this.users.get(details.userId);
+        if (!user) {
+            return 'user_not_found';
+        }
+        user.paymentStatus = 'paid';
+        this.payments.set(details.orderId, details);
+        await this.advanceOrder(details.orderId, 'CAPTURED', { source: details.source, eventId: details.eventId, captureId: details.captureId });
+        this.markProcessed(details.eventId);
+        return 'applied';
+    }
+
+    async recordPaymentDenial(denial: PaymentDenial): Promise<DenialOutcome> {
+        if (denial.eventId && this.processedEvents.has(denial.eventId)) {
+            return 'duplicate_event';
+        }
+        const user = this.users.get(denial.userId);
+        if (!user) {
+            return 'user_not_found';
+        }
+        this.denials.push(denial);
+        const { source, eventId, captureId, reason } = denial;
+        await this.advanceOrder(denial.orderId, 'DENIED', { source, eventId, captureId, reason });
+        this.markProcessed(denial.eventId);
+        if (user.paymentStatus === 'paid') {
+            return 'recorded_status_kept';
+        }
+        user.paymentStatus = 'payment_denied';
+        return 'recorded';
+    }
+
+    async recordPaymentDiscrepancy(discrepancy: PaymentDiscrepancy): Promise<boolean> {
+        if (this.discrepancies.has(discrepancy.orderId)) {
+            return false;
+        }
+        this.discrepancies.set(discrepancy.orderId, discrepancy);
+        return true;
+    }
+
+    async applyReversal(details: ReversalDetails): Promise<ReversalOutcome> {
+        if (details.eventId && this.processedEvents.has(details.eventId)) {
+            return 'duplicate_event';
+        }
+        if (this.reversals.has(details.reversalId)) {
+            this.markProcessed(details.eventId);
+            return 'duplicate_reversal';
+        }
+        const payment = [...this.payments.values()].find((candidate) =>
+            details.orderId ? candidate.orderId === details.orderId : candidate.captureId === details.captureId);
+        if (!payment) {
+            return 'payment_not_found';
+        }
+        this.reversals.set(details.reversalId, details);
+        const returned = details.amount ? moneyFromPayPal(details.amount) : null;
+        if (!returned || returned.amountMinor >= payment.gross.amountMinor) {
+            await this.advanceOrder(payment.orderId, 'REFUNDED', { source: details.kind, eventId: details.eventId, reason: details.kind });
+        }
+        this.markProcessed(details.eventId);
+        return 'applied';
+    }
+
+    async recordDispute(dispute: DisputeRecord): Promise<void> {
+        this.disputes.push(dispute);
+    }
+
+    async syncSubscription(eventType: string, resource: any, eventId: string): Promise<SubscriptionSyncOutcome> {
+        if (this.processedEvents.has(eventId)) {
+            return 'duplicate_event';
+        }
+        this.markProcessed(eventId);
+        const incoming = { status: resource.status || eventType.split('.').pop(), updateTime: resource.update_time };
+        if (isStaleSubscriptionUpdate(this.subscriptionStates.get(resource.id) || {}, incoming)) {
+            return 'stale_event';
+        }
+        this.subscriptionStates.set(resource.id, incoming);
+        this.subscriptionEvents.push({ eventType, resource, eventId });
+        return 'synced';
+    }
+
+    async trackPayout(eventType: string, resource: any, eventId: string): Promise<void> {
+        this.payoutEvents.push({ eventType, resource, eventId });
+    }
+
+    private markProcessed(eventId: string | undefined): void {
+        if (eventId) {
+            this.processedEvents.add(eventId);
+        }
+    }
+}
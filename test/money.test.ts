@@ -0,0 +1,105 @@
+import {
+    LegacyCurrencyError, commissionMinorUnits, formatMinorUnits, isBasisPointRate, moneyFromPayPal, parseDecimal, prorateMinorUnits,
+    storedAmounts, toMinorUnits,
+} from '../src/money';
+
+describe('parseDecimal', () => {
+    it.each([
+        ['50.00', 'USD', 5000],
+        ['50', 'USD', 5000],
+        ['50.5', 'USD', 5050],
+        ['0.07', 'USD', 7],
+        ['50.000', 'USD', 5000],
+        ['1200', 'JPY', 1200],
+        ['1200.0', 'JPY', 1200],
+        ['-3.10', 'USD', -310],
+    ])('%s %s is %d minor units', (value, currency, expected) => {
+        expect(parseDecimal(value, currency)).toBe(expected);
+    });
+
+    it.each([
+        ['50.001', 'USD'],
+        ['1200.5', 'JPY'],
+        ['1e3', 'USD'],
+        ['', 'USD'],
+        ['fifty', 'USD'],
+    ])('rejects %s %s', (value, currency) => {
+        expect(parseDecimal(value, currency)).toBeNull();
+    });
+});
+
+describe('toMinorUnits', () => {
+    it('rounds legacy floats half up', () => {
+        expect(toMinorUnits(0.1 + 0.2, 'USD')).toBe(30);
+        expect(toMinorUnits(1.005, 'USD')).toBe(101);
+        expect(toMinorUnits(-2.5, 'JPY')).toBe(-3);
+    });
+
+    it('throws on a malformed string', () => {
+        expect(() => toMinorUnits('1.2.3', 'USD')).toThrow('Not a USD amount');
+    });
+});
+
+describe('formatMinorUnits', () => {
+    it.each([
+        [5000, 'USD', '50.00'],
+        [7, 'USD', '0.07'],
+        [-310, 'USD', '-3.10'],
+        [1200, 'JPY', '1200'],
+    ])('%d %s is "%s"', (amountMinor, currency, expected) => {
+        expect(formatMinorUnits(amountMinor, currency)).toBe(expected);
+    });
+});
+
+describe('moneyFromPayPal', () => {
+    it('reads both PayPal amount shapes', () => {
+        expect(moneyFromPayPal({ currency_code: 'USD', value: '50.00' })).toEqual({ amountMinor: 5000, currency: 'USD' });
+        expect(moneyFromPayPal({ currency: 'EUR', total: '12.30' })).toEqual({ amountMinor: 1230, currency: 'EUR' });
+    });
+
+    it('is null for a missing or malformed amount', () => {
+        expect(moneyFromPayPal(undefined)).toBeNull();
+        expect(moneyFromPayPal({ currency_code: 'usd', value: '50.00' })).toBeNull();
+        expect(moneyFromPayPal({ currency_code: 'USD', value: 50 })).toBeNull();
+    });
+});
+
+describe('commission', () => {
+    it('rounds half up to the minor unit', () => {
+        expect(commissionMinorUnits(5000, 0.2)).toBe(1000);
+        expect(commissionMinorUnits(1234, 0.125)).toBe(154);      // 154.25
+        expect(commissionMinorUnits(1236, 0.125)).toBe(155);      // 154.5
+        expect(commissionMinorUnits(999, 0.0001)).toBe(0);        // 0.0999
+    });
+
+    it('accepts rates of basis-point precision only', () => {
+        expect(isBasisPointRate(0.2)).toBe(true);
+        expect(isBasisPointRate(0.1234)).toBe(true);
+        expect(isBasisPointRate(0.12345)).toBe(false);
+        expect(isBasisPointRate(1.5)).toBe(false);
+        expect(isBasisPointRate('0.2')).toBe(false);
+    });
+
+    it('prorates a partial reversal half up', () => {
+        // 20.00 of 50.00 refunded against a 10.00 commission.
+        expect(prorateMinorUnits(1000, 2000, 5000)).toBe(400);
+        expect(prorateMinorUnits(1001, 1, 2)).toBe(501);
+        expect(prorateMinorUnits(-1001, 1, 2)).toBe(-501);
+    });
+});
+
+describe('storedAmounts', () => {
+    it('folds a legacy float into the currency it was in', () => {
+        expect(storedAmounts({ EUR: 250, USD: 100 }, 12.34, 'USD')).toEqual({ EUR: 250, USD: 1334 });
+        expect(storedAmounts({ USD: 100 }, 50, 'BWP')).toEqual({ USD: 100, BWP: 5000 });
+    });
+
+    it('refuses a legacy float without a currency', () => {
+        expect(() => storedAmounts({ USD: 100 }, 12.34)).toThrow(LegacyCurrencyError);
+        expect(storedAmounts({ USD: 100 }, 0)).toEqual({ USD: 100 });
+    });
+
+    it('drops currencies that net to zero', () => {
+        expect(storedAmounts({ USD: 0, EUR: 5 })).toEqual({ EUR: 5 });
+    });
+});
@@ -0,0 +1,135 @@
+import { PaymentTier } from '../src/tiers';
+import { ORDER_TRANSITIONS, OrderStatus, canTransitionOrder, isAbandonedOnPayPal } from '../src/orders';
+import { dispatchWebhookEvent, parseWebhookEvent } from '../src/webhookHandlers';
+import { InMemoryWebhookRepository } from './inMemoryRepository';
+import { AMOUNT, ORDER_ID, TIER_ID, USER_ID, capturedOrder, paypalEvent } from './fixtures/paypalEvents';
+
+const LOCAL_TIER: PaymentTier = {
+    id: TIER_ID,
+    priceMinor: 5000,
+    price: '50.00',
+    currency: 'USD',
+    description: 'Explore Botswana local membership',
+    membershipDurationDays: 14,
+    commissionRate: 0.2,
+    active: true,
+};
+
+function seededRepository(status: OrderStatus = 'CREATED'): InMemoryWebhookRepository {
+    const repository = new InMemoryWebhookRepository();
+    repository.tiers.set(TIER_ID, LOCAL_TIER);
+    repository.users.set(USER_ID, { paymentStatus: 'pending' });
+    repository.orders.set(ORDER_ID, { orderId: ORDER_ID, userId: USER_ID, tierId: TIER_ID, amount: AMOUNT, status });
+    repository.paypalOrders.set(ORDER_ID, capturedOrder());
+    return repository;
+}
+
+function deliver(eventType: string, repository: InMemoryWebhookRepository): Promise<string> {
+    return dispatchWebhookEvent(parseWebhookEvent(paypalEvent(eventType)), repository);
+}
+
+function statusOf(repository: InMemoryWebhookRepository): OrderStatus | undefined {
+    return repository.orders.get(ORDER_ID)!.status;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('canTransitionOrder', () => {
+    it.each([
+        ['CREATED', 'APPROVED'],
+        ['APPROVED', 'CAPTURED'],
+        ['CREATED', 'CAPTURED'],
+        ['APPROVED', 'DENIED'],
+        ['DENIED', 'CAPTURED'],
+        ['EXPIRED', 'CAPTURED'],
+        ['CAPTURED', 'REFUNDED'],
+    ] as [OrderStatus, OrderStatus][])('allows %s -> %s', (from, to) => {
+        expect(canTransitionOrder(from, to)).toBe(true);
+    });
+
+    it.each([
+        ['CAPTURED', 'APPROVED'],
+        ['CAPTURED', 'EXPIRED'],
+        ['CAPTURED', 'DENIED'],
+        ['CREATED', 'REFUNDED'],
+        ['DENIED', 'EXPIRED'],
+        ['REFUNDED', 'CAPTURED'],
+    ] as [OrderStatus, OrderStatus][])('refuses %s -> %s', (from, to) => {
+        expect(canTransitionOrder(from, to)).toBe(false);
+    });
+
+    it('reads an order without a status as CREATED', () => {
+        expect(canTransitionOrder(undefined, 'APPROVED')).toBe(true);
+        expect(canTransitionOrder(undefined, 'REFUNDED')).toBe(false);
+    });
+
+    it('never returns to CREATED', () => {
+        Object.values(ORDER_TRANSITIONS).forEach((targets) => expect(targets).not.toContain('CREATED'));
+    });
+});
+
+describe('isAbandonedOnPayPal', () => {
+    it.each(['CREATED', 'SAVED', 'VOIDED', 'PAYER_ACTION_REQUIRED', null])('expires an order PayPal reports as %s', (status) => {
+        expect(isAbandonedOnPayPal(status)).toBe(true);
+    });
+
+    it.each(['APPROVED', 'COMPLETED'])('keeps an order PayPal reports as %s', (status) => {
+        expect(isAbandonedOnPayPal(status)).toBe(false);
+    });
+});
+
+describe('order lifecycle from webhooks', () => {
+    it('goes CREATED -> APPROVED -> CAPTURED -> REFUNDED', async () => {
+        const repository = seededRepository();
+        await deliver('CHECKOUT.ORDER.APPROVED', repository);
+        expect(statusOf(repository)).toBe('CAPTURED');
+
+        await expect(deliver('PAYMENT.CAPTURE.COMPLETED', repository)).resolves.toBe('duplicate_order');
+        expect(statusOf(repository)).toBe('CAPTURED');
+
+        await deliver('CUSTOMER.DISPUTE.RESOLVED', repository);
+        expect(statusOf(repository)).toBe('REFUNDED');
+        expect(repository.orderTransitions.map((entry) => entry.to)).toEqual(['APPROVED', 'CAPTURED', 'REFUNDED']);
+    });
+
+    it('keeps a captured order captured when the approval arrives late', async () => {
+        const repository = seededRepository();
+        await deliver('PAYMENT.CAPTURE.COMPLETED', repository);
+        await expect(deliver('CHECKOUT.ORDER.APPROVED', repository)).resolves.toBe('already_captured');
+        expect(statusOf(repository)).toBe('CAPTURED');
+    });
+
+    it('stays CAPTURED after a partial refund', async () => {
+        const repository = seededRepository();
+        await deliver('PAYMENT.CAPTURE.COMPLETED', repository);
+        await expect(deliver('PAYMENT.CAPTURE.REFUNDED', repository)).resolves.toBe('applied');
+        expect(statusOf(repository)).toBe('CAPTURED');
+    });
+
+    it('records a denied capture', async () => {
+        const repository = seededRepository('APPROVED');
+        await deliver('PAYMENT.CAPTURE.DENIED', repository);
+        expect(statusOf(repository)).toBe('DENIED');
+        expect(repository.orderTransitions[0].transition).toMatchObject({ source: 'webhook', reason: expect.any(String) });
+    });
+
+    it('records a capture that completes after the order expired and grants the membership', async () => {
+        const repository = seededRepository('EXPIRED');
+        await expect(deliver('PAYMENT.CAPTURE.COMPLETED', repository)).resolves.toBe('applied');
+        expect(statusOf(repository)).toBe('CAPTURED');
+        expect(repository.users.get(USER_ID)!.paymentStatus).toBe('paid');
+    });
+
+    it('captures an expired order PayPal still reports as approved', async () => {
+        const repository = seededRepository('EXPIRED');
+        await expect(deliver('CHECKOUT.ORDER.APPROVED', repository)).resolves.toBe('applied');
+        expect(statusOf(repository)).toBe('CAPTURED');
+    });
+});
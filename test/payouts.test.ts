@@ -0,0 +1,34 @@
+import { classifyPayoutsError } from '../src/payouts';
+
+// PayPal's HttpError carries the status code and the response body as its message.
+function httpError(statusCode: number, body: unknown = {}): any {
+    return Object.assign(new Error(JSON.stringify(body)), { statusCode });
+}
+
+describe('classifyPayoutsError', () => {
+    it('treats a 4xx answer as a rejection', () => {
+        const body = { name: 'VALIDATION_ERROR', details: [{ field: 'items[0].receiver', issue: 'Receiver is invalid' }] };
+        expect(classifyPayoutsError(httpError(400, body))).toEqual({ outcome: 'rejected' });
+        expect(classifyPayoutsError(httpError(422))).toEqual({ outcome: 'rejected' });
+    });
+
+    it('cannot tell from no answer, a timeout or a 5xx', () => {
+        expect(classifyPayoutsError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toEqual({ outcome: 'unknown' });
+        expect(classifyPayoutsError(httpError(408))).toEqual({ outcome: 'unknown' });
+        expect(classifyPayoutsError(httpError(503))).toEqual({ outcome: 'unknown' });
+    });
+
+    it('reads a reused sender_batch_id as the original batch', () => {
+        const body = {
+            name: 'USER_BUSINESS_ERROR',
+            details: [{ field: 'SENDER_BATCH_ID', location: 'body', issue: 'Batch with given sender_batch_id already exists' }],
+            links: [{ href: 'https://api-m.sandbox.paypal.com/v1/payments/payouts/CR8WYCVBWCFX2', rel: 'self', method: 'GET' }],
+        };
+        expect(classifyPayoutsError(httpError(400, body))).toEqual({ outcome: 'duplicate', payoutBatchId: 'CR8WYCVBWCFX2' });
+    });
+
+    it('never reads a reused sender_batch_id as a rejection, even without the link', () => {
+        const body = { name: 'USER_BUSINESS_ERROR', details: [{ field: 'SENDER_BATCH_ID', issue: 'Batch with given sender_batch_id already exists' }] };
+        expect(classifyPayoutsError(httpError(400, body))).toEqual({ outcome: 'duplicate', payoutBatchId: null });
+    });
+});
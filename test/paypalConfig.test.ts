@@ -0,0 +1,61 @@
+import { PayPalConfigError, loadPayPalConfig } from '../src/paypalConfig';
+
+// Params and secrets are plain environment variables at runtime.
+const VARIABLES = ['PAYPAL_MODE', 'PAYPAL_CLIENT_ID', 'PAYPAL_CLIENT_SECRET', 'PAYPAL_API_BASE_URL'];
+
+function configure(values: { [name: string]: string }): void {
+    VARIABLES.forEach((name) => {
+        delete process.env[name];
+    });
+    Object.assign(process.env, values);
+}
+
+const CREDENTIALS = { PAYPAL_CLIENT_ID: 'client-id', PAYPAL_CLIENT_SECRET: 'client-secret' };
+
+afterEach(() => {
+    configure({});
+});
+
+describe('loadPayPalConfig', () => {
+    it('defaults to the sandbox', () => {
+        configure(CREDENTIALS);
+        expect(loadPayPalConfig()).toEqual({
+            mode: 'sandbox',
+            clientId: 'client-id',
+            clientSecret: 'client-secret',
+            apiBaseUrl: 'https://api-m.sandbox.paypal.com',
+            webBaseUrl: 'https://www.sandbox.paypal.com',
+            mocked: false,
+        });
+    });
+
+    it('uses the live API in live mode', () => {
+        configure({ ...CREDENTIALS, PAYPAL_MODE: 'live' });
+        expect(loadPayPalConfig()).toMatchObject({ mode: 'live', apiBaseUrl: 'https://api-m.paypal.com', mocked: false });
+    });
+
+    it('rejects an unknown mode', () => {
+        configure({ ...CREDENTIALS, PAYPAL_MODE: 'production' });
+        expect(() => loadPayPalConfig()).toThrow(PayPalConfigError);
+    });
+
+    it.each(['PAYPAL_CLIENT_ID', 'PAYPAL_CLIENT_SECRET'])('names a missing %s', (name) => {
+        configure({ ...CREDENTIALS, [name]: ' ' });
+        expect(() => loadPayPalConfig()).toThrow(`${name} is not set`);
+    });
+
+    it('points a sandbox deployment at a mock server', () => {
+        configure({ ...CREDENTIALS, PAYPAL_API_BASE_URL: 'http://127.0.0.1:8089/' });
+        expect(loadPayPalConfig()).toMatchObject({ mode: 'sandbox', apiBaseUrl: 'http://127.0.0.1:8089', mocked: true });
+    });
+
+    it('never points a live deployment elsewhere', () => {
+        configure({ ...CREDENTIALS, PAYPAL_MODE: 'live', PAYPAL_API_BASE_URL: 'http://127.0.0.1:8089' });
+        expect(() => loadPayPalConfig()).toThrow('only be set in sandbox mode');
+    });
+
+    it.each(['ftp://127.0.0.1', 'http://127.0.0.1:8089/paypal', 'not a url'])('rejects the base URL %s', (baseUrl) => {
+        configure({ ...CREDENTIALS, PAYPAL_API_BASE_URL: baseUrl });
+        expect(() => loadPayPalConfig()).toThrow(PayPalConfigError);
+    });
+});
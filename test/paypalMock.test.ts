@@ -0,0 +1,202 @@
+import * as http from 'http';
+import * as paypal from '@paypal/checkout-server-sdk';
+import { startPayPalMock } from '../dev/paypalMock';
+import { MOCK_WEBHOOK_ID, signWebhook } from '../dev/mockSigning';
+import { SIMULATED_EVENTS, SimulationContext, simulatedEvent } from '../dev/webhookSimulator';
+import { client } from '../src/paypalClient';
+import { WebhookVerificationError, clearCertCache, verifyWebhookRequest } from '../src/webhookVerification';
+import { dispatchWebhookEvent, parseWebhookEvent } from '../src/webhookHandlers';
+import { captureOrder } from '../src/orders';
+import { InMemoryWebhookRepository } from './inMemoryRepository';
+import { PaymentTier } from '../src/tiers';
+
+/**
+ * The PayPal mock and webhook simulator, driven through the same client and verification code the
+ * functions use.
+ */
+
+let server: http.Server;
+let origin: string;
+
+const TIER: PaymentTier = {
+    id: 'local', priceMinor: 5000, price: '50.00', currency: 'USD',
+    description: 'Explore Botswana local membership', membershipDurationDays: 14, commissionRate: 0.2, active: true,
+};
+
+const CONTEXT: SimulationContext = {
+    orderId: '5O190127TN364715T',
+    captureId: '3C679366HH908993F',
+    userId: 'u1AbCdEfGhIjKlMnOpQrStUvWx12',
+    tierId: 'local',
+    amount: { currency_code: 'USD', value: '50.00' },
+    payerEmail: 'buyer@example.com',
+    subscriptionId: 'I-BW452GLLEP1G',
+};
+
+beforeAll(async () => {
+    ({ server, origin } = await startPayPalMock(0));
+    Object.assign(process.env, {
+        PAYPAL_CLIENT_ID: 'mock',
+        PAYPAL_CLIENT_SECRET: 'mock',
+        PAYPAL_API_BASE_URL: origin,
+        PAYPAL_WEBHOOK_ID: MOCK_WEBHOOK_ID,
+    });
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.PAYPAL_WEBHOOK_VERIFICATION;
+    delete process.env.PAYPAL_CERT_HOSTS;
+});
+
+afterAll(async () => {
+    ['PAYPAL_CLIENT_ID', 'PAYPAL_CLIENT_SECRET', 'PAYPAL_API_BASE_URL', 'PAYPAL_WEBHOOK_ID'].forEach((name) => {
+        delete process.env[name];
+    });
+    await new Promise((resolve) => server.close(resolve));
+});
+
+async function createOrder(): Promise<any> {
+    const request = new paypal.orders.OrdersCreateRequest();
+    request.prefer('return=representation');
+    request.requestBody({
+        intent: 'CAPTURE',
+        purchase_units: [{ custom_id: `eb1:${CONTEXT.userId}:local`, amount: CONTEXT.amount, description: 'Explore Botswana local membership' }],
+    } as any);
+    return (await client.execute(request)).result;
+}
+
+async function approve(order: any, outcome?: string): Promise<void> {
+    const approveUrl = order.links.find((link: any) => link.rel === 'approve').href;
+    const response = await fetch(outcome ? `${approveUrl}&outcome=${outcome}` : approveUrl);
+    expect(response.ok).toBe(true);
+}
+
+function seededRepository(orderId: string): InMemoryWebhookRepository {
+    const repository = new InMemoryWebhookRepository();
+    repository.tiers.set('local', TIER);
+    repository.users.set(CONTEXT.userId, { paymentStatus: 'pending' });
+    repository.orders.set(orderId, { orderId, userId: CONTEXT.userId, tierId: 'local', amount: CONTEXT.amount });
+    return repository;
+}
+
+function capture(orderId: string): Promise<any> {
+    const request = new paypal.orders.OrdersCaptureRequest(orderId);
+    request.payPalRequestId(`capture-${orderId}`);
+    return client.execute(request);
+}
+
+describe('orders', () => {
+    it('creates, approves and captures an order', async () => {
+        const order = await createOrder();
+        expect(order).toMatchObject({ status: 'CREATED', purchase_units: [{ amount: CONTEXT.amount }] });
+
+        await expect(capture(order.id)).rejects.toMatchObject({ statusCode: 422 });
+        await approve(order);
+        const fetched = (await client.execute(new paypal.orders.OrdersGetRequest(order.id))).result;
+        expect(fetched).toMatchObject({ status: 'APPROVED', payer: { email_address: 'buyer@example.com' } });
+
+        const captured = (await capture(order.id)).result;
+        expect(captured.status).toBe('COMPLETED');
+        expect(captured.purchase_units[0].payments.captures[0]).toMatchObject({ status: 'COMPLETED', amount: CONTEXT.amount });
+
+        // A retried capture with the same request id is the same capture.
+        const retried = (await capture(order.id)).result;
+        expect(retried.purchase_units[0].payments.captures[0].id).toBe(captured.purchase_units[0].payments.captures[0].id);
+    });
+
+    it('declines the capture when the buyer approved with outcome=decline', async () => {
+        const order = await createOrder();
+        await approve(order, 'decline');
+        const captured = (await capture(order.id)).result;
+        expect(captured.purchase_units[0].payments.captures[0]).toMatchObject({ status: 'DECLINED' });
+    });
+
+    it('captures an approval the buyer abandoned from the webhook, as the same capture as the callable', async () => {
+        const order = await createOrder();
+        await approve(order);
+        const repository = seededRepository(order.id);
+        repository.captureOrder = captureOrder;
+
+        const approved = simulatedEvent('CHECKOUT.ORDER.APPROVED', { ...CONTEXT, orderId: order.id }, origin);
+        await expect(dispatchWebhookEvent(parseWebhookEvent(approved), repository)).resolves.toBe('applied');
+        expect(repository.users.get(CONTEXT.userId)!.paymentStatus).toBe('paid');
+
+        // The buyer returning late to capturePayPalOrder gets the webhook's capture back.
+        const late = (await capture(order.id)).result;
+        expect(late.purchase_units[0].payments.captures[0].id).toBe(repository.payments.get(order.id)!.captureId);
+    });
+
+    it('answers an unknown order with 404', async () => {
+        await expect(client.execute(new paypal.orders.OrdersGetRequest('UNKNOWN0000000000'))).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('rejects calls without a token', async () => {
+        const response = await fetch(`${origin}/v2/checkout/orders/UNKNOWN0000000000`);
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('simulated webhooks', () => {
+    function delivery(eventType: string): { headers: any; rawBody: Buffer; body: any } {
+        const event = simulatedEvent(eventType, CONTEXT, origin);
+        const rawBody = Buffer.from(JSON.stringify(event));
+        const headers = signWebhook(rawBody, MOCK_WEBHOOK_ID, `${origin}/v1/notifications/certs/CERT-explore-botswana-mock`);
+        return { headers, rawBody, body: JSON.parse(rawBody.toString()) };
+    }
+
+    it('verify through the mock\'s verify-webhook-signature', async () => {
+        await expect(verifyWebhookRequest(delivery('PAYMENT.CAPTURE.COMPLETED'), client)).resolves.toBeUndefined();
+    });
+
+    it('verify offline against the mock\'s signing cert', async () => {
+        process.env.PAYPAL_WEBHOOK_VERIFICATION = 'offline';
+        process.env.PAYPAL_CERT_HOSTS = new URL(origin).host;
+        clearCertCache();
+        await expect(verifyWebhookRequest(delivery('PAYMENT.CAPTURE.COMPLETED'), client)).resolves.toBeUndefined();
+    });
+
+    it.each(['api', 'offline'])('fail %s verification when the body was changed', async (mode) => {
+        process.env.PAYPAL_WEBHOOK_VERIFICATION = mode;
+        process.env.PAYPAL_CERT_HOSTS = new URL(origin).host;
+        const tampered = delivery('PAYMENT.CAPTURE.COMPLETED');
+        tampered.body.resource.amount.value = '0.50';
+        tampered.rawBody = Buffer.from(JSON.stringify(tampered.body));
+        await expect(verifyWebhookRequest(tampered, client)).rejects.toThrow(WebhookVerificationError);
+    });
+
+    // A refund is only applied to a payment that was captured first.
+    const OUTCOMES: { [name: string]: { before?: string; outcome: string } } = {
+        'approved': { outcome: 'applied' },
+        'order-completed': { outcome: 'applied' },
+        'completed': { outcome: 'applied' },
+        'denied': { outcome: 'recorded' },
+        'refunded': { before: 'PAYMENT.CAPTURE.COMPLETED', outcome: 'applied' },
+        'subscription-activated': { outcome: 'synced' },
+        'subscription-cancelled': { outcome: 'synced' },
+        'subscription-suspended': { outcome: 'synced' },
+        'subscription-expired': { outcome: 'synced' },
+        'sale-completed': { outcome: 'applied' },
+    };
+
+    it('cover every simulated event', () => {
+        expect(Object.keys(OUTCOMES).sort()).toEqual(Object.keys(SIMULATED_EVENTS).sort());
+    });
+
+    it.each(Object.entries(SIMULATED_EVENTS))('%s (%s) is applied by the handlers', async (name, eventType) => {
+        const repository = seededRepository(CONTEXT.orderId);
+        // What capturing the approved order returns.
+        repository.paypalOrders.set(CONTEXT.orderId, simulatedEvent('CHECKOUT.ORDER.COMPLETED', CONTEXT, origin).resource);
+
+        const { before, outcome } = OUTCOMES[name];
+        if (before) {
+            await dispatchWebhookEvent(parseWebhookEvent(delivery(before).body), repository);
+        }
+        await expect(dispatchWebhookEvent(parseWebhookEvent(delivery(eventType).body), repository)).resolves.toBe(outcome);
+    });
+});
@@ -0,0 +1,30 @@
+import { summarizeLedger } from '../src/salesLedger';
+
+const PATH = 'salespersons/sp1/sales';
+
+describe('summarizeLedger', () => {
+    it('totals entries per currency and per tier, including float-era entries', () => {
+        const summary = summarizeLedger([
+            { path: `${PATH}/a`, type: 'sale', tierId: 'local', currency: 'USD', amountMinor: 5000, commissionMinor: 1000 },
+            { path: `${PATH}/b`, type: 'sale', tierId: 'local', currencyCode: 'BWP', amount: 120.5, commission: 24.1 },
+            { path: `${PATH}/c`, type: 'adjustment', tierId: 'local', currency: 'USD', amountMinor: -5000, commissionMinor: -1000 },
+        ]);
+        expect(summary).toMatchObject({
+            sales: 2,
+            adjustments: 1,
+            grossAmountMinor: { USD: 0, BWP: 12050 },
+            commissionMinor: { USD: 0, BWP: 2410 },
+            unresolved: [],
+        });
+        expect(summary.byTier.local).toMatchObject({ sales: 2, adjustments: 1 });
+    });
+
+    it('lists entries without a currency instead of failing the summary', () => {
+        const summary = summarizeLedger([
+            { path: `${PATH}/a`, type: 'sale', tierId: 'local', currency: 'USD', amountMinor: 5000, commissionMinor: 1000 },
+            { path: `${PATH}/legacy`, type: 'sale', tierId: 'local', amount: 50, commission: 10 },
+        ]);
+        expect(summary).toMatchObject({ sales: 1, grossAmountMinor: { USD: 5000 }, unresolved: [`${PATH}/legacy`] });
+        expect(summary.byTier.local.sales).toBe(1);
+    });
+});
@@ -0,0 +1,103 @@
+import * as admin from 'firebase-admin';
+import { SALESPERSON_SCHEMA_VERSION, migrateLegacySalespersons } from '../src/salespersons';
+
+/**
+ * migrateLegacySalespersons against the Firestore emulator, including resuming a run that stopped
+ * part way. Run with `npm run test:emulator`; without FIRESTORE_EMULATOR_HOST the suite is skipped.
+ */
+
+const PROJECT_ID = 'demo-explore-botswana';
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = emulatorHost ? describe : describe.skip;
+
+describeWithEmulator('migrateLegacySalespersons (Firestore emulator)', () => {
+    let db: admin.firestore.Firestore;
+
+    beforeAll(() => {
+        if (!admin.apps.length) {
+            admin.initializeApp({ projectId: PROJECT_ID });
+        }
+        db = admin.firestore();
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'info').mockImplementation(() => undefined);
+
+        const response = await fetch(`http://${emulatorHost}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+        expect(response.ok).toBe(true);
+
+        // Two legacy documents for the same rep, each with an archived month and a referred user.
+        const batch = db.batch();
+        ['Neo Kgosi', 'neo  kgosi'].forEach((name, index) => {
+            const ref = db.collection('salespersons').doc(name);
+            batch.set(ref, { fullName: name, currentMonthEarnings: 10, totalSales: 2 });
+            batch.set(ref.collection('historicalPayouts').doc('2026-08'), { earningsMinor: { USD: 500 }, totalSales: 1 });
+            batch.set(db.collection('users').doc(`user${index}`), { salesperson: { fullName: name } });
+        });
+        await batch.commit();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await Promise.all(admin.apps.map((app) => app?.delete()));
+    });
+
+    async function expectMigrated(): Promise<void> {
+        const migrated = await db.collection('salespersons').where('schemaVersion', '==', SALESPERSON_SCHEMA_VERSION).get();
+        expect(migrated.size).toBe(1);
+        const target = migrated.docs[0];
+        // The float counters have no currency; normalizeLegacyDocuments converts them.
+        expect(target.data()).toMatchObject({ earningsMinor: {}, currentMonthEarnings: 20, totalSales: 4 });
+        expect((await target.ref.collection('historicalPayouts').doc('2026-08').get()).data())
+            .toEqual({ earningsMinor: { USD: 1000 }, totalSales: 2 });
+        expect((await db.collection('referralCodes').get()).size).toBe(1);
+
+        for (const id of ['Neo Kgosi', 'neo  kgosi']) {
+            const legacy = await db.collection('salespersons').doc(id).get();
+            expect(legacy.get('mergedInto')).toBe(target.id);
+            expect(legacy.get('mergedAt')).toBeDefined();
+        }
+        for (const id of ['user0', 'user1']) {
+            expect((await db.collection('users').doc(id).get()).get('salespersonId')).toBe(target.id);
+        }
+    }
+
+    it('merges legacy documents for the same name into one salesperson', async () => {
+        const result = await migrateLegacySalespersons('admin1', {});
+        expect(result.salespersons).toHaveLength(1);
+        await expectMigrated();
+    });
+
+    it('resumes a run that stopped after moving the counters and one archived month', async () => {
+        const commit = admin.firestore.WriteBatch.prototype.commit;
+        let commits = 0;
+        jest.spyOn(admin.firestore.WriteBatch.prototype, 'commit').mockImplementation(async function(this: admin.firestore.WriteBatch) {
+            const results = await commit.call(this);
+            if (++commits === 2) {
+                throw new Error('simulated crash');
+            }
+            return results;
+        });
+        await expect(migrateLegacySalespersons('admin1', {})).rejects.toThrow('simulated crash');
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'info').mockImplementation(() => undefined);
+
+        // The legacy documents are marked but not done, and no user has been repointed yet.
+        const legacy = await db.collection('salespersons').doc('Neo Kgosi').get();
+        expect(legacy.get('mergedInto')).toEqual(expect.any(String));
+        expect(legacy.get('mergedAt')).toBeUndefined();
+        expect((await db.collection('users').doc('user0').get()).get('salespersonId')).toBeUndefined();
+
+        await migrateLegacySalespersons('admin1', {});
+        await expectMigrated();
+    });
+
+    it('does nothing when run again after completing', async () => {
+        await migrateLegacySalespersons('admin1', {});
+        await expect(migrateLegacySalespersons('admin1', {})).resolves.toMatchObject({ salespersons: [], copiedDocs: 0 });
+        await expectMigrated();
+    });
+});
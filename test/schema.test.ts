@@ -0,0 +1,112 @@
+import * as admin from 'firebase-admin';
+import { LegacyCurrencyError } from '../src/money';
+import { USER_SCHEMA_VERSION, normalizeArchivedMonth, normalizeSalesperson, normalizeUser } from '../src/schema';
+
+const { FieldValue } = admin.firestore;
+
+describe('normalizeUser', () => {
+    it('moves a legacy salesperson name and float gross amount onto the current fields', () => {
+        const legacy = {
+            paymentStatus: 'paid',
+            salesperson: { fullName: 'Neo Kgosi' },
+            paypalGrossAmount: 50.1,
+            paypalCurrencyCode: 'USD',
+        };
+        expect(normalizeUser(legacy, 'sp1')).toEqual({
+            salespersonId: 'sp1',
+            salesperson: FieldValue.delete(),
+            paypalGrossAmountMinor: 5010,
+            paypalCurrencyCode: 'USD',
+            paypalGrossAmount: FieldValue.delete(),
+            schemaVersion: USER_SCHEMA_VERSION,
+        });
+    });
+
+    it('reads a gross amount without a currency in the legacy currency it is given', () => {
+        expect(normalizeUser({ paypalGrossAmount: 50 }, null, 'BWP')).toEqual({
+            paypalGrossAmountMinor: 5000,
+            paypalCurrencyCode: 'BWP',
+            paypalGrossAmount: FieldValue.delete(),
+            schemaVersion: USER_SCHEMA_VERSION,
+        });
+    });
+
+    it('prefers the recorded currency to the legacy currency', () => {
+        expect(normalizeUser({ paypalGrossAmount: 50, paypalCurrencyCode: 'USD' }, null, 'BWP')).toMatchObject({ paypalCurrencyCode: 'USD' });
+    });
+
+    it('leaves a gross amount in no known currency in place and the user unversioned', () => {
+        expect(normalizeUser({ paypalGrossAmount: 380 }, null)).toBeNull();
+        expect(normalizeUser({ salesperson: { fullName: 'Neo Kgosi' }, paypalGrossAmount: 380 }, 'sp1')).toEqual({
+            salespersonId: 'sp1',
+            salesperson: FieldValue.delete(),
+        });
+    });
+
+    it('keeps an existing salespersonId and minor-unit amount', () => {
+        const user = { salespersonId: 'sp2', salesperson: { fullName: 'Neo Kgosi' }, paypalGrossAmount: 50, paypalGrossAmountMinor: 5000 };
+        expect(normalizeUser(user, 'sp1')).toEqual({
+            salesperson: FieldValue.delete(),
+            paypalGrossAmount: FieldValue.delete(),
+            schemaVersion: USER_SCHEMA_VERSION,
+        });
+    });
+
+    it('leaves an unresolved salesperson name in place and the user unversioned', () => {
+        expect(normalizeUser({ salesperson: { fullName: 'Gone Away' } }, null)).toBeNull();
+    });
+
+    it('does nothing to a current user', () => {
+        expect(normalizeUser({ salespersonId: 'sp1', paypalGrossAmountMinor: 5000, schemaVersion: USER_SCHEMA_VERSION }, null)).toBeNull();
+    });
+});
+
+describe('normalizeSalesperson', () => {
+    it('folds a float currentMonthEarnings into earningsMinor', () => {
+        expect(normalizeSalesperson({ fullName: 'Neo Kgosi', currentMonthEarnings: 10.5, earningsMinor: { BWP: 200 }, totalSales: 3 }, 'USD')).toEqual({
+            'earningsMinor.USD': FieldValue.increment(1050),
+            'currentMonthEarnings': FieldValue.delete(),
+        });
+    });
+
+    it('refuses a float currentMonthEarnings without a legacy currency', () => {
+        expect(() => normalizeSalesperson({ fullName: 'Neo Kgosi', currentMonthEarnings: 10.5 })).toThrow(LegacyCurrencyError);
+    });
+
+    it('fills in missing counters and fullName', () => {
+        expect(normalizeSalesperson({ firstName: 'Neo', lastName: 'Kgosi', currentMonthEarnings: 0 })).toEqual({
+            earningsMinor: {},
+            currentMonthEarnings: FieldValue.delete(),
+            totalSales: 0,
+            fullName: 'Neo Kgosi',
+        });
+    });
+
+    it('does nothing to a current salesperson', () => {
+        expect(normalizeSalesperson({ fullName: 'Neo Kgosi', earningsMinor: {}, totalSales: 0 })).toBeNull();
+    });
+});
+
+describe('normalizeArchivedMonth', () => {
+    it('folds a paid float into the currency it was paid out in', () => {
+        expect(normalizeArchivedMonth({ earnings: 12.5, payoutStatus: 'paid', payoutCurrency: 'USD' }, 'BWP')).toEqual({
+            'earnings': FieldValue.delete(),
+            'earningsMinor.USD': FieldValue.increment(1250),
+        });
+    });
+
+    it('folds an unpaid float into the legacy currency', () => {
+        expect(normalizeArchivedMonth({ earnings: 12.5 }, 'BWP')).toEqual({
+            'earnings': FieldValue.delete(),
+            'earningsMinor.BWP': FieldValue.increment(1250),
+        });
+    });
+
+    it('refuses an unpaid float without a legacy currency', () => {
+        expect(() => normalizeArchivedMonth({ earnings: 12.5 })).toThrow(LegacyCurrencyError);
+    });
+
+    it('does nothing to an archive in minor units', () => {
+        expect(normalizeArchivedMonth({ earningsMinor: { USD: 1250 } })).toBeNull();
+    });
+});
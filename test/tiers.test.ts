@@ -0,0 +1,33 @@
+import { LAUNCH_TIERS, parseTier } from '../src/tiers';
+
+const VALID = { priceMinor: 5000, price: '50.00', currency: 'USD', description: 'Local membership', membershipDurationDays: 14, commissionRate: 0.2 };
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parseTier', () => {
+    it.each(Object.entries(LAUNCH_TIERS))('accepts the launch tier %s', (tierId, data) => {
+        expect(parseTier(tierId, data)).toMatchObject({ id: tierId, currency: 'USD', active: true, membershipDurationDays: 14, commissionRate: 0.2 });
+    });
+
+    it('reads the decimal price of a tier written before minor units', () => {
+        expect(parseTier('local', { ...VALID, priceMinor: undefined, price: '100' })).toMatchObject({ priceMinor: 10000, price: '100.00' });
+    });
+
+    it.each([
+        ['an unsupported currency', { currency: 'BWP' }],
+        ['a missing price', { priceMinor: undefined, price: undefined }],
+        ['a negative price', { priceMinor: -100 }],
+        ['a fractional duration', { membershipDurationDays: 1.5 }],
+        ['a commission rate above 1', { commissionRate: 20 }],
+        ['no description', { description: '' }],
+    ])('skips a tier with %s', (_label, change) => {
+        expect(parseTier('broken', { ...VALID, ...change })).toBeNull();
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Skipping payment tier broken'));
+    });
+});
@@ -0,0 +1,431 @@
+import { PaymentTier } from '../src/tiers';
+import { MalformedWebhookError, WEBHOOK_HANDLERS, dispatchWebhookEvent, parseWebhookEvent } from '../src/webhookHandlers';
+import { billingFrequency, isStaleSubscriptionUpdate } from '../src/subscriptions';
+import { WebhookNotReadyError, processWebhookEvent } from '../src/webhookProcessing';
+import { InMemoryWebhookRepository } from './inMemoryRepository';
+import {
+    AMOUNT, CAPTURE_ID, DISPUTE_ID, HANDLED_EVENT_TYPES, MALFORMED_BODIES, ORDER_ID, REFUND_ID, SALE_ID,
+    SUBSCRIPTION_ID, TIER_ID, USER_ID, capturedOrder, paypalEvent,
+} from './fixtures/paypalEvents';
+
+const LOCAL_TIER: PaymentTier = {
+    id: TIER_ID,
+    priceMinor: 5000,
+    price: '50.00',
+    currency: 'USD',
+    description: 'Explore Botswana local membership',
+    membershipDurationDays: 14,
+    commissionRate: 0.2,
+    active: true,
+};
+
+function seededRepository(): InMemoryWebhookRepository {
+    const repository = new InMemoryWebhookRepository();
+    repository.tiers.set(TIER_ID, LOCAL_TIER);
+    repository.users.set(USER_ID, { paymentStatus: 'pending' });
+    repository.orders.set(ORDER_ID, { orderId: ORDER_ID, userId: USER_ID, tierId: TIER_ID, amount: AMOUNT });
+    repository.subscriptions.set(SUBSCRIPTION_ID, { userId: USER_ID, tierId: TIER_ID, amount: AMOUNT });
+    return repository;
+}
+
+/** Parses a fixture the way the receiver and consumer do. */
+function deliver(body: unknown, repository: InMemoryWebhookRepository): Promise<string> {
+    return dispatchWebhookEvent(parseWebhookEvent(JSON.parse(JSON.stringify(body))), repository);
+}
+
+function withResource(event: any, change: (resource: any) => void): any {
+    const copy = JSON.parse(JSON.stringify(event));
+    change(copy.resource);
+    return copy;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('fixtures', () => {
+    it('cover every event type with a handler', () => {
+        expect([...HANDLED_EVENT_TYPES].sort()).toEqual(Object.keys(WEBHOOK_HANDLERS).sort());
+    });
+
+    it.each(HANDLED_EVENT_TYPES)('%s parses', (eventType) => {
+        const event = paypalEvent(eventType);
+        expect(parseWebhookEvent(event)).toEqual({ id: event.id, event_type: eventType, resource: event.resource });
+    });
+});
+
+describe('parseWebhookEvent', () => {
+    it.each(MALFORMED_BODIES)('rejects %s', (_label, body) => {
+        expect(() => parseWebhookEvent(body)).toThrow(MalformedWebhookError);
+    });
+
+    it('drops fields the handlers do not use', () => {
+        const event = parseWebhookEvent(paypalEvent('PAYMENT.CAPTURE.COMPLETED'));
+        expect(Object.keys(event).sort()).toEqual(['event_type', 'id', 'resource']);
+    });
+});
+
+describe('order and capture events', () => {
+    it('CHECKOUT.ORDER.APPROVED captures an order the buyer never came back to', async () => {
+        const repository = seededRepository();
+        repository.paypalOrders.set(ORDER_ID, capturedOrder());
+        const event = paypalEvent('CHECKOUT.ORDER.APPROVED');
+        await expect(deliver(event, repository)).resolves.toBe('applied');
+        expect(repository.captureRequests).toEqual([ORDER_ID]);
+        expect(repository.payments.get(ORDER_ID)).toMatchObject({
+            gross: { amountMinor: 5000, currency: 'USD' },
+            source: 'webhook',
+            captureId: CAPTURE_ID,
+            eventId: event.id,
+        });
+        expect(repository.users.get(USER_ID)!.paymentStatus).toBe('paid');
+        expect(repository.orders.get(ORDER_ID)!.status).toBe('CAPTURED');
+    });
+
+    it('CHECKOUT.ORDER.APPROVED leaves an order already captured alone', async () => {
+        const repository = seededRepository();
+        repository.paypalOrders.set(ORDER_ID, capturedOrder());
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository);
+        await expect(deliver(paypalEvent('CHECKOUT.ORDER.APPROVED'), repository)).resolves.toBe('already_captured');
+        expect(repository.captureRequests).toEqual([]);
+    });
+
+    it('CHECKOUT.ORDER.APPROVED records a declined capture', async () => {
+        const repository = seededRepository();
+        repository.paypalOrders.set(ORDER_ID, capturedOrder('DECLINED'));
+        await expect(deliver(paypalEvent('CHECKOUT.ORDER.APPROVED'), repository)).resolves.toBe('recorded');
+        expect(repository.users.get(USER_ID)!.paymentStatus).toBe('payment_denied');
+        expect(repository.payments.size).toBe(0);
+    });
+
+    it('CHECKOUT.ORDER.APPROVED does not capture an order for the wrong amount', async () => {
+        const repository = seededRepository();
+        const event = withResource(paypalEvent('CHECKOUT.ORDER.APPROVED'), (resource) => {
+            resource.purchase_units[0].amount = { currency_code: 'USD', value: '5.00' };
+        });
+        await expect(deliver(event, repository)).resolves.toBe('amount_mismatch');
+        expect(repository.captureRequests).toEqual([]);
+    });
+
+    it('CHECKOUT.ORDER.APPROVED fails, to be retried, when the capture request fails', async () => {
+        const repository = seededRepository();
+        await expect(deliver(paypalEvent('CHECKOUT.ORDER.APPROVED'), repository)).rejects.toThrow('PayPal does not know order');
+        expect(repository.payments.size).toBe(0);
+    });
+
+    it('CHECKOUT.ORDER.COMPLETED applies the payment with its capture id', async () => {
+        const repository = seededRepository();
+        await expect(deliver(paypalEvent('CHECKOUT.ORDER.COMPLETED'), repository)).resolves.toBe('applied');
+        expect(repository.payments.get(ORDER_ID)).toMatchObject({
+            userId: USER_ID,
+            gross: { amountMinor: 5000, currency: 'USD' },
+            payerEmail: 'buyer@example.com',
+            source: 'webhook',
+            captureId: CAPTURE_ID,
+            tier: LOCAL_TIER,
+        });
+        expect(repository.users.get(USER_ID)!.paymentStatus).toBe('paid');
+    });
+
+    it('PAYMENT.CAPTURE.COMPLETED applies the payment to the related order', async () => {
+        const repository = seededRepository();
+        const event = paypalEvent('PAYMENT.CAPTURE.COMPLETED');
+        await expect(deliver(event, repository)).resolves.toBe('applied');
+        expect(repository.payments.get(ORDER_ID)).toMatchObject({ captureId: CAPTURE_ID, resourceId: CAPTURE_ID, eventId: event.id });
+    });
+
+    it('a redelivered event is applied once', async () => {
+        const repository = seededRepository();
+        const event = paypalEvent('PAYMENT.CAPTURE.COMPLETED');
+        await deliver(event, repository);
+        await expect(deliver(event, repository)).resolves.toBe('duplicate_event');
+        expect(repository.payments.size).toBe(1);
+    });
+
+    it('the order and capture events for one payment credit it once', async () => {
+        const repository = seededRepository();
+        await expect(deliver(paypalEvent('CHECKOUT.ORDER.COMPLETED'), repository)).resolves.toBe('applied');
+        await expect(deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository)).resolves.toBe('duplicate_order');
+        expect(repository.payments.size).toBe(1);
+    });
+
+    it('an amount that does not match the order is a discrepancy, not a payment', async () => {
+        const repository = seededRepository();
+        const event = withResource(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), (resource) => {
+            resource.amount = { currency_code: 'USD', value: '0.50' };
+        });
+        await expect(deliver(event, repository)).resolves.toBe('discrepancy');
+        expect(repository.payments.size).toBe(0);
+        expect(repository.discrepancies.get(ORDER_ID)).toMatchObject({ reason: 'amount_mismatch', expected: AMOUNT, received: { value: '0.50' } });
+    });
+
+    it('an order we never created is a discrepancy', async () => {
+        const repository = seededRepository();
+        repository.orders.clear();
+        await expect(deliver(paypalEvent('CHECKOUT.ORDER.COMPLETED'), repository)).resolves.toBe('discrepancy');
+        expect(repository.discrepancies.get(ORDER_ID)).toMatchObject({ reason: 'unknown_order', userId: USER_ID });
+    });
+
+    it('a payment without user metadata is not applied', async () => {
+        const repository = seededRepository();
+        const event = withResource(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), (resource) => {
+            delete resource.custom_id;
+        });
+        await expect(deliver(event, repository)).resolves.toBe('missing_user');
+        expect(repository.payments.size).toBe(0);
+    });
+
+    it('reads the legacy {userId}_{salespersonId} metadata', async () => {
+        const repository = seededRepository();
+        const event = withResource(paypalEvent('CHECKOUT.ORDER.COMPLETED'), (resource) => {
+            resource.purchase_units[0].custom_id = `${USER_ID}_sp-legacy`;
+        });
+        await expect(deliver(event, repository)).resolves.toBe('applied');
+        expect(repository.payments.get(ORDER_ID)!.userId).toBe(USER_ID);
+    });
+
+    it('PAYMENT.CAPTURE.DENIED records the denial', async () => {
+        const repository = seededRepository();
+        const event = paypalEvent('PAYMENT.CAPTURE.DENIED');
+        await expect(deliver(event, repository)).resolves.toBe('recorded');
+        expect(repository.denials).toEqual([expect.objectContaining({ orderId: ORDER_ID, captureId: CAPTURE_ID, reason: 'BUYER_COMPLAINT' })]);
+        expect(repository.users.get(USER_ID)!.paymentStatus).toBe('payment_denied');
+        await expect(deliver(event, repository)).resolves.toBe('duplicate_event');
+        expect(repository.denials).toHaveLength(1);
+    });
+
+    it('a late denial does not undo a paid membership', async () => {
+        const repository = seededRepository();
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository);
+        await expect(deliver(paypalEvent('PAYMENT.CAPTURE.DENIED'), repository)).resolves.toBe('recorded_status_kept');
+        expect(repository.users.get(USER_ID)!.paymentStatus).toBe('paid');
+    });
+});
+
+describe('refunds, reversals and disputes', () => {
+    it.each([
+        ['PAYMENT.CAPTURE.REFUNDED', 'refund'],
+        ['PAYMENT.CAPTURE.REVERSED', 'reversal'],
+    ])('%s reverses the captured payment once', async (eventType, kind) => {
+        const repository = seededRepository();
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository);
+        const event = paypalEvent(eventType);
+        await expect(deliver(event, repository)).resolves.toBe('applied');
+        expect(repository.reversals.get(REFUND_ID)).toMatchObject({
+            kind,
+            orderId: ORDER_ID,
+            captureId: CAPTURE_ID,
+            amount: { currency_code: 'USD', value: '20.00' },
+        });
+        await expect(deliver(event, repository)).resolves.toBe('duplicate_event');
+        await expect(deliver(paypalEvent(eventType), repository)).resolves.toBe('duplicate_reversal');
+        expect(repository.reversals.size).toBe(1);
+    });
+
+    it('a refund for a payment we never applied is reported, not thrown', async () => {
+        const repository = seededRepository();
+        await expect(deliver(paypalEvent('PAYMENT.CAPTURE.REFUNDED'), repository)).resolves.toBe('payment_not_found');
+    });
+
+    it('a refund that arrives before its capture is retried, then applied', async () => {
+        const repository = seededRepository();
+        const refund = parseWebhookEvent(paypalEvent('PAYMENT.CAPTURE.REFUNDED'));
+        await expect(processWebhookEvent(refund, repository)).rejects.toThrow(WebhookNotReadyError);
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository);
+        await expect(processWebhookEvent(refund, repository)).resolves.toBe('applied');
+    });
+
+    it.each(['CUSTOMER.DISPUTE.CREATED', 'CUSTOMER.DISPUTE.UPDATED'])('%s is recorded without touching the payment', async (eventType) => {
+        const repository = seededRepository();
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository);
+        await expect(deliver(paypalEvent(eventType), repository)).resolves.toBe('recorded');
+        expect(repository.disputes).toEqual([expect.objectContaining({ disputeId: DISPUTE_ID, captureId: CAPTURE_ID, eventType })]);
+        expect(repository.reversals.size).toBe(0);
+    });
+
+    it('CUSTOMER.DISPUTE.RESOLVED in the buyer\'s favour is a chargeback', async () => {
+        const repository = seededRepository();
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository);
+        const event = paypalEvent('CUSTOMER.DISPUTE.RESOLVED');
+        await expect(deliver(event, repository)).resolves.toBe('applied');
+        expect(repository.reversals.get(DISPUTE_ID)).toMatchObject({ kind: 'chargeback', captureId: CAPTURE_ID, amount: AMOUNT });
+        await expect(deliver(event, repository)).resolves.toBe('duplicate_event');
+        expect(repository.reversals.size).toBe(1);
+    });
+
+    it('CUSTOMER.DISPUTE.RESOLVED in the seller\'s favour is only recorded', async () => {
+        const repository = seededRepository();
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository);
+        const event = withResource(paypalEvent('CUSTOMER.DISPUTE.RESOLVED'), (resource) => {
+            resource.dispute_outcome.outcome_code = 'RESOLVED_SELLER_FAVOUR';
+        });
+        await expect(deliver(event, repository)).resolves.toBe('recorded');
+        expect(repository.reversals.size).toBe(0);
+    });
+});
+
+describe('subscription events', () => {
+    it.each([
+        'BILLING.SUBSCRIPTION.ACTIVATED',
+        'BILLING.SUBSCRIPTION.CANCELLED',
+        'BILLING.SUBSCRIPTION.SUSPENDED',
+        'BILLING.SUBSCRIPTION.EXPIRED',
+    ])('%s syncs the subscription', async (eventType) => {
+        const repository = seededRepository();
+        const event = paypalEvent(eventType);
+        await expect(deliver(event, repository)).resolves.toBe('synced');
+        expect(repository.subscriptionEvents).toEqual([{ eventType, resource: event.resource, eventId: event.id }]);
+    });
+
+    it('applies a redelivered subscription event once', async () => {
+        const repository = seededRepository();
+        const event = paypalEvent('BILLING.SUBSCRIPTION.CANCELLED');
+        await deliver(event, repository);
+        await expect(deliver(event, repository)).resolves.toBe('duplicate_event');
+        expect(repository.subscriptionEvents).toHaveLength(1);
+    });
+
+    it('does not reactivate a cancelled subscription when the activation arrives late', async () => {
+        const repository = seededRepository();
+        await deliver(paypalEvent('BILLING.SUBSCRIPTION.CANCELLED'), repository);
+        await expect(deliver(paypalEvent('BILLING.SUBSCRIPTION.ACTIVATED'), repository)).resolves.toBe('stale_event');
+        expect(repository.subscriptionStates.get(SUBSCRIPTION_ID)?.status).toBe('CANCELLED');
+    });
+
+    it('reactivates a suspended subscription on a newer activation', async () => {
+        const repository = seededRepository();
+        await deliver(paypalEvent('BILLING.SUBSCRIPTION.SUSPENDED'), repository);
+        const reactivated = paypalEvent('BILLING.SUBSCRIPTION.ACTIVATED');
+        reactivated.resource.update_time = '2026-10-16T08:00:00Z';
+        await expect(deliver(reactivated, repository)).resolves.toBe('synced');
+        expect(repository.subscriptionStates.get(SUBSCRIPTION_ID)?.status).toBe('ACTIVE');
+    });
+
+    it('PAYMENT.SALE.COMPLETED applies one billing cycle', async () => {
+        const repository = seededRepository();
+        const event = paypalEvent('PAYMENT.SALE.COMPLETED');
+        await expect(deliver(event, repository)).resolves.toBe('applied');
+        expect(repository.payments.get(SALE_ID)).toMatchObject({
+            userId: USER_ID,
+            gross: { amountMinor: 5000, currency: 'USD' },
+            source: 'subscription',
+            subscriptionId: SUBSCRIPTION_ID,
+            tier: LOCAL_TIER,
+        });
+        await expect(deliver(event, repository)).resolves.toBe('duplicate_event');
+        expect(repository.payments.size).toBe(1);
+    });
+
+    it('a sale below the plan price is a discrepancy', async () => {
+        const repository = seededRepository();
+        const event = withResource(paypalEvent('PAYMENT.SALE.COMPLETED'), (resource) => {
+            resource.amount.total = '5.00';
+        });
+        await expect(deliver(event, repository)).resolves.toBe('discrepancy');
+        expect(repository.discrepancies.get(SALE_ID)).toMatchObject({ reason: 'amount_mismatch', received: { currency_code: 'USD', value: '5.00' } });
+    });
+
+    it('a sale for a subscription we have no record of is checked against its tier price', async () => {
+        const repository = seededRepository();
+        repository.subscriptions.clear();
+        await expect(deliver(paypalEvent('PAYMENT.SALE.COMPLETED'), repository)).resolves.toBe('applied');
+        expect(repository.payments.get(SALE_ID)).toMatchObject({ userId: USER_ID, tier: LOCAL_TIER });
+    });
+
+    it('a sale with neither a subscription record nor metadata is a discrepancy', async () => {
+        const repository = seededRepository();
+        repository.subscriptions.clear();
+        const event = withResource(paypalEvent('PAYMENT.SALE.COMPLETED'), (resource) => {
+            delete resource.custom;
+        });
+        await expect(deliver(event, repository)).resolves.toBe('discrepancy');
+        expect(repository.discrepancies.get(SALE_ID)).toMatchObject({ reason: 'unknown_order', received: { currency_code: 'USD', value: '50.00' } });
+    });
+
+    it('a sale for a subscription record without a user is its own discrepancy', async () => {
+        const repository = seededRepository();
+        repository.subscriptions.set(SUBSCRIPTION_ID, { tierId: TIER_ID, amount: AMOUNT } as any);
+        const event = withResource(paypalEvent('PAYMENT.SALE.COMPLETED'), (resource) => {
+            delete resource.custom;
+        });
+        await expect(deliver(event, repository)).resolves.toBe('discrepancy');
+        expect(repository.discrepancies.get(SALE_ID)).toMatchObject({ reason: 'unknown_user' });
+        expect(repository.payments.size).toBe(0);
+    });
+
+    it('a sale outside any subscription is ignored', async () => {
+        const repository = seededRepository();
+        const event = withResource(paypalEvent('PAYMENT.SALE.COMPLETED'), (resource) => {
+            delete resource.billing_agreement_id;
+        });
+        await expect(deliver(event, repository)).resolves.toBe('ignored');
+        expect(repository.payments.size + repository.discrepancies.size).toBe(0);
+    });
+});
+
+describe('isStaleSubscriptionUpdate', () => {
+    it('orders updates by the resource update_time', () => {
+        const stored = { status: 'SUSPENDED', updateTime: '2026-10-15T08:00:00Z' };
+        expect(isStaleSubscriptionUpdate(stored, { status: 'ACTIVE', updateTime: '2026-10-01T09:05:00Z' })).toBe(true);
+        expect(isStaleSubscriptionUpdate(stored, { status: 'ACTIVE', updateTime: '2026-10-16T08:00:00Z' })).toBe(false);
+    });
+
+    it('applies an update when either side has no update_time', () => {
+        expect(isStaleSubscriptionUpdate({}, { status: 'ACTIVE' })).toBe(false);
+        expect(isStaleSubscriptionUpdate({ status: 'SUSPENDED' }, { status: 'ACTIVE', updateTime: '2026-10-01T09:05:00Z' })).toBe(false);
+    });
+
+    it.each(['CANCELLED', 'EXPIRED'])('never moves a subscription out of %s', (status) => {
+        expect(isStaleSubscriptionUpdate({ status, updateTime: '2026-10-01T09:00:00Z' }, { status: 'ACTIVE', updateTime: '2026-12-01T09:00:00Z' })).toBe(true);
+        expect(isStaleSubscriptionUpdate({ status }, { status })).toBe(false);
+    });
+});
+
+describe('billingFrequency', () => {
+    it('bills in weeks when the duration is a whole number of them', () => {
+        expect(billingFrequency(14)).toEqual({ interval_unit: 'WEEK', interval_count: 2 });
+        expect(billingFrequency(364)).toEqual({ interval_unit: 'WEEK', interval_count: 52 });
+    });
+
+    it('bills in days otherwise, never in calendar months or years', () => {
+        expect(billingFrequency(1)).toEqual({ interval_unit: 'DAY', interval_count: 1 });
+        expect(billingFrequency(30)).toEqual({ interval_unit: 'DAY', interval_count: 30 });
+        expect(billingFrequency(90)).toEqual({ interval_unit: 'DAY', interval_count: 90 });
+        expect(billingFrequency(365)).toEqual({ interval_unit: 'DAY', interval_count: 365 });
+    });
+
+    it('has no interval for durations PayPal cannot bill', () => {
+        expect(billingFrequency(366)).toBeNull();
+        expect(billingFrequency(371)).toBeNull(); // 53 weeks
+        expect(billingFrequency(730)).toBeNull();
+    });
+});
+
+describe('payout events', () => {
+    it.each(HANDLED_EVENT_TYPES.filter((eventType) => eventType.startsWith('PAYMENT.PAYOUTS')))('%s is tracked', async (eventType) => {
+        const repository = seededRepository();
+        const event = paypalEvent(eventType);
+        await expect(deliver(event, repository)).resolves.toBe('tracked');
+        expect(repository.payoutEvents).toEqual([{ eventType, resource: event.resource, eventId: event.id }]);
+    });
+});
+
+describe('dispatchWebhookEvent', () => {
+    it('leaves event types without a handler alone', async () => {
+        const repository = seededRepository();
+        const event = { ...paypalEvent('PAYMENT.CAPTURE.COMPLETED'), event_type: 'PAYMENT.CAPTURE.PENDING' };
+        await expect(deliver(event, repository)).resolves.toBe('unhandled');
+        expect(repository.payments.size).toBe(0);
+    });
+
+    it('lets repository failures through so the event is retried', async () => {
+        const repository = seededRepository();
+        jest.spyOn(repository, 'applyPayment').mockRejectedValue(new Error('deadline exceeded'));
+        await expect(deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'), repository)).rejects.toThrow('deadline exceeded');
+    });
+});
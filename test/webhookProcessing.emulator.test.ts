@@ -0,0 +1,250 @@
+import * as admin from 'firebase-admin';
+import { invalidateTierCache } from '../src/tiers';
+import { parseWebhookEvent } from '../src/webhookHandlers';
+import { processWebhookEvent } from '../src/webhookProcessing';
+import { expireStaleOrders } from '../src/orders';
+import { expireLapsedMemberships } from '../src/memberships';
+import { monthKey } from '../src/monthClose';
+import { monthlySaleCount } from '../src/salesLedger';
+import {
+    AMOUNT, CAPTURE_ID, DISPUTE_ID, HANDLED_EVENT_TYPES, ORDER_ID, REFUND_ID, SALE_ID, SALESPERSON_ID,
+    SENDER_BATCH_ID, SENDER_ITEM_ID, SUBSCRIPTION_ID, TIER_ID, USER_ID, paypalEvent,
+} from './fixtures/paypalEvents';
+
+/**
+ * The Firestore-backed handlers against the Firestore emulator. Run with `npm run test:emulator`,
+ * which starts the emulator and sets FIRESTORE_EMULATOR_HOST; without it the suite is skipped.
+ */
+
+const PROJECT_ID = 'demo-explore-botswana';
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = emulatorHost ? describe : describe.skip;
+
+describeWithEmulator('processWebhookEvent (Firestore emulator)', () => {
+    let db: admin.firestore.Firestore;
+
+    /** Parses and applies a fixture the way paypalWebhookConsumer does. */
+    function deliver(body: unknown): Promise<string> {
+        return processWebhookEvent(parseWebhookEvent(JSON.parse(JSON.stringify(body))));
+    }
+
+    beforeAll(() => {
+        if (!admin.apps.length) {
+            admin.initializeApp({ projectId: PROJECT_ID });
+        }
+        db = admin.firestore();
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'info').mockImplementation(() => undefined);
+        jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+        const response = await fetch(`http://${emulatorHost}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+        expect(response.ok).toBe(true);
+        invalidateTierCache();
+
+        const batch = db.batch();
+        batch.set(db.collection('paymentTiers').doc(TIER_ID), {
+            priceMinor: 5000,
+            price: '50.00',
+            currency: 'USD',
+            description: 'Explore Botswana local membership',
+            membershipDurationDays: 14,
+            commissionRate: 0.2,
+            active: true,
+        });
+        batch.set(db.collection('users').doc(USER_ID), { paymentStatus: 'pending', salespersonId: SALESPERSON_ID });
+        batch.set(db.collection('salespersons').doc(SALESPERSON_ID), { fullName: 'Neo Kgosi', earningsMinor: {}, totalSales: 0 });
+        batch.set(db.collection('orders').doc(ORDER_ID), { userId: USER_ID, tierId: TIER_ID, amount: AMOUNT });
+        batch.set(db.collection('subscriptions').doc(SUBSCRIPTION_ID), { userId: USER_ID, tierId: TIER_ID, amount: AMOUNT, status: 'APPROVAL_PENDING' });
+        await batch.commit();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await Promise.all(admin.apps.map((app) => app?.delete()));
+    });
+
+    async function salesperson(): Promise<admin.firestore.DocumentData> {
+        return (await db.collection('salespersons').doc(SALESPERSON_ID).get()).data()!;
+    }
+
+    /** The sales volume rules see for the salesperson this month. */
+    function salesThisMonth(): Promise<number> {
+        return db.runTransaction((transaction) => monthlySaleCount(transaction, db.collection('salespersons').doc(SALESPERSON_ID), monthKey()));
+    }
+
+    it('handles a fresh delivery of every event type without throwing', async () => {
+        for (const eventType of HANDLED_EVENT_TYPES) {
+            await expect(deliver(paypalEvent(eventType))).resolves.toEqual(expect.any(String));
+        }
+    });
+
+    it('PAYMENT.CAPTURE.COMPLETED activates the membership and credits commission', async () => {
+        const event = paypalEvent('PAYMENT.CAPTURE.COMPLETED');
+        await expect(deliver(event)).resolves.toBe('applied');
+
+        const user = (await db.collection('users').doc(USER_ID).get()).data()!;
+        expect(user).toMatchObject({ paymentStatus: 'paid', membershipTierId: TIER_ID, paypalOrderId: ORDER_ID });
+        expect(await salesperson()).toMatchObject({ earningsMinor: { USD: 1000 }, totalSales: 1 });
+
+        const payment = (await db.collection('processedPayments').doc(ORDER_ID).get()).data()!;
+        expect(payment).toMatchObject({
+            captureId: CAPTURE_ID,
+            grossAmountMinor: 5000,
+            currency: 'USD',
+            salespersonId: SALESPERSON_ID,
+            commissionMinor: 1000,
+            eventId: event.id
+        });
+        const sale = await db.doc(payment.salePath).get();
+        expect(sale.data()).toMatchObject({ type: 'sale', orderId: ORDER_ID, amountMinor: 5000, currency: 'USD', commissionMinor: 1000 });
+        expect((await db.collection('webhookEvents').doc(event.id).get()).exists).toBe(true);
+
+        const order = (await db.collection('orders').doc(ORDER_ID).get()).data()!;
+        expect(order).toMatchObject({ status: 'CAPTURED', captureId: CAPTURE_ID });
+        expect(order.history).toEqual([expect.objectContaining({ from: 'CREATED', to: 'CAPTURED', source: 'webhook', eventId: event.id })]);
+    });
+
+    it('duplicate deliveries credit the salesperson once', async () => {
+        const event = paypalEvent('PAYMENT.CAPTURE.COMPLETED');
+        await deliver(event);
+        await expect(deliver(event)).resolves.toBe('duplicate_event');
+        await expect(deliver(paypalEvent('CHECKOUT.ORDER.COMPLETED'))).resolves.toBe('duplicate_order');
+
+        expect(await salesperson()).toMatchObject({ earningsMinor: { USD: 1000 }, totalSales: 1 });
+        const sales = await db.collection('salespersons').doc(SALESPERSON_ID).collection('sales').get();
+        expect(sales.size).toBe(1);
+    });
+
+    it('concurrent redeliveries of one event credit it once', async () => {
+        const event = paypalEvent('PAYMENT.CAPTURE.COMPLETED');
+        const outcomes = await Promise.all([deliver(event), deliver(event), deliver(event)]);
+        expect(outcomes.filter((outcome) => outcome === 'applied')).toHaveLength(1);
+        expect(await salesperson()).toMatchObject({ earningsMinor: { USD: 1000 }, totalSales: 1 });
+    });
+
+    it('a mismatched amount is stored as a discrepancy and credits nothing', async () => {
+        const event = paypalEvent('PAYMENT.CAPTURE.COMPLETED');
+        event.resource.amount = { currency_code: 'USD', value: '5.00' };
+        await expect(deliver(event)).resolves.toBe('discrepancy');
+        await expect(deliver(event)).resolves.toBe('discrepancy');
+
+        const discrepancy = await db.collection('paymentDiscrepancies').doc(ORDER_ID).get();
+        expect(discrepancy.data()).toMatchObject({ reason: 'amount_mismatch', userId: USER_ID });
+        expect((await db.collection('processedPayments').doc(ORDER_ID).get()).exists).toBe(false);
+        expect(await salesperson()).toMatchObject({ earningsMinor: {}, totalSales: 0 });
+    });
+
+    it('PAYMENT.CAPTURE.DENIED marks an unpaid user denied', async () => {
+        await expect(deliver(paypalEvent('PAYMENT.CAPTURE.DENIED'))).resolves.toBe('recorded');
+        const user = await db.collection('users').doc(USER_ID).get();
+        expect(user.get('paymentStatus')).toBe('payment_denied');
+        const attempt = await user.ref.collection('paymentAttempts').doc(CAPTURE_ID).get();
+        expect(attempt.exists).toBe(true);
+        expect((await db.collection('orders').doc(ORDER_ID).get()).get('status')).toBe('DENIED');
+    });
+
+    it('expires lapsed memberships but not one renewed since', async () => {
+        const past = admin.firestore.Timestamp.fromMillis(Date.now() - 60 * 1000);
+        await db.collection('users').doc(USER_ID).update({ paymentStatus: 'paid', membershipExpiry: past });
+        await db.collection('users').doc('lapsedUser').set({ paymentStatus: 'paid', membershipExpiry: past });
+        // The renewal lands after the sweep's cutoff was taken.
+        const cutoff = admin.firestore.Timestamp.now();
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'));
+
+        await expect(expireLapsedMemberships(cutoff)).resolves.toBe(1);
+        expect((await db.collection('users').doc('lapsedUser').get()).get('paymentStatus')).toBe('expired');
+        expect((await db.collection('users').doc(USER_ID).get()).get('paymentStatus')).toBe('paid');
+    });
+
+    it('expires abandoned orders and leaves captured ones alone', async () => {
+        const past = admin.firestore.Timestamp.fromMillis(Date.now() - 60 * 1000);
+        await db.collection('orders').doc(ORDER_ID).update({ status: 'APPROVED', expiresAt: past });
+        await db.collection('orders').doc('CAPTUREDORDER0001').set({ userId: USER_ID, tierId: TIER_ID, amount: AMOUNT, status: 'CAPTURED', expiresAt: past });
+        await db.collection('orders').doc('STILLAPPROVED0001').set({ userId: USER_ID, tierId: TIER_ID, amount: AMOUNT, status: 'APPROVED', expiresAt: past });
+        const paypalStatus = async (orderId: string) => (orderId === 'STILLAPPROVED0001' ? 'APPROVED' : 'VOIDED');
+
+        await expect(expireStaleOrders(admin.firestore.Timestamp.now(), paypalStatus)).resolves.toBe(1);
+        expect((await db.collection('orders').doc(ORDER_ID).get()).get('status')).toBe('EXPIRED');
+        expect((await db.collection('orders').doc('CAPTUREDORDER0001').get()).get('status')).toBe('CAPTURED');
+        // PayPal can still capture it, so it is not ours to expire.
+        expect((await db.collection('orders').doc('STILLAPPROVED0001').get()).get('status')).toBe('APPROVED');
+
+        // A capture PayPal reports afterwards is still recorded.
+        await expect(deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'))).resolves.toBe('applied');
+        expect((await db.collection('orders').doc(ORDER_ID).get()).get('status')).toBe('CAPTURED');
+    });
+
+    it('PAYMENT.CAPTURE.REFUNDED claws back commission once', async () => {
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'));
+        const refund = paypalEvent('PAYMENT.CAPTURE.REFUNDED');
+        await expect(deliver(refund)).resolves.toBe('applied');
+        await expect(deliver(refund)).resolves.toBe('duplicate_event');
+        await expect(deliver(paypalEvent('PAYMENT.CAPTURE.REFUNDED'))).resolves.toBe('duplicate_reversal');
+
+        // 20.00 of 50.00 refunded: 40% of the 10.00 commission.
+        expect((await salesperson()).earningsMinor).toEqual({ USD: 600 });
+        const payment = db.collection('processedPayments').doc(ORDER_ID);
+        expect((await payment.get()).data()).toMatchObject({ reversedAmountMinor: 2000, commissionReversedMinor: 400 });
+        expect((await payment.collection('reversals').doc(REFUND_ID).get()).exists).toBe(true);
+        // A partial refund still counts towards the month's volume.
+        await expect(salesThisMonth()).resolves.toBe(1);
+    });
+
+    it('a dispute resolved for the buyer reverses the rest of the payment', async () => {
+        await deliver(paypalEvent('PAYMENT.CAPTURE.COMPLETED'));
+        await expect(deliver(paypalEvent('CUSTOMER.DISPUTE.CREATED'))).resolves.toBe('recorded');
+        await expect(deliver(paypalEvent('CUSTOMER.DISPUTE.RESOLVED'))).resolves.toBe('applied');
+
+        expect((await salesperson()).earningsMinor).toEqual({ USD: 0 });
+        const user = await db.collection('users').doc(USER_ID).get();
+        expect(user.get('paymentStatus')).toBe('reversed');
+        const reversal = await db.collection('processedPayments').doc(ORDER_ID).collection('reversals').doc(DISPUTE_ID).get();
+        expect(reversal.exists).toBe(true);
+        // The counter is not decremented, but volume rules no longer count the sale.
+        expect((await salesperson()).totalSales).toBe(1);
+        await expect(salesThisMonth()).resolves.toBe(0);
+    });
+
+    it('subscription events sync the subscription and its billing cycles are credited', async () => {
+        await expect(deliver(paypalEvent('BILLING.SUBSCRIPTION.ACTIVATED'))).resolves.toBe('synced');
+        const subscription = await db.collection('subscriptions').doc(SUBSCRIPTION_ID).get();
+        expect(subscription.get('status')).toBe('ACTIVE');
+        expect((await db.collection('users').doc(USER_ID).get()).get('subscriptionStatus')).toBe('ACTIVE');
+
+        const cancelled = paypalEvent('BILLING.SUBSCRIPTION.CANCELLED');
+        await expect(deliver(cancelled)).resolves.toBe('synced');
+        await expect(deliver(cancelled)).resolves.toBe('duplicate_event');
+        await expect(deliver(paypalEvent('BILLING.SUBSCRIPTION.ACTIVATED'))).resolves.toBe('stale_event');
+        expect((await db.collection('subscriptions').doc(SUBSCRIPTION_ID).get()).get('status')).toBe('CANCELLED');
+
+        const sale = paypalEvent('PAYMENT.SALE.COMPLETED');
+        await expect(deliver(sale)).resolves.toBe('applied');
+        await expect(deliver(sale)).resolves.toBe('duplicate_event');
+        const payment = await db.collection('processedPayments').doc(SALE_ID).get();
+        expect(payment.data()).toMatchObject({ subscriptionId: SUBSCRIPTION_ID, source: 'subscription' });
+        expect(await salesperson()).toMatchObject({ earningsMinor: { USD: 1000 }, totalSales: 1 });
+    });
+
+    it('payout item events settle the month they pay', async () => {
+        const historical = db.collection('salespersons').doc(SALESPERSON_ID).collection('historicalPayouts').doc('2026-09');
+        await historical.set({
+            earningsMinor: { USD: 1000 },
+            payoutStatus: 'pending',
+            payouts: { USD: { status: 'pending', amountMinor: 1000, senderBatchId: SENDER_BATCH_ID } }
+        });
+        await db.collection('payoutBatches').doc(SENDER_BATCH_ID).set({
+            status: 'PENDING',
+            items: { [SENDER_ITEM_ID]: { path: historical.path, currency: 'USD' } }
+        });
+
+        await expect(deliver(paypalEvent('PAYMENT.PAYOUTSBATCH.PROCESSING'))).resolves.toBe('tracked');
+        await expect(deliver(paypalEvent('PAYMENT.PAYOUTS-ITEM.SUCCEEDED'))).resolves.toBe('tracked');
+        expect((await historical.get()).data()).toMatchObject({ payoutStatus: 'paid', payouts: { USD: { status: 'paid' } } });
+        expect((await db.collection('payoutBatches').doc(SENDER_BATCH_ID).get()).get('status')).toBe('PROCESSING');
+    });
+});
@@ -0,0 +1,101 @@
+import { MOCK_CERT_PATH, MOCK_SIGNING_CERT, MOCK_WEBHOOK_ID, signWebhook } from '../dev/mockSigning';
+import { PayPalConfigError } from '../src/paypalConfig';
+import {
+    MAX_TRANSMISSION_AGE_MS, WebhookVerificationError, assertFreshTransmission, clearCertCache, crc32, verifyWebhookRequest,
+} from '../src/webhookVerification';
+
+/**
+ * Offline verification (CRC32 + RSA against the signing cert) and the checks around it, signed with
+ * the mock key pair. The cert download is stubbed; see paypalMock.test.ts for the real round trip.
+ */
+
+const CERT_URL = `https://api-m.sandbox.paypal.com${MOCK_CERT_PATH}`;
+const BODY = Buffer.from(JSON.stringify({ id: 'WH-1', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: { id: 'C1' } }));
+const unusedClient = { execute: () => Promise.reject(new Error('the PayPal API must not be called in offline mode')) };
+
+function delivery(overrides: { certUrl?: string; sentAt?: Date; rawBody?: Buffer } = {}): any {
+    const headers = signWebhook(BODY, MOCK_WEBHOOK_ID, overrides.certUrl || CERT_URL, overrides.sentAt);
+    const rawBody = overrides.rawBody || BODY;
+    return { headers, rawBody, body: JSON.parse(rawBody.toString()) };
+}
+
+let fetchSpy: jest.SpyInstance;
+
+beforeEach(() => {
+    clearCertCache();
+    Object.assign(process.env, { PAYPAL_WEBHOOK_ID: MOCK_WEBHOOK_ID, PAYPAL_WEBHOOK_VERIFICATION: 'offline' });
+    fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(async () => new Response(MOCK_SIGNING_CERT));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    ['PAYPAL_WEBHOOK_ID', 'PAYPAL_WEBHOOK_VERIFICATION', 'PAYPAL_CERT_HOSTS'].forEach((name) => {
+        delete process.env[name];
+    });
+});
+
+describe('crc32', () => {
+    it('matches the IEEE check value', () => {
+        expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+    });
+});
+
+describe('offline verification', () => {
+    it('accepts a valid signature', async () => {
+        await expect(verifyWebhookRequest(delivery(), unusedClient)).resolves.toBeUndefined();
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a signature over a different body', async () => {
+        const tampered = delivery({ rawBody: Buffer.from(BODY.toString().replace('C1', 'C2')) });
+        await expect(verifyWebhookRequest(tampered, unusedClient)).rejects.toThrow('Transmission signature does not match.');
+    });
+
+    it('rejects a cert URL on a host that is not allowed', async () => {
+        const untrusted = delivery({ certUrl: `https://paypal.example.com${MOCK_CERT_PATH}` });
+        await expect(verifyWebhookRequest(untrusted, unusedClient)).rejects.toThrow('Cert URL host is not trusted');
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('rejects a plain HTTP cert URL on an allowed non-loopback host', async () => {
+        process.env.PAYPAL_CERT_HOSTS = 'certs.example.com';
+        const insecure = delivery({ certUrl: `http://certs.example.com${MOCK_CERT_PATH}` });
+        await expect(verifyWebhookRequest(insecure, unusedClient)).rejects.toThrow('must use HTTPS');
+    });
+
+    it('accepts a delivery resent from the dashboard with its original transmission time', async () => {
+        const resent = delivery({ sentAt: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000) });
+        await expect(verifyWebhookRequest(resent, unusedClient)).resolves.toBeUndefined();
+    });
+
+    it('rejects a validly signed but stale delivery', async () => {
+        const stale = delivery({ sentAt: new Date(Date.now() - MAX_TRANSMISSION_AGE_MS - 1000) });
+        await expect(verifyWebhookRequest(stale, unusedClient)).rejects.toThrow(WebhookVerificationError);
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('fails with a config error, not a verification error, when the webhook id is not configured', async () => {
+        delete process.env.PAYPAL_WEBHOOK_ID;
+        const failure = verifyWebhookRequest(delivery(), unusedClient);
+        await expect(failure).rejects.toThrow('PAYPAL_WEBHOOK_ID is not configured.');
+        await expect(failure).rejects.toBeInstanceOf(PayPalConfigError);
+    });
+
+    it('fails with a config error for an unknown verification strategy', async () => {
+        process.env.PAYPAL_WEBHOOK_VERIFICATION = 'none';
+        await expect(verifyWebhookRequest(delivery(), unusedClient)).rejects.toThrow(PayPalConfigError);
+    });
+});
+
+describe('assertFreshTransmission', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    // Retries come within 3 days, dashboard resends within 30, both with the original time.
+    it.each(['2026-10-19T11:56:00Z', '2026-10-16T12:00:00Z', '2026-09-18T12:00:01Z', '2026-10-19T12:04:00Z'])('accepts %s', (time) => {
+        expect(() => assertFreshTransmission(time, now)).not.toThrow();
+    });
+
+    it.each(['2026-09-18T11:59:59Z', '2026-10-19T12:05:01Z', 'yesterday'])('rejects %s', (time) => {
+        expect(() => assertFreshTransmission(time, now)).toThrow(WebhookVerificationError);
+    });
+});